@@ -0,0 +1,127 @@
+const express = require('express');
+const path = require('path');
+const bodyParser = require('body-parser');
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+const { createMailer } = require('./lib/mailer');
+const { createPaymentGateway } = require('./lib/payments');
+const { createScheduler } = require('./lib/scheduler');
+const { AppError } = require('./lib/errors');
+const { html } = require('./lib/html');
+const { securityHeaders, csrfProtection } = require('./lib/security');
+const { createNotifier } = require('./services/notifications');
+const { getAccount } = require('./services/accounts');
+const { countUnreadAlerts } = require('./services/alerts');
+const { createApiRouter, handleApiError } = require('./routes/api-v1');
+const { createSearchRouter } = require('./routes/search');
+const { createBookingRouter } = require('./routes/bookings');
+const { createWishlistRouter } = require('./routes/wishlists');
+const { createAlertRouter } = require('./routes/alerts');
+const { createAccountRouter } = require('./routes/accounts');
+const { createAdminRouter } = require('./routes/admin');
+const { createHostingRouter } = require('./routes/hosting');
+const { wantsJson } = require('./routes/helpers');
+const { renderPage } = require('./views/layout');
+
+// The Express app, built around an injected database handle (a mongodb Db). Creating it
+// neither connects to MongoDB nor listens on a port - server.js does both for the real
+// site - so tests can build one over a throwaway database and serve it however they like.
+//
+// Everything else can be injected too; by default it comes from the environment:
+//   mailer, payments - outgoing email and the payment gateway
+//   appUrl           - base URL used in links sent by email and wishlist share links
+//   notifications    - booking emails (a notifier over `mailer`)
+//   scheduler        - the job scheduler shown on /admin/jobs (one with no jobs, never started)
+//   sessionStore     - where sessions are kept (the `sessions` collection of `database`)
+function createApp(database, {
+    mailer = createMailer(),
+    payments = createPaymentGateway(),
+    appUrl = process.env.APP_URL || 'http://localhost:3000',
+    notifications = createNotifier(database, mailer, { appUrl }),
+    scheduler = createScheduler(database),
+    sessionStore = MongoStore.create({ client: database.client, dbName: database.databaseName, collectionName: 'sessions' })
+} = {}) {
+    const app = express();
+
+    // Middleware
+    app.disable('x-powered-by');
+    // Behind a load balancer or proxy, TRUST_PROXY (a hop count or the proxies' addresses) makes
+    // req.ip the client's address, which the booking rate limits count by
+    if (process.env.TRUST_PROXY) {
+        app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+    }
+    // Content-Security-Policy and other security headers on every response
+    app.use(securityHeaders({ hsts: process.env.NODE_ENV === 'production' }));
+    app.use(bodyParser.urlencoded({ extended: false }));
+    app.use(bodyParser.json());
+    app.use(express.static(path.join(__dirname, 'public')));
+
+    // Sessions are stored in MongoDB so logins survive restarts
+    app.use(session({
+        secret: process.env.SESSION_SECRET || 'development-only-secret',
+        resave: false,
+        saveUninitialized: false,
+        store: sessionStore,
+        cookie: {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            maxAge: 14 * 24 * 60 * 60 * 1000 // 14 days
+        }
+    }));
+
+    // Forms that change something must carry the session's CSRF token (see csrfField)
+    app.use(csrfProtection());
+
+    // Load the logged-in guest (if any) and their unread alert count for every request
+    app.use(async (req, res, next) => {
+        try {
+            req.user = req.session.clientId ? await getAccount(database, req.session.clientId) : null;
+            if (req.user) {
+                req.user.unread_alerts = await countUnreadAlerts(database, req.user._id);
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // JSON API for the mobile app and partner integrations
+    app.use('/api/v1', createApiRouter(database, { payments, notifications }));
+    app.use('/api', handleApiError);
+
+    // Pages
+    app.use(createSearchRouter(database));
+    app.use(createBookingRouter(database, { payments, notifications }));
+    app.use(createWishlistRouter(database, { appUrl }));
+    app.use(createAlertRouter(database));
+    app.use(createAccountRouter(database, { mailer, appUrl }));
+    app.use(createAdminRouter({ scheduler }));
+    app.use(createHostingRouter(database, { payments, notifications }));
+
+    app.use(handlePageError);
+
+    return app;
+}
+
+// Errors that middleware and page routes pass on, such as a form posted without its CSRF
+// token. Routes only catch the errors they answer with a page of their own.
+function handlePageError(error, req, res, next) {
+    if (!(error instanceof AppError)) {
+        console.error("Unhandled error:", error);
+        return res.status(500).send("Something went wrong");
+    }
+    if (wantsJson(req)) {
+        return res.status(error.status).json({ error: { code: error.code, message: error.message } });
+    }
+    res.status(error.status).send(renderPage('Something Went Wrong', html`
+        <div class="panel text-center">
+            <h4 class="mb-3">${error.message}</h4>
+            <a href="/" class="btn btn-primary">Back to Search</a>
+        </div>
+    `));
+}
+
+module.exports = {
+    createApp
+};
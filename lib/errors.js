@@ -0,0 +1,16 @@
+// Error raised by the services for problems the caller can act on (bad input,
+// missing records, unavailable dates). The HTML routes turn it into an error page,
+// the JSON API into a `{ error: { code, message, details } }` body with `status`.
+class AppError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    AppError
+};
@@ -0,0 +1,214 @@
+// HTML templates with automatic, context-aware escaping, for the page generators:
+//
+//   html`<a href="${url}" title="${listing.name}">${listing.name}</a>`
+//
+// Every interpolated value is escaped for the place it appears in:
+//   element text             - HTML-escaped
+//   quoted attribute values  - HTML-escaped; a value that begins a URL attribute (href, src,
+//                              action, ...) must also be a relative, http(s), mailto: or tel:
+//                              URL, so data can't smuggle in javascript: links
+//   between attributes       - only bare attribute names, such as `selected` or `readonly`
+//   <script> bodies and on*  - JSON (numbers, strings, booleans, objects), with `<` escaped
+//   handler attributes         so that a value can't close the script
+// Arrays are rendered item by item, and null, undefined and false render as nothing (except
+// in scripts, where they are values like any other).
+//
+// The result of html`` is trusted markup and is inserted as it is when nested in another
+// template; raw() marks other trusted markup the same way (use it only for markup written
+// in this codebase, never for data). Call toString() on a whole page before sending it.
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function raw(markup) {
+    return markup instanceof SafeHtml ? markup : new SafeHtml(String(markup));
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+}
+
+// A value for a <script> body: JSON, with the characters that could end the script (or a
+// JavaScript string) written as \u escapes
+function scriptValue(value) {
+    if (value === undefined) {
+        return 'undefined';
+    }
+    return JSON.stringify(value).replace(/[<>&\u2028\u2029]/g, character => `\\u${character.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// Attributes whose value is a URL
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background']);
+// Relative URLs (no scheme before the first /, ? or #) and the schemes pages link to
+const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^:]*(?:[/?#]|$))/i;
+const UNSAFE_URL = '#';
+
+function safeUrl(value) {
+    const url = String(value).trim();
+    return SAFE_URL.test(url) ? url : UNSAFE_URL;
+}
+
+// Elements whose content is not markup; only their closing tag ends them
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const TAG_OPEN = /<(\/?)([a-zA-Z][\w-]*)/y;
+const ATTRIBUTE_OPEN = /([^\s"'>\/=]+)\s*=\s*(["']?)/y;
+const BARE_ATTRIBUTES = /^[\w\s-]*$/;
+
+function matchAt(pattern, text, index) {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+}
+
+// How the scanner moves through the static text of a template, one mode at a time.
+// Each step reads from `index` and returns where to continue.
+const SCAN_STEPS = {
+    text(state, text, index) {
+        if (text.startsWith('<!--', index)) {
+            state.mode = 'comment';
+            return index + 4;
+        }
+        const tag = matchAt(TAG_OPEN, text, index);
+        if (tag) {
+            Object.assign(state, { mode: 'tag', tag: tag[2].toLowerCase(), closing: tag[1] === '/' });
+            return index + tag[0].length;
+        }
+        return index + 1;
+    },
+    comment(state, text, index) {
+        if (text.startsWith('-->', index)) {
+            state.mode = 'text';
+            return index + 3;
+        }
+        return index + 1;
+    },
+    tag(state, text, index) {
+        if (text[index] === '>') {
+            state.mode = !state.closing && RAW_TEXT_ELEMENTS.has(state.tag) ? 'rawText' : 'text';
+            return index + 1;
+        }
+        const attribute = matchAt(ATTRIBUTE_OPEN, text, index);
+        if (attribute) {
+            Object.assign(state, {
+                mode: 'attribute',
+                attribute: attribute[1].toLowerCase(),
+                quote: attribute[2],
+                valueStart: true,
+                attributeId: state.attributeId + 1
+            });
+            return index + attribute[0].length;
+        }
+        return index + 1;
+    },
+    attribute(state, text, index) {
+        const character = text[index];
+        if (state.quote ? character === state.quote : /[\s>]/.test(character)) {
+            state.mode = 'tag';
+            // An unquoted value's closing > also closes the tag
+            return state.quote ? index + 1 : index;
+        }
+        state.valueStart = false;
+        return index + 1;
+    },
+    rawText(state, text, index) {
+        const closing = `</${state.tag}`;
+        if (text.slice(index, index + closing.length).toLowerCase() === closing) {
+            Object.assign(state, { mode: 'tag', closing: true });
+            return index + closing.length;
+        }
+        return index + 1;
+    }
+};
+
+// The context of each interpolation in a template, worked out once per template
+const contextCache = new WeakMap();
+
+function templateContexts(strings) {
+    if (!contextCache.has(strings)) {
+        const state = { mode: 'text', attributeId: 0 };
+        const contexts = [];
+        for (const text of strings.slice(0, -1)) {
+            let index = 0;
+            while (index < text.length) {
+                index = SCAN_STEPS[state.mode](state, text, index);
+            }
+            contexts.push({ ...state });
+        }
+        contextCache.set(strings, contexts);
+    }
+    return contextCache.get(strings);
+}
+
+// How a value is written in each context
+const RENDERERS = {
+    text: value => escapeHtml(value),
+    comment: value => escapeHtml(value),
+    rawText: (value, context) => context.tag === 'script' ? scriptValue(value) : escapeHtml(value),
+    attribute: (value, context) => {
+        if (context.attribute.startsWith('on')) {
+            return escapeHtml(scriptValue(value));
+        }
+        const text = URL_ATTRIBUTES.has(context.attribute) && context.valueStart ? safeUrl(value) : String(value);
+        // Unquoted values also end at whitespace
+        return context.quote ? escapeHtml(text) : escapeHtml(text).replace(/\s/g, character => `&#${character.charCodeAt(0)};`);
+    },
+    tag: value => {
+        if (!BARE_ATTRIBUTES.test(String(value))) {
+            throw new TypeError(`Only attribute names can be interpolated inside a tag, not ${JSON.stringify(String(value))}`);
+        }
+        return String(value);
+    }
+};
+
+function render(value, context) {
+    if (value instanceof SafeHtml) {
+        return value.markup;
+    }
+    const inScript = (context.mode === 'rawText' && context.tag === 'script') ||
+        (context.mode === 'attribute' && context.attribute.startsWith('on'));
+    if (inScript) {
+        return RENDERERS[context.mode](value, context);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => render(item, context)).join('');
+    }
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    return RENDERERS[context.mode](value, context);
+}
+
+function html(strings, ...values) {
+    const contexts = templateContexts(strings);
+    let markup = strings[0];
+    // Whether something has already been written into each attribute value, for URLs
+    const written = new Set();
+    values.forEach((value, index) => {
+        const context = contexts[index];
+        const started = context.mode === 'attribute' && written.has(context.attributeId);
+        const output = render(value, started ? { ...context, valueStart: false } : context);
+        if (context.mode === 'attribute' && output !== '') {
+            written.add(context.attributeId);
+        }
+        markup += output + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+module.exports = {
+    SafeHtml,
+    html,
+    raw,
+    escapeHtml,
+    scriptValue,
+    safeUrl
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Outgoing email behind a pluggable transport. A transport is any object with an
+// async send(message) method, where message is { from, to, subject, text, html }, that
+// resolves to { id }.
+//
+// Built in:
+//   log     - writes the text of each message to a file in MAIL_LOG_DIR (default logs/mail)
+//   outbox  - writes each message as a complete .eml file (text and HTML parts) to
+//             MAIL_OUTBOX_DIR (default logs/outbox); open them in any mail client, or read
+//             them back with outbox.messages() in tests
+//   console - prints the message to stdout
+//   smtp    - delivers through SMTP_HOST:SMTP_PORT with nodemailer (STARTTLS when offered,
+//             SMTP_SECURE=true for TLS from the start), logging in with SMTP_USER/SMTP_PASS
+//             when set
+// Select one with MAIL_TRANSPORT or pass a transport object to createMailer.
+
+// Just the address from 'Name <address>'
+function emailAddress(value) {
+    const match = /<([^>]+)>/.exec(String(value));
+    return (match ? match[1] : String(value)).trim();
+}
+
+// Header values are ASCII; anything else is sent as an RFC 2047 encoded word
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+    return Buffer.from(text || '').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// Render a message as an RFC 5322 document: a plain-text part, plus an HTML alternative
+// when the message has one
+function formatMessage(message, { messageId, date = new Date() } = {}) {
+    const headers = [
+        `From: ${encodeHeader(message.from)}`,
+        `To: ${encodeHeader(message.to)}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${messageId}>`,
+        'MIME-Version: 1.0'
+    ];
+    const part = (type, content) => [
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(content)
+    ].join('\r\n');
+
+    if (!message.html) {
+        return [...headers, part('text/plain', message.text), ''].join('\r\n');
+    }
+    const boundary = `alt-${crypto.randomBytes(12).toString('hex')}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        part('text/plain', message.text),
+        `--${boundary}`,
+        part('text/html', message.html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+function newMessageId(from) {
+    const domain = emailAddress(from).split('@')[1] || 'localhost';
+    return `${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}`;
+}
+
+function createLogTransport(directory = process.env.MAIL_LOG_DIR || path.join(__dirname, '..', 'logs', 'mail')) {
+    return {
+        async send(message) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+            const file = path.join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.txt`);
+            const contents = [
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                '',
+                message.text || ''
+            ].join('\n');
+            await fs.promises.writeFile(file, contents);
+            return { id: path.basename(file), file };
+        }
+    };
+}
+
+function createOutboxTransport(directory = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'logs', 'outbox')) {
+    return {
+        directory,
+
+        async send(message) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const messageId = newMessageId(message.from);
+            const safeRecipient = emailAddress(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+            const file = path.join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.eml`);
+            await fs.promises.writeFile(file, formatMessage(message, { messageId }));
+            return { id: messageId, file };
+        },
+
+        // Headers of every message in the outbox, oldest first
+        async messages() {
+            let files;
+            try {
+                files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.eml')).sort();
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+            return Promise.all(files.map(async file => {
+                const contents = await fs.promises.readFile(path.join(directory, file), 'utf8');
+                const header = name => (new RegExp(`^${name}: (.*)$`, 'm').exec(contents) || [])[1];
+                return { file: path.join(directory, file), to: header('To'), subject: header('Subject'), id: header('Message-ID') };
+            }));
+        }
+    };
+}
+
+function createConsoleTransport() {
+    return {
+        async send(message) {
+            console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text || ''}`);
+            return { id: `console-${Date.now()}` };
+        }
+    };
+}
+
+function createSmtpTransport({
+    host = process.env.SMTP_HOST,
+    port = Number(process.env.SMTP_PORT || 587),
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    timeoutMs = 30 * 1000
+} = {}) {
+    if (!host) {
+        throw new Error("SMTP_HOST is required for the smtp mail transport");
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: pass || '' } : undefined,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs
+    });
+
+    return {
+        async send(message) {
+            const messageId = newMessageId(message.from);
+            await transporter.sendMail({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text,
+                html: message.html,
+                messageId: `<${messageId}>`
+            });
+            return { id: messageId };
+        }
+    };
+}
+
+const TRANSPORTS = {
+    log: createLogTransport,
+    outbox: createOutboxTransport,
+    console: createConsoleTransport,
+    smtp: createSmtpTransport
+};
+
+function createMailer({ transport } = {}) {
+    const selected = transport || process.env.MAIL_TRANSPORT || 'log';
+    const activeTransport = typeof selected === 'string'
+        ? (TRANSPORTS[selected] || TRANSPORTS.log)()
+        : selected;
+    const from = process.env.MAIL_FROM || 'AirBnB Clone <no-reply@localhost>';
+
+    return {
+        transport: activeTransport,
+
+        async send(message) {
+            return activeTransport.send({ from, ...message });
+        }
+    };
+}
+
+module.exports = {
+    TRANSPORTS,
+    formatMessage,
+    createLogTransport,
+    createOutboxTransport,
+    createConsoleTransport,
+    createSmtpTransport,
+    createMailer
+};
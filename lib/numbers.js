@@ -0,0 +1,13 @@
+// The sample dataset stores money (and some counts) as Decimal128 or strings -
+// convert for arithmetic and JSON. Returns null for missing or unparseable values.
+function toNumber(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const number = Number(value.toString());
+    return Number.isNaN(number) ? null : number;
+}
+
+module.exports = {
+    toNumber
+};
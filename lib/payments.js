@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// Card payments behind a pluggable gateway. A gateway is any object with:
+//
+//   name                                   - stored on every transaction
+//   async createPaymentMethod(card)        - card is { number, expiry, cvc }; resolves to
+//                                            { id, brand, last4 } (a reusable token) or throws
+//                                            PaymentError('invalid_card') for unusable details
+//   async charge({ amount, currency, payment_method, description, idempotency_key })
+//   async refund({ charge_id, amount, currency, idempotency_key })
+//
+// charge and refund resolve to { id, status, failure_code, failure_message } where status is
+// 'succeeded', 'declined' (the bank said no) or 'failed' (the request didn't go through).
+// They only reject for programming errors; declines are an ordinary result.
+//
+// Built in:
+//   mock - local fake for development and tests, no network calls
+// Select one with PAYMENT_PROVIDER or pass a gateway object to createPaymentGateway.
+
+class PaymentError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PaymentError';
+        this.code = code;
+    }
+}
+
+function cardBrand(number) {
+    if (/^4/.test(number)) return 'visa';
+    if (/^(5[1-5]|2[2-7])/.test(number)) return 'mastercard';
+    if (/^3[47]/.test(number)) return 'amex';
+    return 'card';
+}
+
+function passesLuhn(number) {
+    let sum = 0;
+    for (let i = 0; i < number.length; i++) {
+        let digit = Number(number[number.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// "MM/YY" or "MM/YYYY", not in the past
+function parseExpiry(expiry, now = new Date()) {
+    const match = /^\s*(\d{1,2})\s*\/\s*(\d{2}|\d{4})\s*$/.exec(String(expiry || ''));
+    if (!match) {
+        return null;
+    }
+    const month = Number(match[1]);
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+    if (month < 1 || month > 12) {
+        return null;
+    }
+    const endOfMonth = new Date(Date.UTC(year, month, 1));
+    return endOfMonth > now ? { month, year } : null;
+}
+
+// Test cards understood by the mock gateway (any other valid card number succeeds)
+const MOCK_CARD_OUTCOMES = {
+    '4000000000000002': { status: 'declined', failure_code: 'card_declined', failure_message: "Your card was declined" },
+    '4000000000009995': { status: 'declined', failure_code: 'insufficient_funds', failure_message: "Your card has insufficient funds" },
+    '4000000000000119': { status: 'failed', failure_code: 'processing_error', failure_message: "The payment could not be processed, please try again" }
+};
+
+// The mock keeps nothing in memory: the outcome for a card is encoded in its token,
+// so stored payment methods behave the same after a restart
+function createMockGateway() {
+    const newId = prefix => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+    return {
+        name: 'mock',
+
+        async createPaymentMethod({ number, expiry, cvc } = {}) {
+            const digits = String(number || '').replace(/[\s-]/g, '');
+            if (!/^\d{12,19}$/.test(digits) || !passesLuhn(digits)) {
+                throw new PaymentError('invalid_card', "Enter a valid card number");
+            }
+            if (!parseExpiry(expiry)) {
+                throw new PaymentError('invalid_card', "Enter a valid expiry date (MM/YY)");
+            }
+            if (!/^\d{3,4}$/.test(String(cvc || '').trim())) {
+                throw new PaymentError('invalid_card', "Enter the card's security code");
+            }
+            const outcome = MOCK_CARD_OUTCOMES[digits] ? digits : 'ok';
+            return { id: `${newId('pm')}_${outcome}`, brand: cardBrand(digits), last4: digits.slice(-4) };
+        },
+
+        async charge({ amount, payment_method }) {
+            if (!(amount > 0)) {
+                throw new Error(`Invalid charge amount: ${amount}`);
+            }
+            const outcome = MOCK_CARD_OUTCOMES[String(payment_method).split('_').pop()];
+            return { id: newId('ch'), status: 'succeeded', failure_code: null, failure_message: null, ...outcome };
+        },
+
+        async refund({ amount }) {
+            if (!(amount > 0)) {
+                throw new Error(`Invalid refund amount: ${amount}`);
+            }
+            return { id: newId('re'), status: 'succeeded', failure_code: null, failure_message: null };
+        }
+    };
+}
+
+const GATEWAYS = {
+    mock: createMockGateway
+};
+
+function createPaymentGateway({ provider } = {}) {
+    const selected = provider || process.env.PAYMENT_PROVIDER || 'mock';
+    if (typeof selected !== 'string') {
+        return selected;
+    }
+    if (!GATEWAYS[selected]) {
+        throw new Error(`Unknown PAYMENT_PROVIDER "${selected}"`);
+    }
+    return GATEWAYS[selected]();
+}
+
+module.exports = {
+    PaymentError,
+    GATEWAYS,
+    MOCK_CARD_OUTCOMES,
+    createMockGateway,
+    createPaymentGateway
+};
@@ -0,0 +1,155 @@
+// Background jobs that run on a fixed interval inside the app. Schedules live in the `jobs`
+// collection, so a restart picks up where the last process left off instead of re-running
+// (or forgetting) everything, and every run is logged to `job_runs` for the admin view.
+//
+// Each job document is claimed with a lease before it runs, so several app instances can
+// share one database without running the same job twice.
+//
+//   const scheduler = createScheduler(database);
+//   scheduler.register('complete-stays', { intervalMinutes: 60, run: now => completeStays(database, now) });
+//   scheduler.start();
+//
+// `run` receives the time the run started and may return a summary object, which is stored
+// with the run.
+
+const DEFAULT_POLL_MS = 30 * 1000;
+// A job that hasn't finished after this long is assumed to have died with its process
+const LEASE_MS = 10 * 60 * 1000;
+
+function createScheduler(database, { pollMs = DEFAULT_POLL_MS } = {}) {
+    const jobs = database.collection('jobs');
+    const runs = database.collection('job_runs');
+    const registered = new Map();
+    let timer = null;
+    let ticking = false;
+
+    function register(name, { intervalMinutes, run, description = '' }) {
+        registered.set(name, { name, intervalMs: intervalMinutes * 60 * 1000, run, description });
+    }
+
+    // Claim the job if it is due (or `force`d) and nobody else is running it
+    async function claim(job, now, force) {
+        const filter = {
+            _id: job.name,
+            $or: [{ locked_until: null }, { locked_until: { $lt: now } }]
+        };
+        if (!force) {
+            filter.next_run_at = { $lte: now };
+        }
+        return jobs.findOneAndUpdate(
+            filter,
+            { $set: { locked_until: new Date(now.getTime() + LEASE_MS) } },
+            { returnDocument: 'after' }
+        );
+    }
+
+    // Run one job now if it can be claimed. Resolves to the run record, or null when the
+    // job wasn't due or is already running elsewhere.
+    async function runJob(name, { force = false } = {}) {
+        const job = registered.get(name);
+        if (!job) {
+            throw new Error(`Unknown job "${name}"`);
+        }
+
+        const startedAt = new Date();
+        if (!await claim(job, startedAt, force)) {
+            return null;
+        }
+
+        const record = { job: name, started_at: startedAt, forced: force };
+        try {
+            record.result = (await job.run(startedAt)) || null;
+            record.status = 'succeeded';
+        } catch (error) {
+            record.status = 'failed';
+            record.error = { message: error.message, stack: error.stack };
+            console.error(`Job ${name} failed:`, error);
+        }
+        record.finished_at = new Date();
+        record.duration_ms = record.finished_at - startedAt;
+
+        await runs.insertOne(record);
+        const update = {
+            $set: {
+                locked_until: null,
+                next_run_at: new Date(startedAt.getTime() + job.intervalMs),
+                last_run_at: startedAt,
+                last_status: record.status,
+                last_duration_ms: record.duration_ms,
+                last_error: record.error ? record.error.message : null
+            }
+        };
+        if (record.status === 'failed') {
+            update.$inc = { consecutive_failures: 1 };
+        } else {
+            update.$set.consecutive_failures = 0;
+        }
+        await jobs.updateOne({ _id: name }, update);
+        return record;
+    }
+
+    async function tick() {
+        // Don't start a second pass while a slow job is still running
+        if (ticking) {
+            return;
+        }
+        ticking = true;
+        try {
+            for (const name of registered.keys()) {
+                await runJob(name);
+            }
+        } catch (error) {
+            console.error("Scheduler error:", error);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    // Create schedule documents for new jobs (due straight away) and keep intervals current
+    async function start() {
+        const now = new Date();
+        for (const job of registered.values()) {
+            await jobs.updateOne(
+                { _id: job.name },
+                {
+                    $set: { interval_ms: job.intervalMs, description: job.description },
+                    $setOnInsert: { next_run_at: now, locked_until: null, consecutive_failures: 0 }
+                },
+                { upsert: true }
+            );
+        }
+        timer = setInterval(tick, pollMs);
+        timer.unref();
+        tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // Schedules of the registered jobs plus their most recent runs, for the admin view
+    async function status({ limit = 50, failuresOnly = false } = {}) {
+        const names = [...registered.keys()];
+        const [schedules, recentRuns] = await Promise.all([
+            jobs.find({ _id: { $in: names } }).toArray(),
+            runs.find(failuresOnly ? { status: 'failed' } : {})
+                .sort({ started_at: -1 })
+                .limit(limit)
+                .toArray()
+        ]);
+        return {
+            jobs: names.map(name => ({
+                ...registered.get(name),
+                ...schedules.find(schedule => schedule._id === name)
+            })),
+            runs: recentRuns
+        };
+    }
+
+    return { register, has: name => registered.has(name), start, stop, runJob, status };
+}
+
+module.exports = {
+    createScheduler
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+
+// Security middleware: response headers, including a Content-Security-Policy with a
+// fresh nonce for each response's inline scripts, and CSRF tokens for forms.
+
+// Where pages load scripts, styles and fonts from, besides this site
+const CDN_ORIGINS = {
+    scripts: ['https://cdn.jsdelivr.net'],
+    styles: ['https://cdn.jsdelivr.net', 'https://cdnjs.cloudflare.com'],
+    fonts: ['https://cdnjs.cloudflare.com']
+};
+
+function contentSecurityPolicy(nonce) {
+    const directives = {
+        'default-src': ["'self'"],
+        // Inline <script> blocks run only with the response's nonce; inline event handlers never
+        'script-src': ["'self'", `'nonce-${nonce}'`, ...CDN_ORIGINS.scripts],
+        // The pages' <style> blocks and style attributes
+        'style-src': ["'self'", "'unsafe-inline'", ...CDN_ORIGINS.styles],
+        'font-src': ["'self'", ...CDN_ORIGINS.fonts],
+        // Listing photos are hosted wherever their host put them; Bootstrap draws some icons as data: URLs
+        'img-src': ["'self'", 'data:', 'https:'],
+        'connect-src': ["'self'"],
+        'form-action': ["'self'"],
+        'frame-ancestors': ["'none'"],
+        'base-uri': ["'none'"],
+        'object-src': ["'none'"]
+    };
+    return Object.entries(directives).map(([name, sources]) => `${name} ${sources.join(' ')}`).join('; ');
+}
+
+const SECURITY_HEADERS = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    // Password-reset links carry their token in the URL
+    'Referrer-Policy': 'same-origin',
+    // "Near me" searches use the browser's location
+    'Permissions-Policy': 'geolocation=(self), camera=(), microphone=(), payment=()',
+    'Cross-Origin-Opener-Policy': 'same-origin'
+};
+
+// Sets the headers on every response, and res.locals.cspNonce for the page generators.
+// `hsts` adds Strict-Transport-Security (for sites served only over HTTPS).
+function securityHeaders({ hsts = false } = {}) {
+    return (req, res, next) => {
+        res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+        res.set({ ...SECURITY_HEADERS, 'Content-Security-Policy': contentSecurityPolicy(res.locals.cspNonce) });
+        if (hsts) {
+            res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+        }
+        next();
+    };
+}
+
+// Name of the form field (or X-CSRF-Token header) carrying the token
+const CSRF_FIELD = '_csrf';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// The session's token, created the first time a page needs one
+function csrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+function hasValidCsrfToken(req) {
+    const expected = req.session.csrfToken;
+    const sent = (req.body && req.body[CSRF_FIELD]) || req.get('X-CSRF-Token');
+    return typeof expected === 'string' && typeof sent === 'string' && sent.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+// Rejects POST/PUT/PATCH/DELETE requests without the session's token with AppError 403
+// 'invalid_csrf_token'. JSON requests don't need one: a page on another site can't send
+// them without CORS, which this app doesn't allow. Must come after the session middleware.
+//
+// res.locals.csrfToken gives pages the token for their forms; it is read from the session
+// when a page asks for it, so requests that render no page don't start a session.
+function csrfProtection() {
+    return (req, res, next) => {
+        Object.defineProperty(res.locals, 'csrfToken', { get: () => csrfToken(req), enumerable: true });
+        if (SAFE_METHODS.has(req.method) || req.is('application/json') || hasValidCsrfToken(req)) {
+            return next();
+        }
+        next(new AppError(403, 'invalid_csrf_token', "This form has expired. Please reload the page and try again."));
+    };
+}
+
+module.exports = {
+    CSRF_FIELD,
+    securityHeaders,
+    csrfProtection
+};
@@ -0,0 +1,186 @@
+const { AppError } = require('./errors');
+
+// Declarative input validation for form bodies, query strings and API requests.
+// A schema maps each field to its rules, e.g.
+//
+//   { check_in:    { type: 'date', label: 'Check-in', required: true, notPast: true },
+//     check_out:   { type: 'date', label: 'Check-out', required: true, after: 'check_in' },
+//     guest_count: { type: 'integer', label: 'Guests', required: true, min: 1 } }
+//
+// validate() resolves every field to its typed value, or throws AppError 400 'invalid_input'
+// with `details: { fields: [...], errors: { field: message } }` so that forms can show each
+// message next to its field and API callers get the same messages as JSON.
+//
+// Rules: type (below), label, required, requiredWith (another field), min / max (numbers),
+// maxLength (text), values (for 'choice'), notPast (dates), after / atLeast (another field
+// that must be smaller) and message (replaces the type's own message).
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Digits with the usual separators and an optional leading +, 7 to 15 digits in all
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+// YYYY-MM-DD, optionally followed by a UTC time (ISO 8601, as sent by API clients). A time
+// without its Z would be read in the server's own time zone, so it isn't accepted.
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?Z)?$/;
+
+// The day written, as UTC midnight. Stays are whole nights, so a time is dropped: kept, it
+// would let two stays share a night (one leaving at noon, the next arriving then) and be
+// priced as a night each. The day must exist: new Date() quietly rolls 2024-02-31 over to
+// March 2, so the day it lands on must be the one that was written.
+function parseDate(text) {
+    const match = DATE_PATTERN.exec(text);
+    if (!match) {
+        return undefined;
+    }
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : undefined;
+}
+
+// How each type of field is parsed from its text; undefined means the text isn't valid
+const FIELD_TYPES = {
+    string: {
+        parse: text => text,
+        message: () => "is invalid"
+    },
+    integer: {
+        parse: text => /^-?\d+$/.test(text) ? Number(text) : undefined,
+        message: () => "must be a whole number"
+    },
+    number: {
+        parse: text => /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : undefined,
+        message: () => "must be a number"
+    },
+    date: {
+        parse: parseDate,
+        message: () => "must be a date (YYYY-MM-DD)"
+    },
+    email: {
+        parse: text => EMAIL_PATTERN.test(text) && text.length <= 254 ? text : undefined,
+        message: () => "must look like name@example.com"
+    },
+    phone: {
+        parse: text => {
+            const digits = text.replace(/\D/g, '').length;
+            return PHONE_PATTERN.test(text) && digits >= 7 && digits <= 15 ? text : undefined;
+        },
+        message: () => "must be a phone number (digits, spaces and + - ( ) only)"
+    },
+    // Listing ids: the dataset's numeric strings, or the ObjectId strings of host-created listings
+    id: {
+        parse: text => /^[\w-]{1,64}$/.test(text) ? text : undefined,
+        message: () => "is not a valid id"
+    },
+    choice: {
+        parse: (text, rule) => rule.values.includes(text) ? text : undefined,
+        message: rule => `must be one of ${rule.values.join(', ')}`
+    }
+};
+
+// The day before today (UTC), so that "today" is accepted for guests in any time zone
+function earliestDay(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - 1));
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Checks on a parsed value; each returns a message, or null when the value passes
+const RULE_CHECKS = [
+    (value, rule) => rule.min !== undefined && value < rule.min ? `must be at least ${rule.min}` : null,
+    (value, rule) => rule.max !== undefined && value > rule.max ? `must be at most ${rule.max}` : null,
+    (value, rule) => rule.maxLength !== undefined && value.length > rule.maxLength ? `must be at most ${rule.maxLength} characters` : null,
+    (value, rule) => rule.notPast && value < earliestDay() ? "can't be in the past" : null
+];
+
+// Checks against another field of the same input, made once both are valid
+const RELATION_CHECKS = {
+    after: (value, other, otherLabel) => value > other ? null : `must be after ${otherLabel.toLowerCase()}`,
+    atLeast: (value, other, otherLabel) => value >= other ? null : `can't be less than ${otherLabel.toLowerCase()}`
+};
+
+function label(schema, field) {
+    return (schema[field] && schema[field].label) || field;
+}
+
+// One field's value, or { error } when it fails its rules
+function checkField(schema, field, raw) {
+    const rule = schema[field];
+    const fail = message => ({ error: rule.message || `${label(schema, field)} ${message}` });
+
+    if (typeof raw === 'number' || typeof raw === 'boolean') {
+        raw = String(raw);
+    }
+    if (typeof raw !== 'string') {
+        return fail("must be a single value");
+    }
+    const type = FIELD_TYPES[rule.type || 'string'];
+    const value = type.parse(raw.trim(), rule);
+    if (value === undefined) {
+        return fail(type.message(rule));
+    }
+    for (const check of RULE_CHECKS) {
+        const message = check(value, rule);
+        if (message) {
+            return fail(message);
+        }
+    }
+    return { value };
+}
+
+function invalidInput(errors) {
+    return new AppError(400, 'invalid_input', Object.values(errors).join('; '), {
+        fields: Object.keys(errors),
+        errors
+    });
+}
+
+// Validate `input` against `schema`. Resolves to { field: typed value } for the schema's
+// fields that were given; other fields of `input` are ignored. With `partial`, required
+// fields may be left out (for updates that only change some fields).
+function validate(schema, input, { partial = false } = {}) {
+    const source = input || {};
+    const values = {};
+    const errors = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = source[field];
+        if (isBlank(raw)) {
+            const needed = (rule.required && !(partial && raw === undefined)) ||
+                (rule.requiredWith && !isBlank(source[rule.requiredWith]));
+            if (needed) {
+                errors[field] = `${label(schema, field)} is required`;
+            }
+            continue;
+        }
+        const result = checkField(schema, field, raw);
+        if (result.error) {
+            errors[field] = result.error;
+        } else {
+            values[field] = result.value;
+        }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        for (const [relation, check] of Object.entries(RELATION_CHECKS)) {
+            const other = rule[relation];
+            if (other && field in values && other in values) {
+                const message = check(values[field], values[other], label(schema, other));
+                if (message) {
+                    errors[field] = `${label(schema, field)} ${message}`;
+                    delete values[field];
+                }
+            }
+        }
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw invalidInput(errors);
+    }
+    return values;
+}
+
+module.exports = {
+    validate,
+    invalidInput
+};
@@ -0,0 +1,92 @@
+// Data access for guest alerts (see services/alerts.js): the inbox in `alerts`, and what
+// each guest asked to be alerted about in `saved_searches` and `listing_watches`.
+
+const ALERTS = 'alerts';
+const SAVED_SEARCHES = 'saved_searches';
+const LISTING_WATCHES = 'listing_watches';
+
+// Inbox, newest first; `limit` caps how many are returned
+async function findAlerts(database, query, limit = 0) {
+    return database.collection(ALERTS).find(query).sort({ created_at: -1 }).limit(limit).toArray();
+}
+
+async function countAlerts(database, query) {
+    return database.collection(ALERTS).countDocuments(query);
+}
+
+async function insertAlert(database, alert) {
+    await database.collection(ALERTS).insertOne(alert);
+}
+
+async function updateAlerts(database, query, update) {
+    await database.collection(ALERTS).updateMany(query, update);
+}
+
+// Saved searches, newest first
+async function findSavedSearches(database, query, projection) {
+    return database.collection(SAVED_SEARCHES).find(query, { projection }).sort({ created_at: -1 }).toArray();
+}
+
+async function countSavedSearches(database, query) {
+    return database.collection(SAVED_SEARCHES).countDocuments(query);
+}
+
+// Resolves to the new search's _id
+async function insertSavedSearch(database, search) {
+    const { insertedId } = await database.collection(SAVED_SEARCHES).insertOne(search);
+    return insertedId;
+}
+
+// Apply `update` to the search matching `query`. Resolves to true when there was one.
+async function updateSavedSearch(database, query, update) {
+    const { matchedCount } = await database.collection(SAVED_SEARCHES).updateOne(query, update);
+    return matchedCount === 1;
+}
+
+// Resolves to true when a search was removed
+async function removeSavedSearch(database, query) {
+    const { deletedCount } = await database.collection(SAVED_SEARCHES).deleteOne(query);
+    return deletedCount === 1;
+}
+
+async function findWatch(database, query, projection) {
+    return database.collection(LISTING_WATCHES).findOne(query, { projection });
+}
+
+// Watches, newest first
+async function findWatches(database, query) {
+    return database.collection(LISTING_WATCHES).find(query).sort({ created_at: -1 }).toArray();
+}
+
+async function countWatches(database, query) {
+    return database.collection(LISTING_WATCHES).countDocuments(query);
+}
+
+// Apply `update` to the watch matching `query`; with `upsert`, one is created when none
+// matches
+async function updateWatch(database, query, update, { upsert = false } = {}) {
+    await database.collection(LISTING_WATCHES).updateOne(query, update, { upsert });
+}
+
+// Resolves to true when a watch was removed
+async function removeWatch(database, query) {
+    const { deletedCount } = await database.collection(LISTING_WATCHES).deleteOne(query);
+    return deletedCount === 1;
+}
+
+module.exports = {
+    findAlerts,
+    countAlerts,
+    insertAlert,
+    updateAlerts,
+    findSavedSearches,
+    countSavedSearches,
+    insertSavedSearch,
+    updateSavedSearch,
+    removeSavedSearch,
+    findWatch,
+    findWatches,
+    countWatches,
+    updateWatch,
+    removeWatch
+};
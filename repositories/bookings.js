@@ -0,0 +1,186 @@
+const { INACTIVE_STATUSES, noOverlapFilter } = require('../services/availability');
+const { notBlockedFilter } = require('../services/calendar');
+const { listingsCollection } = require('./listings');
+
+// Data access for bookings. A booking is embedded in its listing's `bookings` array - the
+// source of truth for its dates, status and payments - so that the availability check and
+// the write that takes the dates can be a single conditional update. The guest's copy in
+// clients.booking_history is kept by ./clients.
+
+// Atomically add a booking to a listing, but only if none of its existing bookings (or
+// host-blocked dates) overlap the new stay. MongoDB applies the filter and the $push to the document as a
+// single operation, so two concurrent requests for the same dates cannot both succeed.
+// Resolves to true when the booking was stored, false when the dates were taken
+// (or the listing does not exist).
+async function reserveDates(database, listingId, bookingData) {
+    const result = await listingsCollection(database).updateOne(
+        {
+            _id: listingId,
+            ...noOverlapFilter(bookingData.arrival_date, bookingData.departure_date),
+            ...notBlockedFilter(bookingData.arrival_date, bookingData.departure_date)
+        },
+        {
+            $push: { bookings: bookingData }
+        }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+// Remove a previously reserved booking, e.g. when a later step of the booking fails
+async function releaseDates(database, listingId, bookingId) {
+    await listingsCollection(database).updateOne(
+        { _id: listingId },
+        { $pull: { bookings: { booking_id: bookingId } } }
+    );
+}
+
+// The listing with just this booking in `bookings` (an empty or missing array when the
+// listing doesn't have it)
+async function findListingWithBooking(database, listingId, bookingId, projection) {
+    return listingsCollection(database).findOne(
+        { _id: listingId },
+        { projection: { ...projection, bookings: { $elemMatch: { booking_id: bookingId } } } }
+    );
+}
+
+// Move an active booking to new dates and set its other `fields`, provided the dates are
+// still free of every other booking and of blocked dates - checked in the same write.
+// Resolves to false when the dates are taken or the booking is no longer active.
+async function rescheduleBooking(database, listingId, bookingId, checkInDate, checkOutDate, fields) {
+    const changes = { arrival_date: checkInDate, departure_date: checkOutDate, ...fields };
+    const result = await listingsCollection(database).updateOne(
+        {
+            _id: listingId,
+            $and: [
+                { bookings: { $elemMatch: { booking_id: bookingId, status: { $nin: INACTIVE_STATUSES } } } },
+                noOverlapFilter(checkInDate, checkOutDate, bookingId),
+                notBlockedFilter(checkInDate, checkOutDate)
+            ]
+        },
+        { $set: prefixFields('bookings.$[stay].', changes) },
+        { arrayFilters: [{ "stay.booking_id": bookingId }] }
+    );
+    return result.modifiedCount === 1;
+}
+
+// Set `fields` on a booking that is still active (e.g. to cancel it). Resolves to false
+// when it has already been closed.
+async function updateActiveBooking(database, listingId, bookingId, fields) {
+    const result = await listingsCollection(database).updateOne(
+        { _id: listingId, bookings: { $elemMatch: { booking_id: bookingId, status: { $nin: INACTIVE_STATUSES } } } },
+        { $set: prefixFields('bookings.$.', fields) }
+    );
+    return result.modifiedCount === 1;
+}
+
+// Set `fields` (dotted paths within the booking are fine) on a booking, whatever its status
+async function updateBooking(database, listingId, bookingId, fields) {
+    await listingsCollection(database).updateOne(
+        { _id: listingId, "bookings.booking_id": bookingId },
+        { $set: prefixFields('bookings.$.', fields) }
+    );
+}
+
+// Set `fields` on a booking that is still in `status`, so that a job or a host answering
+// a request doesn't overwrite a change made since the booking was read. `listingQuery`
+// narrows the listing further (e.g. to the host's own). Resolves to false when the
+// booking has moved on.
+async function transitionBooking(database, listingId, bookingId, status, fields, listingQuery = {}) {
+    const result = await listingsCollection(database).updateOne(
+        { _id: listingId, ...listingQuery, bookings: { $elemMatch: { booking_id: bookingId, status } } },
+        { $set: prefixFields('bookings.$.', fields) }
+    );
+    return result.modifiedCount === 1;
+}
+
+// Each embedded booking matching `condition` (written as for $elemMatch), with its listing
+async function findBookings(database, condition) {
+    return listingsCollection(database).aggregate([
+        { $match: { bookings: { $elemMatch: condition } } },
+        { $project: { name: 1, cancellation_policy: 1, bookings: 1 } },
+        { $unwind: "$bookings" },
+        { $match: prefixFields('bookings.', condition) },
+        { $project: { listing: { _id: "$_id", name: "$name", cancellation_policy: "$cancellation_policy" }, booking: "$bookings" } }
+    ]).toArray();
+}
+
+// Take the booking's payment lock until `until`, unless a charge still holds it. Resolves
+// to false when one does.
+async function lockPayments(database, listingId, bookingId, until, now = new Date()) {
+    const result = await listingsCollection(database).updateOne(
+        {
+            _id: listingId,
+            bookings: { $elemMatch: {
+                booking_id: bookingId,
+                $or: [{ payment_lock_until: { $exists: false } }, { payment_lock_until: { $lt: now } }]
+            } }
+        },
+        { $set: { "bookings.$.payment_lock_until": until } }
+    );
+    return result.modifiedCount === 1;
+}
+
+async function unlockPayments(database, listingId, bookingId) {
+    await listingsCollection(database).updateOne(
+        { _id: listingId, "bookings.booking_id": bookingId },
+        { $unset: { "bookings.$.payment_lock_until": "" } }
+    );
+}
+
+// Store the outcome of a charge: set `fields` on the booking, add the transaction and
+// release the payment lock in one write - provided the booking is still in `status`, the
+// one it was charged in. Resolves to false when it has moved on (been cancelled, say).
+async function recordCharge(database, listingId, bookingId, status, fields, transaction) {
+    const result = await listingsCollection(database).updateOne(
+        { _id: listingId, bookings: { $elemMatch: { booking_id: bookingId, status } } },
+        {
+            $set: prefixFields('bookings.$.', fields),
+            $push: { "bookings.$.transactions": transaction },
+            $unset: { "bookings.$.payment_lock_until": "" }
+        }
+    );
+    return result.modifiedCount === 1;
+}
+
+async function addTransactions(database, listingId, bookingId, transactions) {
+    await listingsCollection(database).updateOne(
+        { _id: listingId, "bookings.booking_id": bookingId },
+        { $push: { "bookings.$.transactions": { $each: transactions } } }
+    );
+}
+
+// Add a guest's review of their stay to the listing and mark the booking reviewed in the
+// same write, which keeps it to one review per booking even if the form is submitted
+// twice. Resolves to false when the booking already has one.
+async function addBookingReview(database, listingId, bookingId, review) {
+    const result = await listingsCollection(database).updateOne(
+        { _id: listingId, bookings: { $elemMatch: { booking_id: bookingId, review_id: { $exists: false } } } },
+        {
+            $set: { "bookings.$.review_id": review._id, "bookings.$.reviewed_at": review.date },
+            $push: { reviews: review }
+        }
+    );
+    return result.modifiedCount === 1;
+}
+
+function prefixFields(prefix, fields) {
+    return Object.fromEntries(Object.entries(fields).map(([name, value]) => [prefix + name, value]));
+}
+
+module.exports = {
+    reserveDates,
+    releaseDates,
+    findListingWithBooking,
+    rescheduleBooking,
+    updateActiveBooking,
+    updateBooking,
+    transitionBooking,
+    findBookings,
+    lockPayments,
+    unlockPayments,
+    recordCharge,
+    addTransactions,
+    addBookingReview,
+    prefixFields
+};
@@ -0,0 +1,76 @@
+const { prefixFields } = require('./bookings');
+
+// Data access for the clients collection: guests who have booked, and guest accounts (a
+// client record with an email and a password hash). Each client keeps a copy of their
+// bookings in `booking_history`, next to the listing's own (see ./bookings).
+
+const COLLECTION = 'clients';
+
+function clientsCollection(database) {
+    return database.collection(COLLECTION);
+}
+
+async function findClient(database, query, projection) {
+    return clientsCollection(database).findOne(query, { projection });
+}
+
+async function findClients(database, query, projection) {
+    return clientsCollection(database).find(query, { projection }).toArray();
+}
+
+// The client with this booking in their history, if their email is one of `emails`
+async function findClientWithBooking(database, emails, bookingId) {
+    return clientsCollection(database).findOne({
+        email: { $in: emails },
+        "booking_history.booking_id": bookingId
+    });
+}
+
+async function insertClient(database, client) {
+    await clientsCollection(database).insertOne(client);
+}
+
+async function updateClient(database, query, update) {
+    await clientsCollection(database).updateOne(query, update);
+}
+
+// Apply `update` to the first client matching `query`; resolves to the client as it was
+// before, or null if none matched
+async function findAndUpdateClient(database, query, update) {
+    return clientsCollection(database).findOneAndUpdate(query, update);
+}
+
+async function addBookingHistory(database, clientId, entry) {
+    await clientsCollection(database).updateOne({ _id: clientId }, { $push: { booking_history: entry } });
+}
+
+// Set `fields` on the history entry for a booking. `clientId` narrows it to one client;
+// without it, whichever client holds the booking is updated.
+async function updateBookingHistory(database, bookingId, fields, clientId = null) {
+    await clientsCollection(database).updateOne(
+        { ...(clientId ? { _id: clientId } : {}), "booking_history.booking_id": bookingId },
+        { $set: prefixFields('booking_history.$.', fields) }
+    );
+}
+
+// Set `fields` on the history entries for all of these bookings, whoever holds them
+async function updateBookingHistories(database, bookingIds, fields) {
+    await clientsCollection(database).updateMany(
+        { "booking_history.booking_id": { $in: bookingIds } },
+        { $set: prefixFields('booking_history.$[entry].', fields) },
+        { arrayFilters: [{ "entry.booking_id": { $in: bookingIds } }] }
+    );
+}
+
+module.exports = {
+    clientsCollection,
+    findClient,
+    findClients,
+    findClientWithBooking,
+    insertClient,
+    updateClient,
+    findAndUpdateClient,
+    addBookingHistory,
+    updateBookingHistory,
+    updateBookingHistories
+};
@@ -0,0 +1,62 @@
+// Data access for listings: the sample dataset's listingsAndReviews collection, where
+// host-created listings are stored too. The bookings embedded in each listing are written
+// through ./bookings. Filters and projections are built by the services; this module only
+// runs them.
+
+const COLLECTION = 'listingsAndReviews';
+
+function listingsCollection(database) {
+    return database.collection(COLLECTION);
+}
+
+async function findListing(database, query, projection) {
+    return listingsCollection(database).findOne(query, { projection });
+}
+
+// One page of listings matching `query` (every one of them without a `limit`)
+async function findListings(database, query, { projection, sort, skip = 0, limit = 0 } = {}) {
+    return listingsCollection(database).find(query)
+        .project(projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+}
+
+async function insertListing(database, listing) {
+    await listingsCollection(database).insertOne(listing);
+}
+
+// Apply `update` (an update document or pipeline) to the listing matching `query`.
+// Resolves to true when there was one.
+async function updateListing(database, query, update) {
+    const result = await listingsCollection(database).updateOne(query, update);
+    return result.matchedCount === 1;
+}
+
+async function countListings(database, query) {
+    return listingsCollection(database).countDocuments(query);
+}
+
+async function aggregateListings(database, pipeline) {
+    return listingsCollection(database).aggregate(pipeline).toArray();
+}
+
+// The values of `field` across all listings, sorted, without missing or null ones
+async function distinctListingValues(database, field) {
+    const values = await listingsCollection(database).distinct(field, {
+        [field]: { $exists: true, $ne: null }
+    });
+    return values.sort();
+}
+
+module.exports = {
+    listingsCollection,
+    findListing,
+    findListings,
+    insertListing,
+    updateListing,
+    countListings,
+    aggregateListings,
+    distinctListingValues
+};
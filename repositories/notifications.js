@@ -0,0 +1,23 @@
+// Data access for the notifications collection: a log entry for every booking email sent,
+// skipped or failed (see services/notifications.js).
+
+const COLLECTION = 'notifications';
+
+function notificationsCollection(database) {
+    return database.collection(COLLECTION);
+}
+
+async function insertNotification(database, entry) {
+    await notificationsCollection(database).insertOne(entry);
+}
+
+// The entries matching `query`, newest first
+async function findNotifications(database, query) {
+    return notificationsCollection(database).find(query).sort({ created_at: -1 }).toArray();
+}
+
+module.exports = {
+    notificationsCollection,
+    insertNotification,
+    findNotifications
+};
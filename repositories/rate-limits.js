@@ -0,0 +1,30 @@
+// Data access for the rate_limits collection: one counter per identity and time window,
+// removed by a TTL index once `expires_at` has passed (see services/indexes.js).
+
+const COLLECTION = 'rate_limits';
+
+// Add one to the counter `id`, creating it to expire at `expiresAt` if need be. Resolves
+// to the new count.
+async function incrementCounter(database, id, expiresAt) {
+    const counters = database.collection(COLLECTION);
+    const update = [
+        { _id: id },
+        { $inc: { count: 1 }, $setOnInsert: { expires_at: expiresAt } },
+        { upsert: true, returnDocument: 'after' }
+    ];
+    let counter;
+    try {
+        counter = await counters.findOneAndUpdate(...update);
+    } catch (error) {
+        // Two first attempts raced to create the counter; the loser's retry finds it
+        if (error.code !== 11000) {
+            throw error;
+        }
+        counter = await counters.findOneAndUpdate(...update);
+    }
+    return counter.count;
+}
+
+module.exports = {
+    incrementCounter
+};
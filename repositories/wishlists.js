@@ -0,0 +1,67 @@
+// Data access for the wishlists collection. Each list belongs to a guest account
+// (`client_id`) or a browser (`device_id`) and holds the ids of its listings in
+// `listing_ids`; see services/wishlists.js.
+
+const COLLECTION = 'wishlists';
+
+function wishlistsCollection(database) {
+    return database.collection(COLLECTION);
+}
+
+async function findWishlist(database, query, projection) {
+    return wishlistsCollection(database).findOne(query, { projection });
+}
+
+// The lists matching `query`, oldest first
+async function findWishlists(database, query) {
+    return wishlistsCollection(database).find(query).sort({ created_at: 1 }).toArray();
+}
+
+async function countWishlists(database, query) {
+    return wishlistsCollection(database).countDocuments(query);
+}
+
+// The ids of every listing in any of the lists matching `query`
+async function distinctWishlistListingIds(database, query) {
+    return wishlistsCollection(database).distinct('listing_ids', query);
+}
+
+// Resolves to the new list's _id
+async function insertWishlist(database, wishlist) {
+    const { insertedId } = await wishlistsCollection(database).insertOne(wishlist);
+    return insertedId;
+}
+
+// Apply `update` to the list matching `query`. Resolves to true when there was one.
+async function updateWishlist(database, query, update) {
+    const { matchedCount } = await wishlistsCollection(database).updateOne(query, update);
+    return matchedCount === 1;
+}
+
+async function updateWishlists(database, query, update) {
+    await wishlistsCollection(database).updateMany(query, update);
+}
+
+// Resolves to the list as changed by `update`, or null if none matched
+async function findAndUpdateWishlist(database, query, update) {
+    return wishlistsCollection(database).findOneAndUpdate(query, update, { returnDocument: 'after' });
+}
+
+// Resolves to true when a list was removed
+async function removeWishlist(database, query) {
+    const { deletedCount } = await wishlistsCollection(database).deleteOne(query);
+    return deletedCount === 1;
+}
+
+module.exports = {
+    wishlistsCollection,
+    findWishlist,
+    findWishlists,
+    countWishlists,
+    distinctWishlistListingIds,
+    insertWishlist,
+    updateWishlist,
+    updateWishlists,
+    findAndUpdateWishlist,
+    removeWishlist
+};
@@ -0,0 +1,147 @@
+const express = require('express');
+const { AppError } = require('../lib/errors');
+const {
+    getAccount, registerAccount, authenticate, updateProfile, createPasswordReset, resetPassword
+} = require('../services/accounts');
+const { claimDeviceWishlists } = require('../services/wishlists');
+const {
+    generateLoginPage, generateRegisterPage, generateForgotPasswordPage, generateResetPasswordPage,
+    generateAccountPage
+} = require('../views/accounts');
+const { safeRedirectPath, requireLogin, asyncRoute } = require('./helpers');
+
+// Guest accounts - registration, login/logout, password reset and the profile.
+
+function createAccountRouter(database, { mailer, appUrl } = {}) {
+    const router = express.Router();
+
+    // Start a fresh session for the account (prevents session fixation)
+    async function logIn(req, account) {
+        const deviceId = req.session.deviceId;
+        await new Promise((resolve, reject) => {
+            req.session.regenerate(error => {
+                if (error) {
+                    return reject(error);
+                }
+                req.session.clientId = account._id.toString();
+                resolve();
+            });
+        });
+        // Wishlists started on this device before logging in move to the account
+        if (deviceId) {
+            await claimDeviceWishlists(database, deviceId, account._id);
+        }
+    }
+
+    router.get('/register', (req, res) => {
+        res.send(generateRegisterPage({ next: req.query.next }, res.locals));
+    });
+
+    router.post('/register', asyncRoute(async (req, res) => {
+        const { name, email, password, confirm_password, next } = req.body;
+        try {
+            if (password !== confirm_password) {
+                throw new AppError(400, 'password_mismatch', "Passwords do not match");
+            }
+            const account = await registerAccount(database, {
+                name,
+                email,
+                password,
+                daytime_phone_number: req.body.daytime_phone,
+                mobile_number: req.body.mobile_phone
+            });
+            await logIn(req, account);
+            res.redirect(safeRedirectPath(next));
+        } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.status).send(generateRegisterPage({ name, email, next, error: error.message }, res.locals));
+            }
+            throw error;
+        }
+    }));
+
+    router.get('/login', (req, res) => {
+        res.send(generateLoginPage({ next: req.query.next }, res.locals));
+    });
+
+    router.post('/login', asyncRoute(async (req, res) => {
+        const { email, password, next } = req.body;
+        const account = await authenticate(database, email, password);
+        if (!account) {
+            return res.status(401).send(generateLoginPage({ email, next, error: "Incorrect email or password." }, res.locals));
+        }
+        await logIn(req, account);
+        res.redirect(safeRedirectPath(next));
+    }));
+
+    router.post('/logout', (req, res) => {
+        req.session.destroy(() => {
+            res.clearCookie('connect.sid');
+            res.redirect('/');
+        });
+    });
+
+    router.get('/forgot-password', (req, res) => {
+        res.send(generateForgotPasswordPage({}, res.locals));
+    });
+
+    router.post('/forgot-password', asyncRoute(async (req, res) => {
+        const reset = await createPasswordReset(database, req.body.email);
+        if (reset) {
+            await mailer.send({
+                to: reset.account.email,
+                subject: "Reset your AirBnB Clone password",
+                text: `Hi ${reset.account.name},\n\n` +
+                    `Someone asked to reset the password for your account. Use this link within the next hour:\n\n` +
+                    `${appUrl}/reset-password?token=${reset.token}\n\n` +
+                    `If it wasn't you, you can ignore this email.`
+            });
+        }
+        // Same response whether or not the account exists
+        res.send(generateForgotPasswordPage({ sent: true }, res.locals));
+    }));
+
+    router.get('/reset-password', (req, res) => {
+        res.send(generateResetPasswordPage({ token: req.query.token }, res.locals));
+    });
+
+    router.post('/reset-password', asyncRoute(async (req, res) => {
+        const { token, password, confirm_password } = req.body;
+        try {
+            if (password !== confirm_password) {
+                throw new AppError(400, 'password_mismatch', "Passwords do not match");
+            }
+            await resetPassword(database, token, password);
+            res.send(generateResetPasswordPage({ done: true }, res.locals));
+        } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.status).send(generateResetPasswordPage({ token, error: error.message }, res.locals));
+            }
+            throw error;
+        }
+    }));
+
+    // Profile used to prefill the booking form
+    router.get('/account', requireLogin, (req, res) => {
+        res.send(generateAccountPage(req.user, {}, res.locals));
+    });
+
+    router.post('/account', requireLogin, asyncRoute(async (req, res) => {
+        try {
+            await updateProfile(database, req.user._id, req.body);
+            const account = await getAccount(database, req.user._id);
+            res.send(generateAccountPage(account, { message: "Your profile has been updated." }, res.locals));
+        } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.status).send(generateAccountPage(req.user, { error: error.message }, res.locals));
+            }
+            throw error;
+        }
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createAccountRouter
+};
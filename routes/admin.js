@@ -0,0 +1,48 @@
+const express = require('express');
+const { hasRole } = require('../services/accounts');
+const { generateAdminJobsPage } = require('../views/admin');
+const { asyncRoute } = require('./helpers');
+
+// Admin - job scheduler status and running jobs by hand.
+
+// Admins are accounts with the 'admin' role
+function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (!hasRole(req.user, 'admin')) {
+        return res.status(403).send("Admin access required");
+    }
+    next();
+}
+
+function createAdminRouter({ scheduler }) {
+    const router = express.Router();
+
+    async function sendJobsPage(req, res, outcome = {}) {
+        const failuresOnly = req.query.failures === '1';
+        const status = await scheduler.status({ failuresOnly });
+        res.send(generateAdminJobsPage(status, { failuresOnly, ...outcome }, res.locals));
+    }
+
+    router.get('/admin/jobs', requireAdmin, asyncRoute(async (req, res) => {
+        await sendJobsPage(req, res);
+    }));
+
+    // Run a job straight away (unless it is already running)
+    router.post('/admin/jobs/:name/run', requireAdmin, asyncRoute(async (req, res) => {
+        if (!scheduler.has(req.params.name)) {
+            return res.status(404).send("Unknown job");
+        }
+        const run = await scheduler.runJob(req.params.name, { force: true });
+        await sendJobsPage(req, res, run ?
+            { ok: run.status === 'succeeded', message: `${req.params.name} ${run.status} in ${run.duration_ms} ms` } :
+            { ok: false, message: `${req.params.name} is already running` });
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
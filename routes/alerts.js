@@ -0,0 +1,75 @@
+const express = require('express');
+const { AppError } = require('../lib/errors');
+const {
+    saveSearch, watchListing, deleteSavedSearch, setSavedSearchEmail, unwatchListing, getAlertsOverview,
+    markAlertsRead
+} = require('../services/alerts');
+const { generateAlertsPage } = require('../views/alerts');
+const { requireLogin, asyncRoute } = require('./helpers');
+
+// Alert pages, for logged-in guests only.
+
+function createAlertRouter(database) {
+    const router = express.Router();
+
+    // Saved searches, watched listings and the alerts inbox (logged-in guests only)
+    async function sendAlertsPage(req, res, outcome = {}, status = 200) {
+        const overview = await getAlertsOverview(database, req.user._id);
+        res.status(status).send(generateAlertsPage(overview, req.user, outcome, res.locals));
+    }
+
+    router.get('/alerts', requireLogin, asyncRoute(async (req, res) => {
+        await sendAlertsPage(req, res);
+        // Shown once as new, then read
+        await markAlertsRead(database, req.user._id);
+    }));
+
+    // Run an alerts-page action, then show the page with its outcome
+    function alertsAction(action, message) {
+        return asyncRoute(async (req, res) => {
+            try {
+                const found = await action(req);
+                if (found === false) {
+                    return await sendAlertsPage(req, res, { error: "That alert no longer exists." }, 404);
+                }
+                await sendAlertsPage(req, res, { message: typeof message === 'function' ? message(req) : message });
+            } catch (error) {
+                if (error instanceof AppError) {
+                    return await sendAlertsPage(req, res, { error: error.message }, error.status);
+                }
+                throw error;
+            }
+        });
+    }
+
+    router.post('/saved-searches', requireLogin, alertsAction(
+        req => saveSearch(database, req.user, req.body),
+        req => `Search saved. We'll let you know when new places match${req.body.email_alerts ? ', by email too' : ''}.`
+    ));
+
+    router.post('/saved-searches/:id/email', requireLogin, alertsAction(
+        req => setSavedSearchEmail(database, req.user, req.params.id, req.body.email_alerts),
+        req => req.body.email_alerts ? "Email alerts turned on." : "Email alerts turned off."
+    ));
+
+    router.post('/saved-searches/:id/delete', requireLogin, alertsAction(
+        req => deleteSavedSearch(database, req.user, req.params.id),
+        "Saved search deleted."
+    ));
+
+    router.post('/watches', requireLogin, alertsAction(
+        req => watchListing(database, req.user, req.body),
+        req => req.body.check_in ? "Watching for price drops and for your dates opening up." : "Watching for price drops."
+    ));
+
+    router.post('/watches/:id/delete', requireLogin, alertsAction(
+        req => unwatchListing(database, req.user, req.params.id),
+        "Stopped watching."
+    ));
+
+    return router;
+}
+
+module.exports = {
+    createAlertRouter
+};
@@ -0,0 +1,295 @@
+const express = require('express');
+const { AppError } = require('../lib/errors');
+const { resolvePolicy } = require('../services/cancellation');
+const { toNumber } = require('../lib/numbers');
+const { searchFilters, searchListings, getListing, checkAvailability } = require('../services/listings');
+const { BOOKING_SCHEMA, quoteBooking, createBooking, findBooking, bookingPolicy, modifyBooking, cancelBooking, payBooking } = require('../services/bookings');
+const { REVIEW_CATEGORIES, getListingReviews, submitReview } = require('../services/reviews');
+const { BOOKING_RATE_LIMITS, enforceRateLimits } = require('../services/rate-limits');
+const { validate } = require('../lib/validation');
+const { asyncRoute } = require('./helpers');
+
+// Versioned JSON API. Every response is either `{ data: ... }` or
+// `{ error: { code, message, details } }` with a matching HTTP status.
+
+// Replace Decimal128 values (prices, bathrooms) with plain numbers so clients get JSON numbers
+function serialize(value) {
+    if (value && value._bsontype === 'Decimal128') {
+        return toNumber(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(serialize);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+        const result = {};
+        for (const [key, entry] of Object.entries(value)) {
+            result[key] = serialize(entry);
+        }
+        return result;
+    }
+    return value;
+}
+
+// Listings carry every guest's booking and the host's calendar notes - only expose
+// whether dates are free (see the availability endpoint)
+function publicListing(listing) {
+    const { bookings, calendar, host_id, ...rest } = listing;
+    if ('cancellation_policy' in rest) {
+        rest.cancellation_policy = resolvePolicy(rest.cancellation_policy);
+    }
+    return serialize(rest);
+}
+
+function bookingSummary({ listing, booking, client }) {
+    return serialize({
+        reference: booking.booking_id.toString().toUpperCase(),
+        status: booking.status,
+        listing: { id: listing._id, name: listing.name },
+        guest: { name: client.name, email: client.email },
+        arrival_date: booking.arrival_date,
+        departure_date: booking.departure_date,
+        num_guests: booking.num_guests,
+        deposit_paid: booking.deposit_paid,
+        balance_paid: booking.balance_paid,
+        balance_amount_due: booking.balance_amount_due,
+        balance_due_date: booking.balance_due_date,
+        payment_status: booking.payment_status,
+        // Only the card's description - never the gateway token
+        payment_method: booking.payment_method ? { brand: booking.payment_method.brand, last4: booking.payment_method.last4 } : null,
+        transactions: (booking.transactions || []).map(transaction => ({
+            id: transaction._id,
+            type: transaction.type,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            status: transaction.status,
+            failure_code: transaction.failure_code,
+            failure_message: transaction.failure_message,
+            created_at: transaction.created_at
+        })),
+        booking_date: booking.booking_date,
+        price_quote: booking.price_quote,
+        modified_at: booking.modified_at,
+        cancelled_at: booking.cancelled_at,
+        cancellation_policy: bookingPolicy(booking, listing),
+        refund: booking.refund,
+        reviewed_at: booking.reviewed_at,
+        special_requirements: booking.special_requirements
+    });
+}
+
+function requireFields(source, fields) {
+    const missing = fields.filter(field => source[field] === undefined || source[field] === null || source[field] === '');
+    if (missing.length > 0) {
+        throw new AppError(400, 'missing_fields', "Required fields are missing", { fields: missing });
+    }
+}
+
+// The stay asked about by the availability and quote endpoints (see lib/validation.js)
+const STAY_SCHEMA = {
+    check_in: BOOKING_SCHEMA.check_in,
+    check_out: BOOKING_SCHEMA.check_out,
+    guests: { type: 'integer', label: 'Guests', min: 1 }
+};
+
+function createApiRouter(database, { payments, notifications } = {}) {
+    const router = express.Router();
+
+    // Search listings - same filters as the search form, including keywords (`q`), the
+    // radius (`lat`, `lng`, `radius_km`) and map-area (`bbox`) filters and the facets, whose
+    // option counts come back in `facets`. Invalid filters are a 400 'invalid_input' error
+    // with a message per field in `details.errors`.
+    router.get('/listings', asyncRoute(async (req, res) => {
+        const results = await searchListings(database, searchFilters(req.query));
+        res.json({
+            data: results.listings.map(publicListing),
+            count: results.listings.length,
+            total: results.total,
+            page: results.page,
+            page_size: results.pageSize,
+            total_pages: results.totalPages,
+            sort: results.sort,
+            q: results.q,
+            geo: results.geo,
+            facets: results.facets
+        });
+    }));
+
+    // Listing detail
+    router.get('/listings/:id', asyncRoute(async (req, res) => {
+        const listing = await getListing(database, req.params.id);
+        if (!listing || listing.published === false) {
+            throw new AppError(404, 'listing_not_found', "Listing not found");
+        }
+        res.json({ data: publicListing(listing) });
+    }));
+
+    // A page of a listing's reviews: `sort` (newest, oldest), `q` to search review text, `page`
+    router.get('/listings/:id/reviews', asyncRoute(async (req, res) => {
+        const results = await getListingReviews(database, req.params.id, req.query);
+        if (!results) {
+            throw new AppError(404, 'listing_not_found', "Listing not found");
+        }
+        res.json({
+            data: serialize(results.reviews),
+            count: results.reviews.length,
+            total: results.total,
+            page: results.page,
+            page_size: results.pageSize,
+            total_pages: results.totalPages,
+            sort: results.sort,
+            q: results.q
+        });
+    }));
+
+    // Availability of a listing for a date range
+    router.get('/listings/:id/availability', asyncRoute(async (req, res) => {
+        const { check_in: checkInDate, check_out: checkOutDate } = validate(STAY_SCHEMA, req.query);
+
+        const availability = await checkAvailability(database, req.params.id, checkInDate, checkOutDate);
+        if (availability === null) {
+            throw new AppError(404, 'listing_not_found', "Listing not found");
+        }
+        res.json({
+            data: {
+                listing_id: req.params.id,
+                check_in: checkInDate,
+                check_out: checkOutDate,
+                available: availability.available,
+                reason: availability.reason
+            }
+        });
+    }));
+
+    // Itemised price for a stay - the booking page uses this for its price breakdown. A stay
+    // the listing's calendar rules wouldn't allow is refused, as the booking would be.
+    router.get('/listings/:id/quote', asyncRoute(async (req, res) => {
+        const { check_in: checkInDate, check_out: checkOutDate, guests } = validate(STAY_SCHEMA, req.query);
+        res.json({ data: await quoteBooking(database, req.params.id, { checkInDate, checkOutDate, guests }) });
+    }));
+
+    // Create a booking. Fields that are present but invalid (a past or backwards date range,
+    // more guests than the listing sleeps, a malformed email or phone number) are reported
+    // field by field, like the search filters (services/bookings.js BOOKING_SCHEMA).
+    router.post('/bookings', asyncRoute(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['listing_id', 'check_in', 'check_out', 'guest_count', 'client_name', 'email', 'card_number', 'card_expiry', 'card_cvc']);
+        // Shares its limits with the booking form
+        await enforceRateLimits(database, 'book', BOOKING_RATE_LIMITS, { ip: req.ip, email: req.user ? req.user.email : body.email });
+
+        // Session-authenticated guests get the booking on their own account
+        const result = await createBooking(database, body, { account: req.user, payments, notifications });
+        res.status(201).json({ data: bookingSummary(result) });
+    }));
+
+    // Look up a booking by reference; the guest's email is required as proof of ownership
+    router.get('/bookings/:reference', asyncRoute(async (req, res) => {
+        requireFields(req.query, ['email']);
+
+        const result = await findBooking(database, req.params.reference, req.query.email);
+        if (!result) {
+            throw new AppError(404, 'booking_not_found', "No booking matches that reference and email");
+        }
+        res.json({ data: bookingSummary(result) });
+    }));
+
+    // Emails sent to the guest about a booking, newest first
+    router.get('/bookings/:reference/notifications', asyncRoute(async (req, res) => {
+        requireFields(req.query, ['email']);
+
+        const result = await findBooking(database, req.params.reference, req.query.email);
+        if (!result) {
+            throw new AppError(404, 'booking_not_found', "No booking matches that reference and email");
+        }
+        const emails = notifications ? await notifications.history(result.booking.booking_id, { recipient: 'guest' }) : [];
+        res.json({
+            data: emails.map(entry => ({
+                type: entry.type,
+                to: entry.to || null,
+                subject: entry.subject || null,
+                status: entry.status,
+                created_at: entry.created_at
+            }))
+        });
+    }));
+
+    // Change dates or guest count; the body carries the guest's email plus the fields to change
+    router.patch('/bookings/:reference', asyncRoute(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['email']);
+        if (body.check_in || body.check_out) {
+            requireFields(body, ['check_in', 'check_out']);
+        }
+
+        const result = await modifyBooking(database, req.params.reference, body.email, body, { notifications });
+        res.json({ data: bookingSummary(result) });
+    }));
+
+    // Cancel a booking
+    router.post('/bookings/:reference/cancel', asyncRoute(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['email']);
+
+        const result = await cancelBooking(database, req.params.reference, body.email, { payments, notifications });
+        res.json({ data: bookingSummary(result) });
+    }));
+
+    // Pay what is outstanding (a declined deposit or balance, or the balance early) with a new card
+    router.post('/bookings/:reference/payments', asyncRoute(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['email', 'card_number', 'card_expiry', 'card_cvc']);
+
+        const result = await payBooking(database, req.params.reference, body.email, body, { payments, notifications });
+        res.status(201).json({ data: bookingSummary(result) });
+    }));
+
+    // Review a completed stay: a 1-10 score for each category plus `comments` (body includes `email`)
+    router.post('/bookings/:reference/review', asyncRoute(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['email', ...REVIEW_CATEGORIES.map(({ key }) => key), 'comments']);
+
+        const { review } = await submitReview(database, req.params.reference, body.email, body);
+        res.status(201).json({
+            data: serialize({
+                id: review._id,
+                listing_id: review.listing_id,
+                reviewer_name: review.reviewer_name,
+                date: review.date,
+                scores: review.scores,
+                rating: review.rating,
+                comments: review.comments
+            })
+        });
+    }));
+
+    router.use((req, res) => {
+        res.status(404).json({ error: { code: 'not_found', message: "Unknown API endpoint" } });
+    });
+
+    router.use(handleApiError);
+
+    return router;
+}
+
+// Error handler for everything under /api - also registered on the app so that
+// body parsing failures get the same JSON error body
+function handleApiError(error, req, res, next) {
+    if (error instanceof AppError) {
+        if (error.code === 'rate_limited') {
+            res.set('Retry-After', String(error.details.retry_after));
+        }
+        return res.status(error.status).json({
+            error: { code: error.code, message: error.message, details: error.details }
+        });
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: { code: 'invalid_json', message: "Request body is not valid JSON" } });
+    }
+
+    console.error("API error:", error);
+    res.status(500).json({ error: { code: 'internal_error', message: "Something went wrong" } });
+}
+
+module.exports = {
+    createApiRouter,
+    handleApiError
+};
@@ -0,0 +1,233 @@
+const express = require('express');
+const { AppError } = require('../lib/errors');
+const { html } = require('../lib/html');
+const { validate } = require('../lib/validation');
+const { getListing } = require('../services/listings');
+const {
+    BOOKING_SCHEMA, createBooking, findBooking, modifyBooking, cancelBooking, payBooking
+} = require('../services/bookings');
+const { submitReview } = require('../services/reviews');
+const { BOOKING_RATE_LIMITS, enforceRateLimits } = require('../services/rate-limits');
+const { getTrips } = require('../services/trips');
+const { getWishlists } = require('../services/wishlists');
+const { fieldErrors } = require('../views/components');
+const { generateBookingPage, generateConfirmationPage } = require('../views/booking');
+const { generateManageLookupPage, generateManageBookingPage } = require('../views/manage');
+const { generateTripsPage } = require('../views/trips');
+const { wishlistOwner, asyncRoute } = require('./helpers');
+
+// The listing page and its booking form, manage booking and My trips.
+
+// What to suggest when a booking can't be made, by error code
+const BOOKING_ERROR_HINTS = {
+    invalid_card: 'Please check your card details and try again.',
+    rate_limited: 'Booking attempts are limited to protect guests from card fraud.'
+};
+
+// My trips - bookings for the logged-in guest, or for a guest who has verified
+// themselves by looking up one of their bookings with its reference and email
+function tripsOwner(req) {
+    if (req.user) {
+        return { query: { _id: req.user._id }, email: req.user.email };
+    }
+    if (req.session.verifiedEmail) {
+        return { query: { email: req.session.verifiedEmail }, email: req.session.verifiedEmail };
+    }
+    return null;
+}
+
+function createBookingRouter(database, { payments, notifications } = {}) {
+    const router = express.Router();
+
+    // Bookings page route with enhanced data
+    router.get('/bookings', asyncRoute(async (req, res) => {
+        const { check_in, check_out, guests } = req.query;
+        const { listing_id: listingId } = validate({ listing_id: BOOKING_SCHEMA.listing_id }, req.query);
+
+        const listing = await getListing(database, listingId);
+
+        // Unpublished listings are only visible to their host
+        if (!listing || (listing.published === false && !(req.user && req.user._id.equals(listing.host_id)))) {
+            return res.status(404).send("Listing not found");
+        }
+
+        // Dates and guests chosen in the search results prefill the booking form
+        const owner = wishlistOwner(req);
+        const wishlists = owner ? await getWishlists(database, owner) : [];
+        res.send(generateBookingPage(listing, { user: req.user, stay: { check_in, check_out, guests }, wishlists }, res.locals));
+    }));
+
+    // Process booking submission with enhancements. An error while showing the form again
+    // goes on to the app's error page.
+    router.post('/book', asyncRoute(async (req, res) => {
+        try {
+            // Per IP address and per guest email, so card testing can't hammer the payment gateway
+            await enforceRateLimits(database, 'book', BOOKING_RATE_LIMITS, {
+                ip: req.ip,
+                email: req.user ? req.user.email : req.body.email
+            });
+            const { booking, listing, totalCost, quote } = await createBooking(database, req.body, { account: req.user, payments, notifications });
+
+            res.send(generateConfirmationPage(booking, { clientName: req.body.client_name, propertyName: listing.name, totalCost, quote }, res.locals));
+        } catch (error) {
+            // Invalid details or card: the booking form again, filled in, with the fields marked
+            if (error instanceof AppError && error.details && error.details.fields) {
+                const listing = await getListing(database, String(req.body.listing_id || ''));
+                if (listing && listing.published !== false) {
+                    const owner = wishlistOwner(req);
+                    const wishlists = owner ? await getWishlists(database, owner) : [];
+                    const { check_in, check_out, guest_count } = req.body;
+                    return res.status(error.status).send(generateBookingPage(listing, {
+                        user: req.user,
+                        stay: { check_in, check_out, guests: guest_count },
+                        wishlists,
+                        invalid: { message: error.message, errors: fieldErrors(error), values: req.body }
+                    }, res.locals));
+                }
+            }
+            if (error instanceof AppError && error.code === 'dates_unavailable') {
+                return res.status(error.status).send(`
+                    <div class="container mt-5">
+                        <div class="alert alert-danger text-center">
+                            <h3>Sorry, this property is not available for your selected dates.</h3>
+                            <p>Please select different dates or choose another property.</p>
+                            <a href="/" class="btn btn-primary">Back to Search</a>
+                        </div>
+                    </div>
+                `);
+            }
+            if (error instanceof AppError) {
+                if (error.code === 'rate_limited') {
+                    res.set('Retry-After', String(error.details.retry_after));
+                }
+                return res.status(error.status).send(html`
+                    <div class="container mt-5">
+                        <div class="alert alert-danger text-center">
+                            <h3>${error.message}</h3>
+                            <p>${BOOKING_ERROR_HINTS[error.code] || 'Please select different dates or choose another property.'}</p>
+                            <a href="/bookings?listing_id=${req.body.listing_id}" class="btn btn-primary">Back to Property</a>
+                        </div>
+                    </div>
+                `.toString());
+            }
+            throw error;
+        }
+    }));
+
+    // Manage booking - look up a reservation by reference and email
+    router.get('/manage', (req, res) => {
+        res.send(generateManageLookupPage({}, res.locals));
+    });
+
+    router.post('/manage', asyncRoute(async (req, res) => {
+        const { reference, email } = req.body;
+        const found = await findBooking(database, reference, email);
+
+        if (!found) {
+            return res.status(404).send(generateManageLookupPage({
+                reference, email,
+                error: "We couldn't find a booking with that reference and email address."
+            }, res.locals));
+        }
+
+        // Knowing a booking's reference and email lets the guest see all their trips
+        req.session.verifiedEmail = found.client.email;
+        await sendManagePage(res, found, reference, email);
+    }));
+
+    // Change dates or guest count of an existing booking
+    router.post('/manage/modify', asyncRoute(async (req, res) => {
+        const { reference, email, check_in, check_out, guest_count } = req.body;
+        try {
+            const updated = await modifyBooking(database, reference, email, { check_in, check_out, guest_count }, { notifications });
+            await sendManagePage(res, updated, reference, email, { message: "Your booking has been updated." });
+        } catch (error) {
+            await sendManageError(res, error, reference, email);
+        }
+    }));
+
+    // Cancel a booking, freeing its dates
+    router.post('/manage/cancel', asyncRoute(async (req, res) => {
+        const { reference, email } = req.body;
+        try {
+            const cancelled = await cancelBooking(database, reference, email, { payments, notifications });
+            await sendManagePage(res, cancelled, reference, email, { message: "Your booking has been cancelled." });
+        } catch (error) {
+            await sendManageError(res, error, reference, email);
+        }
+    }));
+
+    // Pay a declined deposit or balance, or the balance ahead of time, with a new card
+    router.post('/manage/pay', asyncRoute(async (req, res) => {
+        const { reference, email } = req.body;
+        try {
+            const paid = await payBooking(database, reference, email, req.body, { payments, notifications });
+            await sendManagePage(res, paid, reference, email, {
+                message: `Thank you - your payment of $${paid.payment.transaction.amount.toFixed(2)} was successful.`
+            });
+        } catch (error) {
+            await sendManageError(res, error, reference, email);
+        }
+    }));
+
+    // Review a completed stay (once per booking)
+    router.post('/manage/review', asyncRoute(async (req, res) => {
+        const { reference, email } = req.body;
+        try {
+            const reviewed = await submitReview(database, reference, email, req.body);
+            await sendManagePage(res, reviewed, reference, email, { message: "Thank you for your review!" });
+        } catch (error) {
+            await sendManageError(res, error, reference, email);
+        }
+    }));
+
+    // Re-render the manage page (or lookup form) with the reason a change was refused. Other
+    // errors, and any error doing so, go on to the app's error page.
+    async function sendManageError(res, error, reference, email) {
+        if (!(error instanceof AppError)) {
+            throw error;
+        }
+
+        const found = await findBooking(database, reference, email);
+        if (!found) {
+            return res.status(error.status).send(generateManageLookupPage({ reference, email, error: error.message }, res.locals));
+        }
+        await sendManagePage(res, found, reference, email, { error: error.message }, error.status);
+    }
+
+    // Render the manage-booking page along with the emails the guest has been sent about it
+    async function sendManagePage(res, found, reference, email, outcome = {}, status = 200) {
+        const emails = await notifications.history(found.booking.booking_id, { recipient: 'guest' });
+        res.status(status).send(generateManageBookingPage({ ...found, emails }, reference, email, outcome, res.locals));
+    }
+
+    router.get('/trips', asyncRoute(async (req, res) => {
+        const owner = tripsOwner(req);
+        if (!owner) {
+            return res.redirect(`/login?next=${encodeURIComponent('/trips')}`);
+        }
+
+        const trips = await getTrips(database, owner.query);
+        res.send(generateTripsPage(trips, owner.email, req.user));
+    }));
+
+    // Detail view of one trip - the manage-booking page without re-entering the reference
+    router.get('/trips/:reference', asyncRoute(async (req, res) => {
+        const owner = tripsOwner(req);
+        if (!owner) {
+            return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+
+        const found = await findBooking(database, req.params.reference, owner.email);
+        if (!found) {
+            return res.status(404).send("Booking not found");
+        }
+        await sendManagePage(res, found, req.params.reference, owner.email);
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createBookingRouter
+};
@@ -0,0 +1,63 @@
+const { newDeviceId, savedListingIds } = require('../services/wishlists');
+
+// Helpers shared by the page routers.
+
+// Wishlists - kept for the logged-in guest, or for this browser until the guest logs in.
+// `create` gives a browser without one an id, saved in its session.
+function wishlistOwner(req, { create = false } = {}) {
+    if (req.user) {
+        return { client_id: req.user._id };
+    }
+    if (!req.session.deviceId && create) {
+        req.session.deviceId = newDeviceId();
+    }
+    return req.session.deviceId ? { device_id: req.session.deviceId } : null;
+}
+
+// Fill in the hearts on listings already in one of the guest's wishlists
+async function markSaved(database, req, listings) {
+    const owner = wishlistOwner(req);
+    const saved = owner ? await savedListingIds(database, owner) : new Set();
+    for (const listing of listings) {
+        listing.saved = saved.has(listing._id);
+    }
+    return listings;
+}
+
+function wantsJson(req) {
+    return req.accepts(['html', 'json']) === 'json';
+}
+
+// Only redirect to paths on this site after login. Browsers read a backslash as a slash and
+// drop tabs and newlines, so `/\evil.com` would be another site: those are refused, and what's
+// left must still resolve to this site.
+const REDIRECT_BASE = 'http://localhost';
+
+function safeRedirectPath(target) {
+    if (typeof target !== 'string' || !target.startsWith('/') || /[\\\x00-\x1f\x7f]/.test(target)) {
+        return '/';
+    }
+    const url = new URL(target, REDIRECT_BASE);
+    return url.origin === REDIRECT_BASE ? url.pathname + url.search + url.hash : '/';
+}
+
+// Express 4 doesn't forward rejected promises to the error handler on its own
+function asyncRoute(handler) {
+    return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function requireLogin(req, res, next) {
+    if (!req.user) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    next();
+}
+
+module.exports = {
+    wishlistOwner,
+    markSaved,
+    wantsJson,
+    safeRedirectPath,
+    asyncRoute,
+    requireLogin
+};
@@ -0,0 +1,163 @@
+const express = require('express');
+const { AppError } = require('../lib/errors');
+const { getSearchOptions } = require('../services/listings');
+const {
+    CALENDAR_PROJECTION, blockDates, unblockDates, setStayLimits, addRateOverride, removeRateOverride,
+    setWeekendPrice
+} = require('../services/calendar');
+const {
+    isHost, becomeHost, createListing, editListing, setPublished, getHostListing, getHostListings,
+    getListingBookings, respondToBooking
+} = require('../services/hosting');
+const {
+    generateHostDashboardPage, listingFormValues, generateListingFormPage, generateListingBookingsPage,
+    generateHostCalendarPage
+} = require('../views/hosting');
+const { requireLogin, asyncRoute } = require('./helpers');
+
+// Hosting - hosts are guest accounts with the host role, managing the listings they created:
+// the host dashboard, listing form, booking requests and calendar.
+
+function requireHost(req, res, next) {
+    if (!req.user) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (!isHost(req.user)) {
+        return res.redirect('/account');
+    }
+    next();
+}
+
+function createHostingRouter(database, { payments, notifications } = {}) {
+    const router = express.Router();
+
+    router.post('/host/become', requireLogin, asyncRoute(async (req, res) => {
+        await becomeHost(database, req.user._id);
+        res.redirect('/host');
+    }));
+
+    async function sendHostDashboard(req, res, outcome = {}) {
+        const listings = await getHostListings(database, req.user._id);
+        res.status(outcome.ok === false ? 400 : 200).send(generateHostDashboardPage(req.user, listings, outcome, res.locals));
+    }
+
+    router.get('/host', requireHost, asyncRoute(async (req, res) => {
+        await sendHostDashboard(req, res);
+    }));
+
+    router.get('/host/listings/new', requireHost, asyncRoute(async (req, res) => {
+        const { markets, propertyTypes } = await getSearchOptions(database);
+        res.send(generateListingFormPage(null, { markets, propertyTypes }, res.locals));
+    }));
+
+    router.post('/host/listings', requireHost, asyncRoute(async (req, res) => {
+        try {
+            const listing = await createListing(database, req.user, req.body);
+            res.redirect(`/host/calendar?listing_id=${listing._id}`);
+        } catch (error) {
+            if (error instanceof AppError) {
+                const { markets, propertyTypes } = await getSearchOptions(database);
+                return res.status(error.status).send(generateListingFormPage(null, { values: req.body, markets, propertyTypes, error }, res.locals));
+            }
+            throw error;
+        }
+    }));
+
+    router.get('/host/listings/:id/edit', requireHost, asyncRoute(async (req, res) => {
+        const listing = await getHostListing(database, req.user._id, req.params.id);
+        if (!listing) {
+            return res.status(404).send("Listing not found");
+        }
+        const { markets, propertyTypes } = await getSearchOptions(database);
+        res.send(generateListingFormPage(listing, { values: listingFormValues(listing), markets, propertyTypes }, res.locals));
+    }));
+
+    router.post('/host/listings/:id', requireHost, asyncRoute(async (req, res) => {
+        try {
+            await editListing(database, req.user._id, req.params.id, req.body);
+            await sendHostDashboard(req, res, { ok: true, message: "Listing updated" });
+        } catch (error) {
+            if (error instanceof AppError && error.code === 'invalid_listing') {
+                const listing = await getHostListing(database, req.user._id, req.params.id, { name: 1 });
+                const { markets, propertyTypes } = await getSearchOptions(database);
+                return res.status(error.status).send(generateListingFormPage(listing, { values: req.body, markets, propertyTypes, error }, res.locals));
+            }
+            throw error;
+        }
+    }));
+
+    // Unpublished listings drop out of search and the homepage but keep their bookings
+    router.post('/host/listings/:id/publish', requireHost, asyncRoute(async (req, res) => {
+        const published = req.body.published === 'true';
+        await setPublished(database, req.user._id, req.params.id, published);
+        await sendHostDashboard(req, res, { ok: true, message: published ? "Listing published" : "Listing unpublished" });
+    }));
+
+    async function sendListingBookings(req, res, outcome = {}) {
+        const result = await getListingBookings(database, req.user._id, req.params.id);
+        if (!result) {
+            return res.status(404).send("Listing not found");
+        }
+        res.status(outcome.ok === false ? 409 : 200).send(generateListingBookingsPage(result.listing, result.bookings, outcome, res.locals));
+    }
+
+    router.get('/host/listings/:id/bookings', requireHost, asyncRoute(async (req, res) => {
+        await sendListingBookings(req, res);
+    }));
+
+    // Accept or decline a booking request (listings with instant booking turned off)
+    router.post('/host/listings/:id/bookings/:bookingId/:decision(accept|decline)', requireHost, asyncRoute(async (req, res) => {
+        const outcome = await respondToBooking(database, req.user._id, req.params.id, req.params.bookingId, req.params.decision === 'accept', { payments, notifications });
+        await sendListingBookings(req, res, outcome);
+    }));
+
+    // Host calendar - blocked dates, stay limits and seasonal rates for one of the host's listings
+    async function sendHostCalendar(req, res, outcome = {}) {
+        const listingId = req.query.listing_id || req.body.listing_id;
+        if (!listingId) {
+            return res.status(400).send("Listing ID is required");
+        }
+
+        const listing = await getHostListing(database, req.user._id, listingId, {
+            _id: 1, name: 1, price: 1, bookings: 1, "address.market": 1, ...CALENDAR_PROJECTION
+        });
+        if (!listing) {
+            return res.status(404).send("Listing not found");
+        }
+
+        res.status(outcome.ok === false ? 400 : 200).send(generateHostCalendarPage(listing, outcome, res.locals));
+    }
+
+    router.get('/host/calendar', requireHost, asyncRoute(async (req, res) => {
+        await sendHostCalendar(req, res);
+    }));
+
+    // Each calendar form posts its action; the page is re-rendered with the outcome
+    const calendarActions = {
+        block: (body) => blockDates(database, body.listing_id, body.first_night, body.last_night, body.note),
+        unblock: (body) => unblockDates(database, body.listing_id, body.block_id),
+        limits: (body) => setStayLimits(database, body.listing_id, body.minimum_nights, body.maximum_nights),
+        rate: (body) => addRateOverride(database, body.listing_id, body.first_night, body.last_night, body.price, body.note),
+        'remove-rate': (body) => removeRateOverride(database, body.listing_id, body.rate_id),
+        weekend: (body) => setWeekendPrice(database, body.listing_id, body.weekend_price)
+    };
+
+    router.post('/host/calendar/:action', requireHost, asyncRoute(async (req, res) => {
+        const action = calendarActions[req.params.action];
+        if (!action) {
+            return res.status(404).send("Unknown calendar action");
+        }
+        if (!await getHostListing(database, req.user._id, req.body.listing_id, { _id: 1 })) {
+            return res.status(404).send("Listing not found");
+        }
+
+        const outcome = await action(req.body);
+        await sendHostCalendar(req, res, outcome);
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createHostingRouter
+};
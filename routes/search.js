@@ -0,0 +1,88 @@
+const express = require('express');
+const { AppError } = require('../lib/errors');
+const {
+    searchFilters, searchQueryString, searchListings, getSearchFacets, getFeaturedListings, getSearchOptions
+} = require('../services/listings');
+const { FACETS } = require('../services/facets');
+const { fieldErrors } = require('../views/components');
+const { generateHomepage } = require('../views/search');
+const { markSaved, asyncRoute } = require('./helpers');
+
+// The homepage and the search results pages.
+
+function createSearchRouter(database) {
+    const router = express.Router();
+
+    // Homepage route - serve the main search form and display listings
+    router.get('/', asyncRoute(async (req, res) => {
+        // Get some random listings for initial display (limit to 10)
+        const randomListings = await markSaved(database, req, await getFeaturedListings(database, 10));
+
+        // Get unique markets and property types for dropdowns, and the "More filters"
+        // options with counts across every listing
+        const { markets, propertyTypes } = await getSearchOptions(database);
+        const facets = await getSearchFacets(database, {});
+
+        res.send(generateHomepage(randomListings, { markets, propertyTypes, user: req.user, facets }, res.locals));
+    }));
+
+    // Search/filter route with enhanced filtering. Every filter, the sort and the page are in
+    // the query string, so results can be bookmarked, shared, refreshed and reached with Back.
+    // An error while showing the form again goes on to the app's error page.
+    router.get('/search', asyncRoute(async (req, res) => {
+        try {
+            const filters = searchFilters(req.query);
+            const { location, property_type, bedrooms, min_price, max_price, guests, check_in, check_out } = filters;
+
+            // Filter listings - availability for the requested dates is part of the query,
+            // and keyword searches are ranked by relevance
+            const results = await searchListings(database, filters);
+            await markSaved(database, req, results.listings);
+
+            // Get dropdowns for the form
+            const { markets, propertyTypes } = await getSearchOptions(database);
+
+            // The query string (without the page) is what "Save this search" saves
+            const { page, ...searched } = filters;
+            res.send(generateHomepage(results.listings, {
+                markets,
+                propertyTypes,
+                selectedValues: {
+                    q: results.q, location, property_type, bedrooms, min_price, max_price, guests, check_in, check_out, sort: results.sort
+                },
+                pagination: { ...results, query: searchQueryString(searched) },
+                user: req.user,
+                facets: results.facets
+            }, res.locals));
+        } catch (error) {
+            // Invalid filters, or an invalid point, radius or map area: back to the form
+            if (error instanceof AppError) {
+                return await sendSearchError(req, res, error);
+            }
+            throw error;
+        }
+    }));
+
+    // The search form again, without results, with the filters that were rejected marked.
+    // Facet choices are kept (their counts are across every listing) so nothing is lost.
+    async function sendSearchError(req, res, error) {
+        const filters = searchFilters(req.query);
+        const facetFilters = Object.fromEntries(Object.entries(filters).filter(([name]) => name in FACETS));
+        const { markets, propertyTypes } = await getSearchOptions(database);
+        const facets = await getSearchFacets(database, facetFilters);
+        res.status(error.status).send(generateHomepage([], {
+            markets,
+            propertyTypes,
+            selectedValues: filters,
+            user: req.user,
+            facets,
+            invalid: { message: error.message, errors: fieldErrors(error) }
+        }, res.locals));
+    }
+
+    return router;
+}
+
+module.exports = {
+    createSearchRouter
+};
@@ -0,0 +1,103 @@
+const express = require('express');
+const { AppError } = require('../lib/errors');
+const {
+    createWishlist, addToWishlist, removeFromWishlist, toggleSaved, deleteWishlist, setSharing,
+    getWishlistsWithListings, getSharedWishlist
+} = require('../services/wishlists');
+const { generateWishlistsPage, generateSharedWishlistPage } = require('../views/wishlists');
+const { wishlistOwner, wantsJson, safeRedirectPath, asyncRoute } = require('./helpers');
+
+// Wishlist pages, the heart on listings, and lists opened from their share link.
+
+function createWishlistRouter(database, { appUrl } = {}) {
+    const router = express.Router();
+
+    async function sendWishlistsPage(req, res, outcome = {}, status = 200) {
+        const owner = wishlistOwner(req);
+        const wishlists = owner ? await getWishlistsWithListings(database, owner) : [];
+        res.status(status).send(generateWishlistsPage(wishlists, req.user, outcome, { ...res.locals, appUrl }));
+    }
+
+    router.get('/wishlists', asyncRoute(async (req, res) => {
+        await sendWishlistsPage(req, res);
+    }));
+
+    // Run a wishlists-page action, then show the page with its outcome
+    function wishlistAction(action, message) {
+        return asyncRoute(async (req, res) => {
+            try {
+                const found = await action(req, wishlistOwner(req, { create: true }));
+                if (!found) {
+                    return await sendWishlistsPage(req, res, { error: "That wishlist no longer exists." }, 404);
+                }
+                await sendWishlistsPage(req, res, { message: typeof message === 'function' ? message(req, found) : message });
+            } catch (error) {
+                if (error instanceof AppError) {
+                    return await sendWishlistsPage(req, res, { error: error.message }, error.status);
+                }
+                throw error;
+            }
+        });
+    }
+
+    router.post('/wishlists', wishlistAction(
+        (req, owner) => createWishlist(database, owner, req.body.name),
+        (req, wishlist) => `Wishlist "${wishlist.name}" is ready. Tap the heart on a place to add it.`
+    ));
+
+    router.post('/wishlists/:id/delete', wishlistAction(
+        (req, owner) => deleteWishlist(database, owner, req.params.id),
+        "Wishlist deleted."
+    ));
+
+    router.post('/wishlists/:id/remove', wishlistAction(
+        (req, owner) => removeFromWishlist(database, owner, req.params.id, req.body.listing_id),
+        "Removed from the wishlist."
+    ));
+
+    router.post('/wishlists/:id/share', wishlistAction(
+        (req, owner) => setSharing(database, owner, req.params.id, Boolean(req.body.shared)),
+        (req, wishlist) => wishlist.share_token ? `Anyone with the link can now view "${wishlist.name}".` : `"${wishlist.name}" is no longer shared; the old link has stopped working.`
+    ));
+
+    // The heart on listing cards and pages. Answers JSON for the page script, or goes back
+    // to `next` when posted as a plain form.
+    router.post('/wishlists/toggle', asyncRoute(async (req, res) => {
+        const saved = await toggleSaved(database, wishlistOwner(req, { create: true }), req.body.listing_id);
+        if (wantsJson(req)) {
+            return res.json({ data: { saved } });
+        }
+        res.redirect(303, safeRedirectPath(req.body.next));
+    }));
+
+    // Save a listing to a chosen list, or to a new one, from the listing page
+    router.post('/wishlists/items', asyncRoute(async (req, res) => {
+        try {
+            const { listing_id, wishlist_id, name, next } = req.body;
+            // A typed name means a new list, whatever the dropdown says
+            const target = String(name || '').trim() ? { name } : { wishlistId: wishlist_id };
+            await addToWishlist(database, wishlistOwner(req, { create: true }), listing_id, target);
+            res.redirect(303, safeRedirectPath(next));
+        } catch (error) {
+            if (error instanceof AppError) {
+                return await sendWishlistsPage(req, res, { error: error.message }, error.status);
+            }
+            throw error;
+        }
+    }));
+
+    // A wishlist shared by link - read only, no account needed
+    router.get('/wishlists/shared/:token', asyncRoute(async (req, res) => {
+        const wishlist = await getSharedWishlist(database, req.params.token);
+        if (!wishlist) {
+            return res.status(404).send("This wishlist isn't shared any more");
+        }
+        res.send(generateSharedWishlistPage(wishlist));
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createWishlistRouter
+};
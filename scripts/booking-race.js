@@ -0,0 +1,80 @@
+// Concurrency harness for the booking reservation.
+//
+// Seeds a single listing into a throwaway database on a local MongoDB, fires a batch of
+// overlapping reservations at it in parallel and checks that exactly one of them wins.
+// The database is dropped afterwards.
+//
+// Usage: npm run test:race
+//        RACE_MONGODB_URI=mongodb://localhost:27017 RACE_ATTEMPTS=50 node scripts/booking-race.js
+//
+// Never point this at the real cluster - it creates and drops its own database.
+const { MongoClient, ObjectId } = require('mongodb');
+const { reserveDates } = require('../repositories/bookings');
+
+const uri = process.env.RACE_MONGODB_URI || "mongodb://localhost:27017";
+const attempts = parseInt(process.env.RACE_ATTEMPTS || '25');
+const databaseName = `airbnb_booking_race_${Date.now()}`;
+
+function makeBooking(arrival, departure) {
+    return {
+        booking_id: new ObjectId(),
+        client_id: new ObjectId(),
+        arrival_date: new Date(arrival),
+        departure_date: new Date(departure),
+        status: "confirmed",
+        booking_date: new Date()
+    };
+}
+
+async function run() {
+    const client = new MongoClient(uri);
+    await client.connect();
+
+    const database = client.db(databaseName);
+    const listings = database.collection('listingsAndReviews');
+    let failed = false;
+
+    try {
+        await listings.insertOne({ _id: 'race-listing', name: 'Race Condition Cottage', price: 100 });
+
+        // Every request overlaps every other one by at least a night
+        const requests = Array.from({ length: attempts }, (_, i) => {
+            const arrival = new Date(Date.UTC(2030, 0, 10 + (i % 3)));
+            const departure = new Date(arrival.getTime() + 3 * 24 * 60 * 60 * 1000);
+            return reserveDates(database, 'race-listing', makeBooking(arrival, departure));
+        });
+
+        const results = await Promise.all(requests);
+        const winners = results.filter(Boolean).length;
+        const listing = await listings.findOne({ _id: 'race-listing' });
+        const stored = (listing.bookings || []).length;
+
+        console.log(`${attempts} parallel overlapping bookings: ${winners} accepted, ${stored} stored`);
+        if (winners !== 1 || stored !== 1) {
+            console.error("FAIL: expected exactly one booking to win");
+            failed = true;
+        }
+
+        // Back-to-back stays must still both be accepted
+        const checkout = await reserveDates(database, 'race-listing', makeBooking('2030-02-01', '2030-02-05'));
+        const checkin = await reserveDates(database, 'race-listing', makeBooking('2030-02-05', '2030-02-08'));
+        if (!checkout || !checkin) {
+            console.error("FAIL: back-to-back bookings should not conflict");
+            failed = true;
+        }
+
+        if (!failed) {
+            console.log("PASS: overlapping bookings are rejected under concurrency");
+        }
+    } finally {
+        await database.dropDatabase();
+        await client.close();
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+run().catch(error => {
+    console.error("Booking race harness error:", error);
+    process.exit(1);
+});
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { findClient, insertClient, updateClient, findAndUpdateClient } = require('../repositories/clients');
+
+// Guest accounts. Accounts live in the same `clients` collection that bookings write to;
+// an account is a client record with an email (stored lower-case) and a password hash.
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '10');
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Profile fields guests can keep on their account (and that prefill the booking form)
+const PROFILE_FIELDS = ['name', 'daytime_phone_number', 'mobile_number', 'postal_address', 'home_address'];
+
+// Rules for the profile fields (see lib/validation.js), and for signing up
+const PROFILE_SCHEMA = {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+    daytime_phone_number: { type: 'phone', label: 'Daytime phone' },
+    mobile_number: { type: 'phone', label: 'Mobile phone' },
+    postal_address: { type: 'string', label: 'Postal address', maxLength: 500 },
+    home_address: { type: 'string', label: 'Home address', maxLength: 500 }
+};
+const REGISTRATION_SCHEMA = {
+    ...PROFILE_SCHEMA,
+    email: { type: 'email', label: 'Email', required: true }
+};
+
+function hasRole(account, role) {
+    return Boolean(account && Array.isArray(account.roles) && account.roles.includes(role));
+}
+
+function normaliseEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function checkPassword(password) {
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        throw new AppError(400, 'weak_password', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+// The account (if any) registered with this email
+async function findAccountByEmail(database, email) {
+    return findClient(database, {
+        email: normaliseEmail(email),
+        password_hash: { $exists: true }
+    });
+}
+
+async function getAccount(database, clientId) {
+    if (!clientId || !ObjectId.isValid(clientId)) {
+        return null;
+    }
+    return findClient(
+        database,
+        { _id: new ObjectId(clientId), password_hash: { $exists: true } },
+        { password_hash: 0, password_reset: 0 }
+    );
+}
+
+async function registerAccount(database, details) {
+    const values = validate(REGISTRATION_SCHEMA, details);
+    const email = normaliseEmail(values.email);
+    checkPassword(details.password);
+
+    if (await findAccountByEmail(database, email)) {
+        throw new AppError(409, 'email_taken', "An account with this email already exists");
+    }
+
+    const account = {
+        _id: new ObjectId(),
+        email,
+        password_hash: await bcrypt.hash(details.password, BCRYPT_ROUNDS),
+        created_at: new Date(),
+        booking_history: []
+    };
+    for (const field of PROFILE_FIELDS) {
+        account[field] = values[field] || '';
+    }
+
+    try {
+        await insertClient(database, account);
+    } catch (error) {
+        // Lost a race with another registration for the same email (unique index)
+        if (error.code === 11000) {
+            throw new AppError(409, 'email_taken', "An account with this email already exists");
+        }
+        throw error;
+    }
+    return account;
+}
+
+// Resolves to the account for valid credentials, null otherwise
+async function authenticate(database, email, password) {
+    const account = await findAccountByEmail(database, email);
+    if (!account || !password) {
+        return null;
+    }
+    return (await bcrypt.compare(String(password), account.password_hash)) ? account : null;
+}
+
+// Change the profile fields present in `details`; a blank field is cleared (except the name)
+async function updateProfile(database, clientId, details) {
+    const values = validate(PROFILE_SCHEMA, details, { partial: true });
+    const changes = {};
+    for (const field of PROFILE_FIELDS) {
+        if (details[field] !== undefined) {
+            changes[field] = values[field] || '';
+        }
+    }
+
+    await updateClient(database, { _id: clientId }, { $set: changes });
+}
+
+// Start a password reset. Resolves to the plain token to email to the guest, or null if
+// there is no such account (callers should respond the same way either way).
+async function createPasswordReset(database, email) {
+    const account = await findAccountByEmail(database, email);
+    if (!account) {
+        return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await updateClient(
+        database,
+        { _id: account._id },
+        { $set: { password_reset: { token_hash: hashToken(token), expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MS) } } }
+    );
+    return { account, token };
+}
+
+// Set a new password using a reset token. Tokens are single use.
+async function resetPassword(database, token, password) {
+    checkPassword(password);
+
+    const account = await findAndUpdateClient(
+        database,
+        {
+            "password_reset.token_hash": hashToken(String(token || '')),
+            "password_reset.expires_at": { $gt: new Date() }
+        },
+        {
+            $set: { password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS) },
+            $unset: { password_reset: "" }
+        }
+    );
+    if (!account) {
+        throw new AppError(400, 'invalid_token', "This password reset link is invalid or has expired");
+    }
+    return account;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    PROFILE_FIELDS,
+    PROFILE_SCHEMA,
+    hasRole,
+    normaliseEmail,
+    findAccountByEmail,
+    getAccount,
+    registerAccount,
+    authenticate,
+    updateProfile,
+    createPasswordReset,
+    resetPassword
+};
@@ -0,0 +1,312 @@
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../lib/errors');
+const { toNumber } = require('../lib/numbers');
+const { renderEmail } = require('./email-templates');
+const { validate } = require('../lib/validation');
+const { SEARCH_SCHEMA, searchFilters, searchQueryString, buildSearchQuery, getListing, checkAvailability } = require('./listings');
+const { findListings } = require('../repositories/listings');
+const { findClient } = require('../repositories/clients');
+const {
+    findAlerts, countAlerts, insertAlert, updateAlerts,
+    findSavedSearches, countSavedSearches, insertSavedSearch, updateSavedSearch, removeSavedSearch,
+    findWatch, findWatches, countWatches, updateWatch, removeWatch
+} = require('../repositories/alerts');
+
+// Saved searches and listing watches for logged-in guests, checked by scheduled jobs which
+// post what changed to the guest's in-app inbox (the `alerts` collection) and, when they
+// opted in, email it too.
+//
+//   saved_searches  - the search's filters and the listings it matched at the last check;
+//                     any listing matching now that didn't then is "new"
+//   listing_watches - a listing's price when last checked and, for watched dates, whether
+//                     they were free; a lower price or dates freed by a cancellation alert
+
+// Searches matching more listings than this can't be saved (new matches are tracked by id)
+const MAX_TRACKED_LISTINGS = 1000;
+const MAX_SAVED_SEARCHES = 20;
+const MAX_WATCHES = 50;
+// How many inbox alerts the alerts page shows
+const INBOX_SIZE = 50;
+
+// Rules for watching a listing (see lib/validation.js); the dates are optional, together
+const WATCH_SCHEMA = {
+    listing_id: { type: 'id', label: 'Listing', required: true },
+    check_in: { type: 'date', label: 'Check-in', notPast: true, requiredWith: 'check_out' },
+    check_out: { type: 'date', label: 'Check-out', after: 'check_in', requiredWith: 'check_in' }
+};
+
+// A saved search's filters: everything in its query string but the page
+function savedFilters(query) {
+    const filters = {};
+    for (const [name, value] of new URLSearchParams(String(query || ''))) {
+        if (name !== 'page' && value !== '') {
+            filters[name] = name in filters ? [].concat(filters[name], value) : value;
+        }
+    }
+    return searchFilters(filters);
+}
+
+// A short description of a search, used as its default name
+function describeSearch(filters) {
+    const shortDate = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const parts = [];
+    if (filters.q) parts.push(`"${filters.q}"`);
+    if (filters.location) parts.push(filters.location);
+    if (filters.lat && filters.lng) parts.push(`Within ${filters.radius_km || 5} km of a point`);
+    if (filters.bbox) parts.push('Map area');
+    if (filters.property_type) parts.push(filters.property_type);
+    if (filters.check_in && filters.check_out) parts.push(`${shortDate(filters.check_in)} – ${shortDate(filters.check_out)}`);
+    if (filters.guests) parts.push(`${filters.guests}+ guests`);
+    return parts.length > 0 ? parts.join(' · ') : 'All places';
+}
+
+// Ids of the listings a search matches now, or null when there are too many to track
+async function matchingListingIds(database, filters) {
+    const matches = await findListings(database, buildSearchQuery(filters), { projection: { _id: 1 }, limit: MAX_TRACKED_LISTINGS + 1 });
+    return matches.length > MAX_TRACKED_LISTINGS ? null : matches.map(listing => listing._id);
+}
+
+function toObjectId(id) {
+    return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+// Save the search in `input.query` (the results page's query string). Listings matching
+// now are recorded so that only ones matching later are alerted.
+async function saveSearch(database, account, input) {
+    const filters = savedFilters(input.query);
+    // The filters must be valid for the search to run; an invalid area throws from buildSearchQuery
+    validate(SEARCH_SCHEMA, filters);
+    if (await countSavedSearches(database, { client_id: account._id }) >= MAX_SAVED_SEARCHES) {
+        throw new AppError(409, 'too_many_saved_searches', `You can save up to ${MAX_SAVED_SEARCHES} searches; delete one to save another`);
+    }
+
+    const listingIds = await matchingListingIds(database, filters);
+    if (!listingIds) {
+        throw new AppError(400, 'search_too_broad', `This search matches more than ${MAX_TRACKED_LISTINGS} places. Narrow it down (a location or dates, say) to save it.`);
+    }
+
+    const search = {
+        client_id: account._id,
+        name: String(input.name || '').trim().slice(0, 100) || describeSearch(filters),
+        filters,
+        email: Boolean(input.email_alerts),
+        seen_listing_ids: listingIds,
+        created_at: new Date(),
+        last_checked_at: new Date()
+    };
+    return { _id: await insertSavedSearch(database, search), ...search };
+}
+
+// Watch a listing for price drops and, when dates are given, for those dates opening up
+async function watchListing(database, account, input) {
+    const { listing_id, check_in: checkIn, check_out: checkOut } = validate(WATCH_SCHEMA, input);
+    const listing = await getListing(database, listing_id, { _id: 1, name: 1, price: 1, published: 1 });
+    if (!listing || listing.published === false) {
+        throw new AppError(404, 'listing_not_found', "Listing not found");
+    }
+
+    const watch = { listing_id: listing._id, listing_name: listing.name, price: toNumber(listing.price), email: Boolean(input.email_alerts) };
+    if (checkIn) {
+        const availability = await checkAvailability(database, listing._id, checkIn, checkOut);
+        Object.assign(watch, { check_in: checkIn, check_out: checkOut, dates_available: availability.available });
+    } else {
+        Object.assign(watch, { check_in: null, check_out: null, dates_available: null });
+    }
+
+    const existing = await findWatch(database, { client_id: account._id, listing_id: listing._id }, { _id: 1 });
+    if (!existing && await countWatches(database, { client_id: account._id }) >= MAX_WATCHES) {
+        throw new AppError(409, 'too_many_watches', `You can watch up to ${MAX_WATCHES} places; stop watching one to watch another`);
+    }
+    // One watch per listing; watching again replaces the dates
+    await updateWatch(
+        database,
+        { client_id: account._id, listing_id: listing._id },
+        { $set: { ...watch, last_checked_at: new Date() }, $setOnInsert: { created_at: new Date() } },
+        { upsert: true }
+    );
+    return watch;
+}
+
+async function deleteSavedSearch(database, account, searchId) {
+    return removeSavedSearch(database, { _id: toObjectId(searchId), client_id: account._id });
+}
+
+async function setSavedSearchEmail(database, account, searchId, email) {
+    return updateSavedSearch(database, { _id: toObjectId(searchId), client_id: account._id }, { $set: { email: Boolean(email) } });
+}
+
+async function unwatchListing(database, account, watchId) {
+    return removeWatch(database, { _id: toObjectId(watchId), client_id: account._id });
+}
+
+// Everything the alerts page shows: the inbox (newest first), saved searches and watches
+async function getAlertsOverview(database, clientId) {
+    const [inbox, searches, watches] = await Promise.all([
+        findAlerts(database, { client_id: clientId }, INBOX_SIZE),
+        findSavedSearches(database, { client_id: clientId }, { seen_listing_ids: 0 }),
+        findWatches(database, { client_id: clientId })
+    ]);
+    return {
+        inbox,
+        searches: searches.map(search => ({ ...search, query: searchQueryString(search.filters) })),
+        watches
+    };
+}
+
+async function countUnreadAlerts(database, clientId) {
+    return countAlerts(database, { client_id: clientId, read_at: null });
+}
+
+async function markAlertsRead(database, clientId, now = new Date()) {
+    await updateAlerts(database, { client_id: clientId, read_at: null }, { $set: { read_at: now } });
+}
+
+// Posts alerts to guests' inboxes and emails the ones they opted into. Like booking
+// notifications, a failed email is recorded on the alert but never stops the job.
+function createAlerter(database, mailer, { appUrl }) {
+    async function deliver(clientId, { type, title, message, url }, { email = false } = {}) {
+        const alert = { client_id: clientId, type, title, message, url, created_at: new Date(), read_at: null, email_status: null };
+        if (email) {
+            try {
+                const guest = await findClient(database, { _id: clientId }, { name: 1, email: 1 });
+                if (!guest || !guest.email) {
+                    alert.email_status = 'skipped';
+                } else {
+                    await mailer.send({
+                        to: guest.email,
+                        ...renderEmail(title, {
+                            greeting: `Hi ${guest.name || 'there'},`,
+                            paragraphs: [message],
+                            action: { label: 'Take a look', url: `${appUrl}${url}` },
+                            footer: `You asked us to email you about this. Manage your alerts at ${appUrl}/alerts`
+                        })
+                    });
+                    alert.email_status = 'sent';
+                }
+            } catch (error) {
+                alert.email_status = 'failed';
+                alert.email_error = error.message;
+                console.error(`Could not email ${type} alert:`, error.message);
+            }
+        }
+        await insertAlert(database, alert);
+        return alert;
+    }
+
+    return { deliver };
+}
+
+// Alert each saved search's owner to listings that match now but didn't at the last check
+// (new listings, or ones whose dates have opened up)
+async function checkSavedSearches(database, alerter, now = new Date()) {
+    const searches = await findSavedSearches(database, {});
+    let alerted = 0;
+
+    for (const search of searches) {
+        const listingIds = await matchingListingIds(database, search.filters);
+        if (!listingIds) {
+            // Grown too broad to track; check again next time
+            continue;
+        }
+        const seen = new Set(search.seen_listing_ids || []);
+        const newIds = listingIds.filter(id => !seen.has(id));
+        if (newIds.length > 0) {
+            const count = newIds.length;
+            await alerter.deliver(search.client_id, {
+                type: 'new_listings',
+                title: `${count} new place${count === 1 ? '' : 's'} for "${search.name}"`,
+                message: `${count} place${count === 1 ? ' now matches' : 's now match'} your saved search "${search.name}".`,
+                url: `/search?${searchQueryString(search.filters)}`
+            }, { email: search.email });
+            alerted++;
+        }
+        await updateSavedSearch(database, { _id: search._id }, { $set: { seen_listing_ids: listingIds, last_checked_at: now } });
+    }
+
+    return { searches: searches.length, alerted };
+}
+
+// Alert watchers when a listing's price has dropped since the last check, or their dates
+// have become free (a cancellation, or the host unblocking them)
+async function checkWatches(database, alerter, now = new Date()) {
+    const watches = await findWatches(database, {});
+    const longDate = date => new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    let priceDrops = 0;
+    let datesOpened = 0;
+
+    for (const watch of watches) {
+        const listing = await getListing(database, watch.listing_id, { _id: 1, name: 1, price: 1, published: 1 });
+        if (!listing || listing.published === false) {
+            continue;
+        }
+        const update = { last_checked_at: now };
+        const stayQuery = watch.check_in
+            ? `&check_in=${watch.check_in.toISOString().split('T')[0]}&check_out=${watch.check_out.toISOString().split('T')[0]}`
+            : '';
+        const url = `/bookings?listing_id=${encodeURIComponent(listing._id)}${stayQuery}`;
+
+        const price = toNumber(listing.price);
+        if (price !== null && watch.price !== null && price < watch.price) {
+            await alerter.deliver(watch.client_id, {
+                type: 'price_drop',
+                title: `Price drop: ${listing.name}`,
+                message: `${listing.name} is now $${price.toFixed(2)} a night, down from $${watch.price.toFixed(2)}.`,
+                url
+            }, { email: watch.email });
+            priceDrops++;
+        }
+        update.price = price;
+
+        // Dates that have passed aren't watched any more
+        if (watch.check_in && watch.check_in > now) {
+            const availability = await checkAvailability(database, listing._id, watch.check_in, watch.check_out);
+            if (availability.available && watch.dates_available === false) {
+                await alerter.deliver(watch.client_id, {
+                    type: 'dates_available',
+                    title: `Your dates are free: ${listing.name}`,
+                    message: `${listing.name} is now available from ${longDate(watch.check_in)} to ${longDate(watch.check_out)}. Book soon - someone else may be watching too.`,
+                    url
+                }, { email: watch.email });
+                datesOpened++;
+            }
+            update.dates_available = availability.available;
+        }
+
+        await updateWatch(database, { _id: watch._id }, { $set: update });
+    }
+
+    return { watches: watches.length, price_drops: priceDrops, dates_opened: datesOpened };
+}
+
+function registerAlertJobs(scheduler, { database, alerter }) {
+    scheduler.register('saved-search-alerts', {
+        intervalMinutes: 60,
+        description: "Alert guests to new listings matching their saved searches",
+        run: now => checkSavedSearches(database, alerter, now)
+    });
+    scheduler.register('watch-alerts', {
+        intervalMinutes: 30,
+        description: "Alert guests to price drops and freed-up dates on listings they watch",
+        run: now => checkWatches(database, alerter, now)
+    });
+}
+
+module.exports = {
+    MAX_SAVED_SEARCHES,
+    MAX_WATCHES,
+    WATCH_SCHEMA,
+    describeSearch,
+    savedFilters,
+    saveSearch,
+    watchListing,
+    deleteSavedSearch,
+    setSavedSearchEmail,
+    unwatchListing,
+    getAlertsOverview,
+    countUnreadAlerts,
+    markAlertsRead,
+    createAlerter,
+    checkSavedSearches,
+    checkWatches,
+    registerAlertJobs
+};
@@ -0,0 +1,59 @@
+// Availability rules shared by the search results and the booking flow.
+// A stay occupies the nights from arrival up to (but not including) departure,
+// so back-to-back bookings where one guest leaves as the next arrives are fine.
+
+// Bookings in these states no longer hold their dates
+const INACTIVE_STATUSES = ['cancelled', 'declined', 'expired'];
+
+function isActiveBooking(booking) {
+    return !INACTIVE_STATUSES.includes(booking.status);
+}
+
+// True when the booking overlaps the requested check-in/check-out window
+function overlapsStay(booking, checkInDate, checkOutDate) {
+    const arrivalDate = new Date(booking.arrival_date);
+    const departureDate = new Date(booking.departure_date);
+
+    return (checkInDate < departureDate && checkOutDate > arrivalDate);
+}
+
+// True when any of the listing's active bookings clash with the requested dates.
+// Pass excludeBookingId when re-checking an existing booking's own new dates.
+function hasBookingConflict(bookings, checkInDate, checkOutDate, excludeBookingId = null) {
+    if (!bookings || bookings.length === 0) {
+        return false;
+    }
+
+    return bookings.some(booking =>
+        isActiveBooking(booking) &&
+        !(excludeBookingId && booking.booking_id && booking.booking_id.equals(excludeBookingId)) &&
+        overlapsStay(booking, checkInDate, checkOutDate)
+    );
+}
+
+// MongoDB filter matching listings with no active booking overlapping the requested dates.
+// Used as the condition of the reservation write so the check and the insert happen atomically.
+function noOverlapFilter(checkInDate, checkOutDate, excludeBookingId = null) {
+    const overlapping = {
+        status: { $nin: INACTIVE_STATUSES },
+        arrival_date: { $lt: checkOutDate },
+        departure_date: { $gt: checkInDate }
+    };
+    if (excludeBookingId) {
+        overlapping.booking_id = { $ne: excludeBookingId };
+    }
+
+    return {
+        bookings: {
+            $not: { $elemMatch: overlapping }
+        }
+    };
+}
+
+module.exports = {
+    INACTIVE_STATUSES,
+    isActiveBooking,
+    overlapsStay,
+    hasBookingConflict,
+    noOverlapFilter
+};
@@ -0,0 +1,198 @@
+const { addDays } = require('./calendar');
+const { cancelStay } = require('./bookings');
+const { collectDueBalances } = require('./payments');
+const { refundRequest } = require('./hosting');
+const { findBookings, transitionBooking, updateBooking } = require('../repositories/bookings');
+const { updateBookingHistory, updateBookingHistories } = require('../repositories/clients');
+
+// Scheduled work on bookings, run by the job scheduler (lib/scheduler.js). Each job is
+// safe to re-run: it only picks up bookings still in the state it acts on.
+
+// Remind guests this many days before their balance is charged
+const BALANCE_REMINDER_DAYS = 3;
+// Days after the due date before an unpaid balance cancels the booking
+const UNPAID_GRACE_DAYS = 2;
+// How long a booking whose deposit was never paid holds its dates
+const PENDING_BOOKING_TTL_HOURS = parseInt(process.env.PENDING_BOOKING_TTL_HOURS || '24');
+// How long the host has to accept or decline a booking request
+const REQUEST_RESPONSE_HOURS = parseInt(process.env.REQUEST_RESPONSE_HOURS || '24');
+
+// Set a status on a batch of bookings and their guests' booking history. Bookings that
+// have changed since they were found (a guest cancelling during the run) are left alone.
+// Resolves to how many were changed.
+async function setStatus(database, matches, status, timestampField, now) {
+    const bookingIds = [];
+    for (const { listing, booking } of matches) {
+        if (await transitionBooking(database, listing._id, booking.booking_id, booking.status, { status, [timestampField]: now })) {
+            bookingIds.push(booking.booking_id);
+        }
+    }
+    if (bookingIds.length > 0) {
+        await updateBookingHistories(database, bookingIds, { status });
+    }
+    return bookingIds.length;
+}
+
+// Email guests whose balance is about to be charged, and guests whose balance charge was
+// declined (once each; an email that fails to send is retried on the next run)
+async function sendBalanceReminders(database, notifications, now = new Date()) {
+    const upcoming = await findBookings(database, {
+        status: 'confirmed',
+        payment_status: 'deposit_paid',
+        balance_amount_due: { $gt: 0 },
+        balance_due_date: { $lte: addDays(now, BALANCE_REMINDER_DAYS) },
+        "reminders.balance_due": { $exists: false }
+    });
+    const failed = await findBookings(database, {
+        status: 'pending_payment',
+        payment_status: 'balance_pending',
+        "reminders.balance_failed": { $exists: false }
+    });
+
+    let sent = 0;
+    const remind = async ({ listing, booking }, kind, type, extra = {}) => {
+        const entry = await notifications.notify(type, { listing, booking, ...extra });
+        if (entry.status === 'failed') {
+            return;
+        }
+        if (entry.status === 'sent') {
+            sent++;
+        }
+        await updateBooking(database, listing._id, booking.booking_id, { [`reminders.${kind}`]: now });
+    };
+
+    for (const match of upcoming) {
+        await remind(match, 'balance_due', 'balance_reminder');
+    }
+    for (const match of failed) {
+        await remind(match, 'balance_failed', 'payment_failed', {
+            payBy: addDays(match.booking.balance_due_date, UNPAID_GRACE_DAYS)
+        });
+    }
+
+    return { balance_due: upcoming.length, balance_failed: failed.length, emails_sent: sent };
+}
+
+// Cancel bookings whose balance is still unpaid UNPAID_GRACE_DAYS after it fell due.
+// The guest's cancellation policy decides what they get back, as if they had cancelled.
+async function cancelUnpaidBookings(database, payments, notifications, now = new Date()) {
+    const overdue = await findBookings(database, {
+        status: { $in: ['confirmed', 'pending_payment'] },
+        // Bookings made before online payments have no payment_status and are left alone
+        payment_status: { $in: ['deposit_paid', 'balance_pending'] },
+        balance_amount_due: { $gt: 0 },
+        balance_due_date: { $lt: addDays(now, -UNPAID_GRACE_DAYS) }
+    });
+
+    let cancelled = 0;
+    const failures = [];
+    for (const { listing, booking } of overdue) {
+        try {
+            await cancelStay(database, listing, booking, { payments, notifications, reason: 'balance_unpaid', cancelledAt: now });
+            cancelled++;
+        } catch (error) {
+            failures.push(`${booking.booking_id}: ${error.message}`);
+        }
+    }
+    // Fail the run (so it shows up in the admin view) once every booking has been tried
+    if (failures.length > 0) {
+        throw new Error(`Cancelled ${cancelled}, could not cancel ${failures.length}: ${failures.join('; ')}`);
+    }
+    return { cancelled };
+}
+
+// Confirmed stays whose departure date has passed become 'completed'
+async function completeStays(database, now = new Date()) {
+    const finished = await findBookings(database, { status: 'confirmed', departure_date: { $lte: now } });
+    return { completed: await setStatus(database, finished, 'completed', 'completed_at', now) };
+}
+
+// Bookings whose deposit was never paid release their dates after PENDING_BOOKING_TTL_HOURS
+async function expirePendingBookings(database, now = new Date()) {
+    const abandoned = await findBookings(database, {
+        status: 'pending_payment',
+        payment_status: 'deposit_pending',
+        booking_date: { $lte: new Date(now.getTime() - PENDING_BOOKING_TTL_HOURS * 60 * 60 * 1000) }
+    });
+    return { expired: await setStatus(database, abandoned, 'expired', 'expired_at', now) };
+}
+
+// Requests the host hasn't answered within REQUEST_RESPONSE_HOURS expire, releasing their
+// dates, and the guest gets back everything they paid - as if the host had declined
+async function expireUnansweredRequests(database, payments, notifications, now = new Date()) {
+    const unanswered = await findBookings(database, {
+        status: 'requested',
+        booking_date: { $lte: new Date(now.getTime() - REQUEST_RESPONSE_HOURS * 60 * 60 * 1000) }
+    });
+
+    let expired = 0;
+    const failures = [];
+    for (const { listing, booking } of unanswered) {
+        try {
+            // Unless the host has answered in the meantime
+            const fields = { status: 'expired', expired_at: now, balance_amount_due: 0 };
+            if (!await transitionBooking(database, listing._id, booking.booking_id, 'requested', fields)) {
+                continue;
+            }
+            const refund = await refundRequest(database, payments, listing._id, booking, 'request_expired');
+            await updateBookingHistory(database, booking.booking_id, { status: 'expired' });
+            if (notifications) {
+                await notifications.notify('booking_cancellation', { listing, booking: { ...booking, status: 'expired', refund }, refund });
+            }
+            expired++;
+        } catch (error) {
+            failures.push(`${booking.booking_id}: ${error.message}`);
+        }
+    }
+    // Fail the run (so it shows up in the admin view) once every request has been tried
+    if (failures.length > 0) {
+        throw new Error(`Expired ${expired}, could not expire ${failures.length}: ${failures.join('; ')}`);
+    }
+    return { expired };
+}
+
+function registerBookingJobs(scheduler, { database, payments, notifications }) {
+    scheduler.register('collect-balances', {
+        intervalMinutes: 60,
+        description: "Charge balances that have fallen due",
+        run: now => collectDueBalances(database, payments, notifications, now)
+    });
+    scheduler.register('balance-reminders', {
+        intervalMinutes: 60,
+        description: `Email guests ${BALANCE_REMINDER_DAYS} days before their balance is charged, and when it is declined`,
+        run: now => sendBalanceReminders(database, notifications, now)
+    });
+    scheduler.register('cancel-unpaid', {
+        intervalMinutes: 60,
+        description: `Cancel bookings with a balance unpaid ${UNPAID_GRACE_DAYS} days after it was due`,
+        run: now => cancelUnpaidBookings(database, payments, notifications, now)
+    });
+    scheduler.register('complete-stays', {
+        intervalMinutes: 60,
+        description: "Mark stays completed after check-out",
+        run: now => completeStays(database, now)
+    });
+    scheduler.register('expire-pending', {
+        intervalMinutes: 15,
+        description: `Release bookings whose deposit is unpaid after ${PENDING_BOOKING_TTL_HOURS} hours`,
+        run: now => expirePendingBookings(database, now)
+    });
+    scheduler.register('expire-requests', {
+        intervalMinutes: 15,
+        description: `Expire booking requests the host hasn't answered within ${REQUEST_RESPONSE_HOURS} hours, refunding the guest`,
+        run: now => expireUnansweredRequests(database, payments, notifications, now)
+    });
+}
+
+module.exports = {
+    BALANCE_REMINDER_DAYS,
+    UNPAID_GRACE_DAYS,
+    PENDING_BOOKING_TTL_HOURS,
+    REQUEST_RESPONSE_HOURS,
+    sendBalanceReminders,
+    cancelUnpaidBookings,
+    completeStays,
+    expirePendingBookings,
+    expireUnansweredRequests,
+    registerBookingJobs
+};
@@ -0,0 +1,438 @@
+const { ObjectId } = require('mongodb');
+const { isActiveBooking } = require('./availability');
+const { resolvePolicy, calculateRefund } = require('./cancellation');
+const { PRICING_PROJECTION, roundMoney, quoteStay } = require('./pricing');
+const { checkStayRules } = require('./calendar');
+const { tokenizeCard, outstandingPayment, chargeBooking, refundBooking } = require('./payments');
+const { toNumber } = require('../lib/numbers');
+const { AppError } = require('../lib/errors');
+const { validate, invalidInput } = require('../lib/validation');
+const { findListing } = require('../repositories/listings');
+const { reserveDates, releaseDates, findListingWithBooking, rescheduleBooking, updateActiveBooking, updateBooking } = require('../repositories/bookings');
+const { findClientWithBooking, insertClient, addBookingHistory, updateBookingHistory } = require('../repositories/clients');
+
+// Rules for the booking form and the API's create-booking body (see lib/validation.js).
+// The card is checked by the payment gateway.
+const BOOKING_SCHEMA = {
+    listing_id: { type: 'id', label: 'Listing', required: true },
+    check_in: { type: 'date', label: 'Check-in', required: true, notPast: true },
+    check_out: { type: 'date', label: 'Check-out', required: true, after: 'check_in' },
+    guest_count: { type: 'integer', label: 'Number of guests', required: true, min: 1 },
+    client_name: { type: 'string', label: 'Full name', required: true, maxLength: 100 },
+    email: { type: 'email', label: 'Email address', required: true },
+    daytime_phone: { type: 'phone', label: 'Daytime phone' },
+    mobile_phone: { type: 'phone', label: 'Mobile phone' },
+    postal_address: { type: 'string', label: 'Postal address', maxLength: 500 },
+    home_address: { type: 'string', label: 'Home address', maxLength: 500 },
+    special_requirements: { type: 'string', label: 'Special requirements', maxLength: 1000 }
+};
+
+// Rules for changing a booking; every field is optional. The form resends the current dates,
+// so a check-in already past is only refused when it changes (see modifyBooking).
+const MODIFY_SCHEMA = {
+    check_in: { type: 'date', label: 'Check-in', requiredWith: 'check_out' },
+    check_out: { type: 'date', label: 'Check-out', after: 'check_in', requiredWith: 'check_in' },
+    guest_count: { type: 'integer', label: 'Number of guests', min: 1 }
+};
+
+// More guests than the listing sleeps is a field error like any other
+function checkGuestCount(listing, guestCount) {
+    if (listing.accommodates && guestCount > listing.accommodates) {
+        throw invalidInput({ guest_count: `This place has room for up to ${listing.accommodates} guest${listing.accommodates === 1 ? '' : 's'}` });
+    }
+}
+
+// Hosts who turn off instant booking accept or decline each request from the host
+// dashboard. Sample listings have no host to answer, so they are always booked instantly,
+// whatever their instant_bookable says.
+function needsHostApproval(listing) {
+    return Boolean(listing.host_id) && listing.instant_bookable === false;
+}
+
+function stayRuleError({ code, message }) {
+    return new AppError(code === 'dates_unavailable' ? 409 : 400, code, message);
+}
+
+// Itemised price for a stay at a published listing, as the booking would be charged (the
+// quote API). The stay is checked against the listing's calendar rules first, as a booking is.
+async function quoteBooking(database, listingId, { checkInDate, checkOutDate, guests }) {
+    const listing = await findListing(database, { _id: listingId, published: { $ne: false } }, PRICING_PROJECTION);
+    if (!listing) {
+        throw new AppError(404, 'listing_not_found', "Listing not found");
+    }
+    const ruleViolation = checkStayRules(listing, checkInDate, checkOutDate);
+    if (ruleViolation) {
+        throw stayRuleError(ruleViolation);
+    }
+    return quoteStay(listing, { checkInDate, checkOutDate, guests });
+}
+
+// Reserve a stay, record the guest and charge the deposit. Used by both the booking form
+// and the JSON API. When `account` is given (a logged-in guest) the booking is added to that
+// client record; otherwise a new client record is created for the guest.
+// Throws AppError when the details are invalid (BOOKING_SCHEMA), the listing is missing, the
+// card is unusable or the dates are taken.
+// A declined deposit is not an error: the booking is returned with status 'pending_payment'.
+async function createBooking(database, details, { account = null, payments, notifications } = {}) {
+    // A logged-in guest's own email is used; the form's copy is read-only
+    const {
+        listing_id,
+        check_in,
+        check_out,
+        guest_count,
+        client_name,
+        email,
+        daytime_phone,
+        mobile_phone,
+        postal_address,
+        home_address,
+        special_requirements
+    } = validate(BOOKING_SCHEMA, account ? { ...details, email: account.email } : details);
+
+    // First, get the listing for pricing info - unpublished listings take no new bookings
+    const listing = await findListing(
+        database,
+        { _id: listing_id, published: { $ne: false } },
+        { name: 1, cancellation_policy: 1, instant_bookable: 1, host_id: 1, accommodates: 1, ...PRICING_PROJECTION }
+    );
+    if (!listing) {
+        throw new AppError(404, 'listing_not_found', "Listing not found");
+    }
+    checkGuestCount(listing, guest_count);
+
+    const checkInDate = check_in;
+    const checkOutDate = check_out;
+
+    // Minimum/maximum nights and blocked dates from the host calendar
+    const ruleViolation = checkStayRules(listing, checkInDate, checkOutDate);
+    if (ruleViolation) {
+        throw stayRuleError(ruleViolation);
+    }
+
+    // Price the stay with the same engine that produced the quote on the booking page
+    const quote = quoteStay(listing, { checkInDate, checkOutDate, guests: guest_count });
+    const totalCost = quote.total;
+
+    // Check the card before holding any dates
+    const paymentMethod = await tokenizeCard(payments, details);
+
+    // Generate new IDs
+    const bookingId = new ObjectId();
+    const clientId = account ? account._id : new ObjectId();
+    const requiresHostApproval = needsHostApproval(listing);
+
+    const bookingData = {
+        booking_id: bookingId,
+        client_id: clientId,
+        arrival_date: checkInDate,
+        departure_date: checkOutDate,
+        // Nothing has been taken until the deposit charge below succeeds
+        deposit_paid: 0,
+        balance_paid: 0,
+        balance_amount_due: quote.balance_due,
+        balance_due_date: quote.balance_due_date,
+        price_quote: quote,
+        payment_status: "deposit_pending",
+        payment_method: paymentMethod,
+        transactions: [],
+        num_guests: guest_count,
+        status: "pending_payment",
+        requires_host_approval: requiresHostApproval,
+        booking_date: new Date(),
+        // Snapshot so later policy changes on the listing don't affect this booking
+        cancellation_policy: resolvePolicy(listing.cancellation_policy),
+        special_requirements: special_requirements,
+        guest_list: [{
+            name: client_name,
+            age: null
+        }]
+    };
+
+    // Reserve the dates - the availability check and the write are a single
+    // conditional update, so concurrent requests for the same dates can't both win
+    const reserved = await reserveDates(database, listing_id, bookingData);
+    if (!reserved) {
+        throw new AppError(409, 'dates_unavailable', "This property is not available for the selected dates");
+    }
+
+    const historyEntry = {
+        booking_id: bookingId,
+        listing_id: listing_id,
+        arrival_date: checkInDate,
+        departure_date: checkOutDate,
+        total_cost: totalCost,
+        guest_count: guest_count,
+        special_requirements: special_requirements,
+        status: "pending_payment"
+    };
+
+    // Create client record, or add to the logged-in guest's own
+    const clientData = account ? { ...account, booking_history: [historyEntry] } : {
+        _id: clientId,
+        name: client_name,
+        email: email,
+        daytime_phone_number: daytime_phone,
+        mobile_number: mobile_phone,
+        postal_address: postal_address,
+        home_address: home_address,
+        booking_history: [historyEntry]
+    };
+
+    try {
+        if (account) {
+            await addBookingHistory(database, clientId, historyEntry);
+        } else {
+            await insertClient(database, clientData);
+        }
+    } catch (error) {
+        // Don't leave the dates held by a booking nobody owns
+        await releaseDates(database, listing_id, bookingId);
+        throw error;
+    }
+
+    // Charge the deposit now that the dates are ours; a decline leaves the booking pending
+    const payment = await chargeBooking(database, payments, listing_id, bookingData, outstandingPayment(bookingData));
+    Object.assign(bookingData, payment.fields);
+    bookingData.transactions.push(payment.transaction);
+
+    await notifyBooked(notifications, listing, bookingData, clientData, payment);
+
+    return { listing, booking: bookingData, client: clientData, totalCost, quote, payment };
+}
+
+// Emails once a booking is made, or its held deposit is finally paid: the guest's
+// confirmation (or request to pay) and, when the deposit went through, a receipt and the
+// host's new-booking alert
+async function notifyBooked(notifications, listing, booking, guest, payment) {
+    if (!notifications) {
+        return;
+    }
+    await notifications.notify('booking_confirmation', { listing, booking, guest });
+    if (payment.ok) {
+        await notifications.notify('payment_receipt', { listing, booking, guest, transaction: payment.transaction });
+        await notifications.notify('host_new_booking', { listing, booking, guest });
+    }
+}
+
+// Parse a booking reference as shown on the confirmation page (case-insensitive ObjectId)
+function parseBookingReference(reference) {
+    const value = String(reference || '').trim().toLowerCase();
+    return ObjectId.isValid(value) && /^[0-9a-f]{24}$/.test(value) ? new ObjectId(value) : null;
+}
+
+// Look up a booking by its reference and the guest's email address.
+// Resolves to { client, history, listing, booking } or null if nothing matches.
+async function findBooking(database, reference, email) {
+    const bookingId = parseBookingReference(reference);
+    if (!bookingId || !email) {
+        return null;
+    }
+
+    // Accounts store their email lower-case; guest records keep it as typed
+    const trimmed = String(email).trim();
+    const client = await findClientWithBooking(database, [trimmed, trimmed.toLowerCase()], bookingId);
+    if (!client) {
+        return null;
+    }
+
+    const history = client.booking_history.find(entry => entry.booking_id.equals(bookingId));
+    const listing = await findListingWithBooking(database, history.listing_id, bookingId, {
+        _id: 1, name: 1, accommodates: 1, images: 1, "address.market": 1, cancellation_policy: 1, ...PRICING_PROJECTION
+    });
+    if (!listing || !listing.bookings || listing.bookings.length === 0) {
+        return null;
+    }
+
+    return { client, history, listing, booking: listing.bookings[0] };
+}
+
+// Why a booking in each closed state can no longer be changed
+const CLOSED_BOOKINGS = {
+    cancelled: "This booking has already been cancelled",
+    declined: "This booking request was declined by the host",
+    expired: "This booking expired because the deposit was never paid or the host didn't answer the request in time",
+    completed: "This stay has already been completed"
+};
+
+// Load a booking for the manage-booking flow, refusing ones that can no longer change
+async function findChangeableBooking(database, reference, email) {
+    const found = await findBooking(database, reference, email);
+    if (!found) {
+        throw new AppError(404, 'booking_not_found', "No booking matches that reference and email");
+    }
+    if (!isActiveBooking(found.booking) || found.booking.status === 'completed') {
+        throw new AppError(409, 'booking_cancelled', CLOSED_BOOKINGS[found.booking.status] || "This booking can no longer be changed");
+    }
+    return found;
+}
+
+// Change the dates and/or guest count of an existing booking. The new dates are checked
+// against every other active booking in the same conditional write that applies them.
+// The listing's embedded booking is the source of truth and is updated first; the
+// client's booking_history entry is then brought in line.
+async function modifyBooking(database, reference, email, changes, { notifications } = {}) {
+    const valid = validate(MODIFY_SCHEMA, changes);
+    const { client, listing, booking } = await findChangeableBooking(database, reference, email);
+
+    const checkInDate = valid.check_in || new Date(booking.arrival_date);
+    const checkOutDate = valid.check_out || new Date(booking.departure_date);
+    const guestCount = valid.guest_count || booking.num_guests;
+    // A stay can't be moved to start in the past
+    if (valid.check_in && checkInDate.getTime() !== new Date(booking.arrival_date).getTime()) {
+        validate({ check_in: { ...MODIFY_SCHEMA.check_in, notPast: true } }, { check_in: changes.check_in });
+    }
+    if (valid.guest_count) {
+        checkGuestCount(listing, guestCount);
+    }
+
+    const ruleViolation = checkStayRules(listing, checkInDate, checkOutDate);
+    if (ruleViolation) {
+        throw stayRuleError(ruleViolation);
+    }
+
+    const quote = quoteStay(listing, { checkInDate, checkOutDate, guests: guestCount });
+    const totalCost = quote.total;
+    // Whatever has already been taken counts towards the new total; the rest is the balance
+    const paid = (toNumber(booking.deposit_paid) || 0) + (toNumber(booking.balance_paid) || 0);
+    const balanceAmountDue = roundMoney(Math.max(totalCost - paid, 0));
+    const modifiedAt = new Date();
+    const paymentFields = booking.payment_status ? { payment_status: modifiedPaymentStatus(booking, balanceAmountDue) } : {};
+
+    const rescheduled = await rescheduleBooking(database, listing._id, booking.booking_id, checkInDate, checkOutDate, {
+        num_guests: guestCount,
+        balance_amount_due: balanceAmountDue,
+        balance_due_date: quote.balance_due_date,
+        price_quote: quote,
+        modified_at: modifiedAt,
+        ...paymentFields
+    });
+    if (!rescheduled) {
+        throw new AppError(409, 'dates_unavailable', "This property is not available for the selected dates");
+    }
+
+    await updateBookingHistory(database, booking.booking_id, {
+        arrival_date: checkInDate,
+        departure_date: checkOutDate,
+        guest_count: guestCount,
+        total_cost: totalCost,
+        modified_at: modifiedAt
+    }, client._id);
+
+    const updated = await findBooking(database, reference, email);
+    if (notifications) {
+        await notifications.notify('booking_modification', {
+            listing: updated.listing,
+            booking: updated.booking,
+            guest: updated.client,
+            previous: booking
+        });
+    }
+    return updated;
+}
+
+// A change of dates can add to (or clear) the balance of a booking that was already paid up
+function modifiedPaymentStatus(booking, balanceAmountDue) {
+    if (booking.payment_status === 'deposit_pending' || booking.payment_status === 'balance_pending') {
+        return booking.payment_status;
+    }
+    return balanceAmountDue > 0 ? 'deposit_paid' : 'paid';
+}
+
+// The policy a booking was made under. Bookings from before policies were
+// snapshotted fall back to the listing's current policy.
+function bookingPolicy(booking, listing) {
+    return booking.cancellation_policy || resolvePolicy(listing.cancellation_policy);
+}
+
+// Cancel a booking. Cancelled bookings stay on record but no longer block their dates.
+// The refund is worked out from the booking's policy snapshot, paid back through the
+// gateway and stored alongside it.
+async function cancelBooking(database, reference, email, { payments, notifications } = {}) {
+    const { client, listing, booking } = await findChangeableBooking(database, reference, email);
+    await cancelStay(database, listing, booking, { payments, notifications, guest: client });
+    return findBooking(database, reference, email);
+}
+
+// Cancel an already loaded booking. `reason` records why, for cancellations the guest
+// didn't ask for (e.g. 'balance_unpaid' from the scheduled jobs). Resolves to the refund.
+async function cancelStay(database, listing, booking, { payments, notifications, guest, reason = 'guest_request', cancelledAt = new Date() } = {}) {
+    const policy = bookingPolicy(booking, listing);
+    const refund = calculateRefund(policy, booking, cancelledAt);
+
+    const cancelled = await updateActiveBooking(database, listing._id, booking.booking_id, {
+        status: "cancelled",
+        cancelled_at: cancelledAt,
+        cancellation_policy: policy,
+        refund: refund,
+        balance_amount_due: 0,
+        cancellation_reason: reason
+    });
+    if (!cancelled) {
+        throw new AppError(409, 'booking_cancelled', "This booking has already been cancelled");
+    }
+
+    await updateBookingHistory(database, booking.booking_id, {
+        status: "cancelled",
+        cancelled_at: cancelledAt,
+        refund_amount: refund.total_refund
+    });
+
+    if (refund.total_refund > 0 && booking.transactions) {
+        const { refunded } = await refundBooking(database, payments, listing._id, booking, refund.total_refund, 'cancellation');
+        await updateBooking(database, listing._id, booking.booking_id, { "refund.refunded_amount": refunded });
+        refund.refunded_amount = refunded;
+    }
+
+    if (notifications) {
+        await notifications.notify('booking_cancellation', {
+            listing,
+            booking: { ...booking, status: 'cancelled', cancellation_reason: reason, balance_amount_due: 0, refund },
+            guest,
+            refund
+        });
+    }
+    return refund;
+}
+
+// Pay what is outstanding on a booking - a deposit or balance that was declined, or the
+// balance ahead of its due date - with a new card. Throws AppError(402) when the card is
+// declined; the attempt is still recorded on the booking.
+async function payBooking(database, reference, email, card, { payments, notifications } = {}) {
+    const { client, listing, booking } = await findChangeableBooking(database, reference, email);
+    const outstanding = outstandingPayment(booking);
+    if (!outstanding) {
+        throw new AppError(409, 'nothing_due', "There is nothing left to pay on this booking");
+    }
+
+    const paymentMethod = await tokenizeCard(payments, card);
+    const payment = await chargeBooking(database, payments, listing._id, booking, outstanding, paymentMethod);
+    if (!payment.ok) {
+        throw new AppError(402, 'payment_declined', payment.transaction.failure_message || "The payment was declined", {
+            code: payment.transaction.failure_code
+        });
+    }
+
+    const paid = await findBooking(database, reference, email);
+    if (outstanding.type === 'deposit') {
+        // The booking was on hold until now, so this is its real confirmation
+        await notifyBooked(notifications, listing, paid.booking, client, payment);
+    } else if (notifications) {
+        await notifications.notify('payment_receipt', { listing, booking: paid.booking, guest: client, transaction: payment.transaction });
+    }
+    return { ...paid, payment };
+}
+
+module.exports = {
+    BOOKING_SCHEMA,
+    MODIFY_SCHEMA,
+    needsHostApproval,
+    quoteBooking,
+    createBooking,
+    parseBookingReference,
+    findBooking,
+    bookingPolicy,
+    modifyBooking,
+    cancelBooking,
+    cancelStay,
+    payBooking
+};
@@ -0,0 +1,208 @@
+const { ObjectId } = require('mongodb');
+const { toNumber } = require('../lib/numbers');
+const { noOverlapFilter } = require('./availability');
+const { updateListing } = require('../repositories/listings');
+
+// Host calendar: blocked dates, stay length limits and nightly rate overrides.
+//
+// Stored on the listing as
+//   calendar: {
+//       blocked: [{ _id, start, end, note }],       // nights from start up to (not incl.) end
+//       rates: [{ _id, start, end, price, note }],  // nightly price override for a date range
+//       weekend_price                               // Friday and Saturday nights
+//   }
+// plus the dataset's own minimum_nights / maximum_nights (strings in the sample data).
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// The longest stay that can be quoted or booked, whatever the listing's own maximum (the
+// sample data has maximums of 1125 nights and more)
+const MAX_STAY_NIGHTS = 365;
+
+// Listing fields needed to apply the calendar
+const CALENDAR_PROJECTION = {
+    calendar: 1,
+    minimum_nights: 1,
+    maximum_nights: 1
+};
+
+function parseDay(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function rangesOverlap(startA, endA, startB, endB) {
+    return startA < endB && endA > startB;
+}
+
+// Minimum and maximum stay; a missing or zero maximum means unlimited
+function stayLimits(listing) {
+    const min = parseInt(toNumber(listing.minimum_nights)) || 1;
+    const max = parseInt(toNumber(listing.maximum_nights)) || null;
+    return { min, max };
+}
+
+// True when any night of the stay falls in a range the host has blocked
+function isBlocked(listing, checkInDate, checkOutDate) {
+    const blocked = (listing.calendar && listing.calendar.blocked) || [];
+    return blocked.some(range =>
+        rangesOverlap(checkInDate, checkOutDate, new Date(range.start), new Date(range.end))
+    );
+}
+
+// Why a stay can't be booked under the listing's calendar rules, or null if it can.
+// Existing bookings are checked separately (and atomically) by the reservation write.
+function checkStayRules(listing, checkInDate, checkOutDate) {
+    const nights = Math.ceil((checkOutDate - checkInDate) / DAY_MS);
+    const { min, max } = stayLimits(listing);
+
+    if (nights > MAX_STAY_NIGHTS) {
+        return { code: 'stay_too_long', message: `Stays can be at most ${MAX_STAY_NIGHTS} nights` };
+    }
+    if (nights < min) {
+        return { code: 'stay_too_short', message: `This property has a minimum stay of ${min} night${min > 1 ? 's' : ''}` };
+    }
+    if (max && nights > max) {
+        return { code: 'stay_too_long', message: `This property has a maximum stay of ${max} night${max > 1 ? 's' : ''}` };
+    }
+    if (isBlocked(listing, checkInDate, checkOutDate)) {
+        return { code: 'dates_unavailable', message: "This property is not available for the selected dates" };
+    }
+    return null;
+}
+
+// Price for the night starting on `date`: a date-range override wins (the most recently
+// added if several cover the night), then the weekend price, then the listing's base price
+function nightlyRate(listing, date) {
+    const calendar = listing.calendar || {};
+    const overrides = (calendar.rates || []).filter(rate =>
+        date >= new Date(rate.start) && date < new Date(rate.end)
+    );
+    if (overrides.length > 0) {
+        return toNumber(overrides[overrides.length - 1].price) || 0;
+    }
+
+    const day = date.getUTCDay();
+    const weekendPrice = toNumber(calendar.weekend_price);
+    if (weekendPrice && (day === 5 || day === 6)) {
+        return weekendPrice;
+    }
+
+    return toNumber(listing.price) || 0;
+}
+
+// MongoDB filter for listings with no blocked range overlapping the stay
+function notBlockedFilter(checkInDate, checkOutDate) {
+    return {
+        "calendar.blocked": {
+            $not: { $elemMatch: { start: { $lt: checkOutDate }, end: { $gt: checkInDate } } }
+        }
+    };
+}
+
+// Host operations. Dates are the first and last night affected (inclusive), as entered
+// on the calendar page; they are stored with an exclusive end like bookings are.
+
+function nightsRange(firstNight, lastNight) {
+    const start = parseDay(firstNight);
+    const last = parseDay(lastNight || firstNight);
+    if (!start || !last || last < start) {
+        return null;
+    }
+    return { start, end: addDays(last, 1) };
+}
+
+// Block a range of nights. Refused if a booking already holds any of them.
+async function blockDates(database, listingId, firstNight, lastNight, note) {
+    const range = nightsRange(firstNight, lastNight);
+    if (!range) {
+        return { ok: false, message: "Choose a valid range of nights to block" };
+    }
+
+    const blocked = await updateListing(database, { _id: listingId, ...noOverlapFilter(range.start, range.end) }, {
+        $push: { "calendar.blocked": { _id: new ObjectId(), ...range, note: note || '' } }
+    });
+    if (!blocked) {
+        return { ok: false, message: "Those dates overlap an existing booking" };
+    }
+    return { ok: true, message: "Dates blocked" };
+}
+
+async function unblockDates(database, listingId, blockId) {
+    if (!ObjectId.isValid(blockId)) {
+        return { ok: false, message: "Unknown blocked range" };
+    }
+    await updateListing(database, { _id: listingId }, { $pull: { "calendar.blocked": { _id: new ObjectId(blockId) } } });
+    return { ok: true, message: "Dates unblocked" };
+}
+
+async function setStayLimits(database, listingId, minimumNights, maximumNights) {
+    const min = parseInt(minimumNights) || 1;
+    const max = maximumNights === '' || maximumNights === undefined ? null : parseInt(maximumNights);
+    if (min < 1 || (max !== null && (Number.isNaN(max) || max < min))) {
+        return { ok: false, message: "Maximum nights must be empty or at least the minimum" };
+    }
+
+    // Stored as strings like the rest of the dataset
+    await updateListing(database, { _id: listingId }, {
+        $set: { minimum_nights: String(min), maximum_nights: max === null ? '' : String(max) }
+    });
+    return { ok: true, message: "Stay limits updated" };
+}
+
+async function addRateOverride(database, listingId, firstNight, lastNight, price, note) {
+    const range = nightsRange(firstNight, lastNight);
+    const amount = parseFloat(price);
+    if (!range || Number.isNaN(amount) || amount < 0) {
+        return { ok: false, message: "Enter a valid range of nights and a nightly price" };
+    }
+
+    await updateListing(database, { _id: listingId }, {
+        $push: { "calendar.rates": { _id: new ObjectId(), ...range, price: amount, note: note || '' } }
+    });
+    return { ok: true, message: "Seasonal rate added" };
+}
+
+async function removeRateOverride(database, listingId, rateId) {
+    if (!ObjectId.isValid(rateId)) {
+        return { ok: false, message: "Unknown seasonal rate" };
+    }
+    await updateListing(database, { _id: listingId }, { $pull: { "calendar.rates": { _id: new ObjectId(rateId) } } });
+    return { ok: true, message: "Seasonal rate removed" };
+}
+
+// An empty value clears the weekend price
+async function setWeekendPrice(database, listingId, price) {
+    const amount = price === '' || price === undefined ? null : parseFloat(price);
+    if (amount !== null && (Number.isNaN(amount) || amount < 0)) {
+        return { ok: false, message: "Enter a valid weekend price" };
+    }
+
+    await updateListing(database, { _id: listingId }, { $set: { "calendar.weekend_price": amount } });
+    return { ok: true, message: amount === null ? "Weekend price cleared" : "Weekend price updated" };
+}
+
+module.exports = {
+    MAX_STAY_NIGHTS,
+    CALENDAR_PROJECTION,
+    parseDay,
+    addDays,
+    stayLimits,
+    isBlocked,
+    checkStayRules,
+    nightlyRate,
+    notBlockedFilter,
+    blockDates,
+    unblockDates,
+    setStayLimits,
+    addRateOverride,
+    removeRateOverride,
+    setWeekendPrice
+};
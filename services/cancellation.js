@@ -0,0 +1,170 @@
+// Cancellation policies and refund calculation.
+//
+// A policy is a list of tiers ordered from furthest to closest to arrival. The first tier
+// whose `days_before` is met when the guest cancels decides what share of the deposit and
+// of any balance already paid is refunded. Cancelling later than every tier refunds nothing.
+//
+// Listings store either the name of a standard policy (the sample dataset already uses
+// "flexible", "moderate", "strict_14_with_grace_period", "super_strict_30"...) or a custom
+// policy object: { type: 'custom', tiers: [{ days_before, deposit_refund, balance_refund }] }.
+// Bookings keep a snapshot of the policy they were made under.
+
+const { roundMoney } = require('./pricing');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const STANDARD_POLICIES = {
+    flexible: {
+        label: 'Flexible',
+        tiers: [
+            { days_before: 1, deposit_refund: 100, balance_refund: 100 },
+            { days_before: 0, deposit_refund: 0, balance_refund: 50 }
+        ]
+    },
+    moderate: {
+        label: 'Moderate',
+        tiers: [
+            { days_before: 5, deposit_refund: 100, balance_refund: 100 },
+            { days_before: 0, deposit_refund: 0, balance_refund: 50 }
+        ]
+    },
+    strict: {
+        label: 'Strict',
+        tiers: [
+            { days_before: 14, deposit_refund: 50, balance_refund: 100 },
+            { days_before: 7, deposit_refund: 0, balance_refund: 50 }
+        ]
+    },
+    super_strict_30: {
+        label: 'Super Strict (30 days)',
+        tiers: [
+            { days_before: 30, deposit_refund: 50, balance_refund: 100 }
+        ]
+    },
+    super_strict_60: {
+        label: 'Super Strict (60 days)',
+        tiers: [
+            { days_before: 60, deposit_refund: 50, balance_refund: 100 }
+        ]
+    }
+};
+
+// Dataset names that map onto one of the standard policies
+const POLICY_ALIASES = {
+    strict_14_with_grace_period: 'strict'
+};
+
+const DEFAULT_POLICY = 'moderate';
+
+function clampPercent(value) {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        return 0;
+    }
+    return Math.min(Math.max(number, 0), 100);
+}
+
+function normaliseTiers(tiers) {
+    return (tiers || [])
+        .map(tier => ({
+            days_before: Math.max(parseInt(tier.days_before) || 0, 0),
+            deposit_refund: clampPercent(tier.deposit_refund),
+            balance_refund: clampPercent(tier.balance_refund)
+        }))
+        .sort((a, b) => b.days_before - a.days_before);
+}
+
+// Custom tiers as hosts type them into the listing form: one per line, as
+// "days before check-in, % of the deposit refunded, % of the balance refunded".
+// Returns null when a line doesn't parse, a percentage is over 100 or a day is repeated.
+function parseTiers(text) {
+    const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const tiers = [];
+    for (const line of lines) {
+        const values = line.split(',').map(value => value.trim());
+        if (values.length !== 3 || !values.every(value => /^\d+$/.test(value))) {
+            return null;
+        }
+        const [days_before, deposit_refund, balance_refund] = values.map(Number);
+        if (deposit_refund > 100 || balance_refund > 100) {
+            return null;
+        }
+        tiers.push({ days_before, deposit_refund, balance_refund });
+    }
+
+    const days = new Set(tiers.map(tier => tier.days_before));
+    if (tiers.length === 0 || days.size !== tiers.length) {
+        return null;
+    }
+    return normaliseTiers(tiers);
+}
+
+// The reverse of parseTiers, to fill the listing form
+function formatTiers(tiers) {
+    return tiers.map(tier => `${tier.days_before}, ${tier.deposit_refund}, ${tier.balance_refund}`).join('\n');
+}
+
+// Turn whatever is stored on a listing into a full policy snapshot
+function resolvePolicy(stored) {
+    if (stored && typeof stored === 'object') {
+        if (stored.type === 'custom') {
+            return { type: 'custom', label: stored.label || 'Custom', tiers: normaliseTiers(stored.tiers) };
+        }
+        // Already a resolved snapshot of a standard policy
+        return resolvePolicy(stored.type);
+    }
+
+    const name = POLICY_ALIASES[stored] || stored;
+    const type = STANDARD_POLICIES[name] ? name : DEFAULT_POLICY;
+    const policy = STANDARD_POLICIES[type];
+    return { type, label: policy.label, tiers: normaliseTiers(policy.tiers) };
+}
+
+// Human-readable lines describing each tier, for the booking and manage pages
+function describePolicy(policy) {
+    const lines = policy.tiers.map(tier => {
+        const when = tier.days_before > 0
+            ? `Cancel ${tier.days_before}+ day${tier.days_before > 1 ? 's' : ''} before check-in`
+            : 'Cancel before check-in';
+        return `${when}: ${tier.deposit_refund}% of the deposit and ${tier.balance_refund}% of any balance paid refunded`;
+    });
+
+    const lastTier = policy.tiers[policy.tiers.length - 1];
+    if (!lastTier || lastTier.days_before > 0) {
+        lines.push(lastTier
+            ? `Cancel less than ${lastTier.days_before} day${lastTier.days_before > 1 ? 's' : ''} before check-in: no refund`
+            : 'No refund on cancellation');
+    }
+    return lines;
+}
+
+// Refund owed when `booking` is cancelled at `cancelledAt` under `policy`
+function calculateRefund(policy, booking, cancelledAt = new Date()) {
+    const daysBeforeArrival = Math.floor((new Date(booking.arrival_date) - cancelledAt) / DAY_MS);
+    const tier = daysBeforeArrival >= 0
+        ? policy.tiers.find(candidate => daysBeforeArrival >= candidate.days_before) || null
+        : null;
+
+    const depositPaid = Number(booking.deposit_paid || 0);
+    const balancePaid = Number(booking.balance_paid || 0);
+    const depositRefund = tier ? roundMoney(depositPaid * tier.deposit_refund / 100) : 0;
+    const balanceRefund = tier ? roundMoney(balancePaid * tier.balance_refund / 100) : 0;
+
+    return {
+        days_before_arrival: daysBeforeArrival,
+        tier,
+        deposit_refund: depositRefund,
+        balance_refund: balanceRefund,
+        total_refund: roundMoney(depositRefund + balanceRefund)
+    };
+}
+
+module.exports = {
+    STANDARD_POLICIES,
+    DEFAULT_POLICY,
+    parseTiers,
+    formatTiers,
+    resolvePolicy,
+    describePolicy,
+    calculateRefund
+};
@@ -0,0 +1,256 @@
+const { toNumber } = require('../lib/numbers');
+const { html } = require('../lib/html');
+const { countNights } = require('./pricing');
+
+// Transactional emails, rendered from booking data. Each template names who receives it
+// ('guest' or 'host') and renders { subject, text, html } from a context of
+//   { listing, booking, guest, host, appUrl, ...extra }
+// where `booking` is the listing's embedded booking in its new state. The extras are
+// `transaction` (payment_receipt), `refund` (booking_cancellation) and `previous` - the
+// booking before the change (booking_modification).
+
+function money(amount) {
+    return `$${(toNumber(amount) || 0).toFixed(2)}`;
+}
+
+function longDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function reference(booking) {
+    return booking.booking_id.toString().toUpperCase();
+}
+
+function cardName(paymentMethod) {
+    return paymentMethod ? `${paymentMethod.brand} ending ${paymentMethod.last4}` : 'your card';
+}
+
+function guestName(context) {
+    return (context.guest && context.guest.name) || context.booking.guest_list?.[0]?.name || 'there';
+}
+
+// The rows every booking email shows
+function stayDetails(booking) {
+    const nights = countNights(new Date(booking.arrival_date), new Date(booking.departure_date));
+    const rows = [
+        ['Reference', reference(booking)],
+        ['Check-in', longDate(booking.arrival_date)],
+        ['Check-out', longDate(booking.departure_date)],
+        ['Nights', nights],
+        ['Guests', booking.num_guests]
+    ];
+    if (booking.price_quote) {
+        rows.push(['Total', money(booking.price_quote.total)]);
+    }
+    return rows;
+}
+
+function paymentDetails(booking) {
+    const rows = [['Deposit paid', money(booking.deposit_paid)]];
+    if (toNumber(booking.balance_paid) > 0) {
+        rows.push(['Balance paid', money(booking.balance_paid)]);
+    }
+    if (toNumber(booking.balance_amount_due) > 0) {
+        rows.push(['Balance due', `${money(booking.balance_amount_due)} on ${longDate(booking.balance_due_date)}`]);
+    }
+    return rows;
+}
+
+function manageAction(context) {
+    return { label: 'Manage your booking', url: `${context.appUrl}/manage` };
+}
+
+// Lay out an email as plain text and as simple inline-styled HTML
+function renderEmail(subject, { greeting, paragraphs = [], details = [], action = null, footer = '' }) {
+    const text = [
+        greeting,
+        '',
+        ...paragraphs.flatMap(paragraph => [paragraph, '']),
+        ...details.map(([label, value]) => `${label}: ${value}`),
+        ...(details.length > 0 ? [''] : []),
+        ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+        ...(footer ? [footer, ''] : []),
+        'AirBnB Clone'
+    ].join('\n');
+
+    const body = html`<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f7f7f7;font-family:Helvetica,Arial,sans-serif;color:#222;">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:32px;">
+        <h1 style="font-size:20px;color:#FF5A5F;margin:0 0 24px;">AirBnB Clone</h1>
+        <p>${greeting}</p>
+        ${paragraphs.map(paragraph => html`<p>${paragraph}</p>
+        `)}
+        ${details.length === 0 ? '' : html`<table style="width:100%;border-collapse:collapse;margin:16px 0;">
+            ${details.map(([label, value]) => html`<tr><th style="text-align:left;padding:6px 0;border-bottom:1px solid #eee;color:#717171;font-weight:normal;">${label}</th><td style="text-align:right;padding:6px 0;border-bottom:1px solid #eee;">${value}</td></tr>
+            `)}
+        </table>`}
+        ${action ? html`<p style="margin:24px 0;"><a href="${action.url}" style="background:#FF5A5F;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none;">${action.label}</a></p>` : ''}
+        ${footer ? html`<p style="font-size:13px;color:#717171;">${footer}</p>` : ''}
+    </div>
+</body>
+</html>
+`;
+    return { subject, text, html: body.toString() };
+}
+
+const TEMPLATES = {
+    // Sent when a booking is made, and again when a held booking is paid for or a request accepted
+    booking_confirmation: {
+        recipient: 'guest',
+        render(context) {
+            const { listing, booking } = context;
+            const intros = {
+                confirmed: [`Your stay at ${listing.name} is confirmed.`, `Booking confirmed: ${listing.name}`],
+                requested: [
+                    `Your request to stay at ${listing.name} has been sent to the host. We'll email you as soon as they accept or decline it; if they decline, everything you've paid is refunded.`,
+                    `Booking request sent: ${listing.name}`
+                ],
+                pending_payment: [
+                    `We've saved your booking at ${listing.name}, but we couldn't charge the deposit to ${cardName(booking.payment_method)}. Pay the deposit with another card soon to keep your dates.`,
+                    `Action needed: pay the deposit for ${listing.name}`
+                ]
+            };
+            const [intro, subject] = intros[booking.status] || intros.confirmed;
+            return renderEmail(subject, {
+                greeting: `Hi ${guestName(context)},`,
+                paragraphs: [intro],
+                details: [...stayDetails(booking), ...paymentDetails(booking)],
+                action: manageAction(context),
+                footer: `Keep your booking reference ${reference(booking)} - you'll need it with your email address to change or cancel your booking.`
+            });
+        }
+    },
+
+    booking_modification: {
+        recipient: 'guest',
+        render(context) {
+            const { listing, booking, previous } = context;
+            const paragraphs = [`Your booking at ${listing.name} has been changed. Here are the new details.`];
+            if (previous) {
+                paragraphs.push(`Previously: ${longDate(previous.arrival_date)} to ${longDate(previous.departure_date)}, ${previous.num_guests} guest${previous.num_guests === 1 ? '' : 's'}.`);
+            }
+            return renderEmail(`Booking updated: ${listing.name}`, {
+                greeting: `Hi ${guestName(context)},`,
+                paragraphs,
+                details: [...stayDetails(booking), ...paymentDetails(booking)],
+                action: manageAction(context),
+                footer: "If you didn't make this change, contact us straight away."
+            });
+        }
+    },
+
+    // Guest cancellations, cancellations for an unpaid balance, and declined or expired requests
+    booking_cancellation: {
+        recipient: 'guest',
+        render(context) {
+            const { listing, booking } = context;
+            const refund = context.refund || booking.refund || { total_refund: 0 };
+            const requests = {
+                declined: `Unfortunately the host of ${listing.name} has declined your booking request.`,
+                expired: `Unfortunately the host of ${listing.name} didn't answer your booking request in time, so it has expired.`
+            };
+            const declined = booking.status in requests;
+            const reasons = {
+                guest_request: `Your booking at ${listing.name} has been cancelled, as you asked.`,
+                balance_unpaid: `Your booking at ${listing.name} has been cancelled because the balance was not paid.`
+            };
+            const paragraphs = [requests[booking.status] || reasons[booking.cancellation_reason] || `Your booking at ${listing.name} has been cancelled.`];
+            paragraphs.push(refund.total_refund > 0
+                ? `A refund of ${money(refund.total_refund)} is on its way to ${cardName(booking.payment_method)}. It can take 5-10 business days to appear.`
+                : "Under the booking's cancellation policy no refund is due.");
+
+            const subjects = { declined: 'Booking request declined', expired: 'Booking request expired' };
+            return renderEmail(`${subjects[booking.status] || 'Booking cancelled'}: ${listing.name}`, {
+                greeting: `Hi ${guestName(context)},`,
+                paragraphs,
+                details: [...stayDetails(booking), ['Refund', money(refund.total_refund)]],
+                action: declined ? { label: 'Find another place to stay', url: context.appUrl } : null
+            });
+        }
+    },
+
+    payment_receipt: {
+        recipient: 'guest',
+        render(context) {
+            const { listing, booking, transaction } = context;
+            const label = transaction.type === 'deposit' ? 'Deposit' : 'Balance';
+            const details = [
+                ['Reference', reference(booking)],
+                ['Payment', label],
+                ['Amount', money(transaction.amount)],
+                ['Card', cardName(transaction.payment_method)],
+                ['Date', longDate(transaction.created_at)],
+                ['Transaction', transaction.provider_id]
+            ];
+            if (toNumber(booking.balance_amount_due) > 0) {
+                details.push(['Still to pay', `${money(booking.balance_amount_due)} on ${longDate(booking.balance_due_date)}`]);
+            }
+            return renderEmail(`Receipt: ${money(transaction.amount)} for ${listing.name}`, {
+                greeting: `Hi ${guestName(context)},`,
+                paragraphs: [`Thank you - we've received your ${label.toLowerCase()} payment for your stay at ${listing.name}.`],
+                details,
+                action: manageAction(context)
+            });
+        }
+    },
+
+    balance_reminder: {
+        recipient: 'guest',
+        render(context) {
+            const { listing, booking } = context;
+            return renderEmail(`Your balance for ${listing.name} is due soon`, {
+                greeting: `Hi ${guestName(context)},`,
+                paragraphs: [
+                    `The remaining balance of ${money(booking.balance_amount_due)} for your stay at ${listing.name} ` +
+                    `will be charged to ${cardName(booking.payment_method)} on ${longDate(booking.balance_due_date)}.`,
+                    "You can also pay it now, or with a different card, from the manage-booking page."
+                ],
+                details: stayDetails(booking),
+                action: manageAction(context)
+            });
+        }
+    },
+
+    // A balance charge was declined; `payBy` is the last day before the booking is cancelled
+    payment_failed: {
+        recipient: 'guest',
+        render(context) {
+            const { listing, booking } = context;
+            return renderEmail(`Action needed: payment for ${listing.name}`, {
+                greeting: `Hi ${guestName(context)},`,
+                paragraphs: [
+                    `We couldn't charge the balance of ${money(booking.balance_amount_due)} for your stay at ${listing.name} to ${cardName(booking.payment_method)}.`,
+                    `Please pay with another card by ${longDate(context.payBy)} or the booking will be cancelled.`
+                ],
+                details: stayDetails(booking),
+                action: { label: 'Pay now', url: `${context.appUrl}/manage` }
+            });
+        }
+    },
+
+    host_new_booking: {
+        recipient: 'host',
+        render(context) {
+            const { listing, booking } = context;
+            const request = booking.status === 'requested';
+            const paragraphs = [request
+                ? `${guestName(context)} has asked to stay at ${listing.name}. Accept or decline the request from your hosting dashboard.`
+                : `${guestName(context)} has booked ${listing.name}.`];
+            if (booking.special_requirements) {
+                paragraphs.push(`Special requirements: ${booking.special_requirements}`);
+            }
+            return renderEmail(request ? `New booking request: ${listing.name}` : `New booking: ${listing.name}`, {
+                greeting: `Hi ${(context.host && context.host.name) || 'there'},`,
+                paragraphs,
+                details: [['Guest', guestName(context)], ...stayDetails(booking)],
+                action: { label: request ? 'Review the request' : 'View bookings', url: `${context.appUrl}/host/listings/${encodeURIComponent(listing._id)}/bookings` }
+            });
+        }
+    }
+};
+
+module.exports = {
+    TEMPLATES,
+    renderEmail
+};
@@ -0,0 +1,149 @@
+// Search facets: the filters in the "More filters" panel, each with a live count of how many
+// of the current results every option would leave.
+//
+// Counts for a value or minimum facet ignore that facet's own selection, so picking another
+// option shows what it would leave rather than 0; an amenity's count includes the amenities
+// already ticked, since ticking it narrows the results further.
+
+// Most amenities that can be required at once
+const MAX_AMENITIES = 20;
+
+// How each kind of facet parses its filter value, queries and counts its options
+const FACET_KINDS = {
+    // One value of a field
+    value: {
+        parse: value => String(value),
+        condition: (field, selected) => ({ [field]: selected }),
+        countStages: facet => valueCountStages(facet),
+        options: (facet, rows, selected) => valueOptions(rows, selected === null ? [] : [selected], 0)
+    },
+    // Any number of values of an array field, all required
+    all: {
+        parse: value => {
+            const values = [...new Set([].concat(value).map(item => String(item).trim()).filter(Boolean))];
+            return values.length > 0 ? values.slice(0, MAX_AMENITIES) : null;
+        },
+        condition: (field, selected) => ({ [field]: { $all: selected } }),
+        countStages: facet => [{ $unwind: `$${facet.field}` }, ...valueCountStages(facet)],
+        // Every result has the values already required
+        options: (facet, rows, selected, total) => valueOptions(rows, selected || [], total)
+    },
+    // The field is at least the chosen option
+    minimum: {
+        parse: value => parseFloat(value) > 0 ? parseFloat(value) : null,
+        condition: (field, selected) => ({ [field]: { $gte: selected } }),
+        countStages: facet => [{ $group: {
+            _id: null,
+            ...Object.fromEntries(facet.options.map((option, index) =>
+                [`option${index}`, { $sum: { $cond: [{ $gte: [`$${facet.field}`, option] }, 1, 0] } }]))
+        } }],
+        options: (facet, rows, selected) => facet.options.map((option, index) => ({
+            value: option,
+            label: `${option}+`,
+            count: (rows[0] && rows[0][`option${index}`]) || 0,
+            selected: selected === option
+        }))
+    },
+    // The field is true; a ticked checkbox
+    flag: {
+        parse: value => ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase()) ? true : null,
+        condition: field => ({ [field]: true }),
+        countStages: facet => [{ $group: { _id: null, count: { $sum: { $cond: [{ $eq: [`$${facet.field}`, true] }, 1, 0] } } } }],
+        options: (facet, rows, selected) => [{
+            value: true, label: facet.label, count: rows.length > 0 ? rows[0].count : 0, selected: selected === true
+        }]
+    }
+};
+
+// Facets in the order the panel shows them, keyed by their filter name
+const FACETS = {
+    room_type: { label: 'Room type', field: 'room_type', kind: 'value' },
+    bathrooms: { label: 'Bathrooms', field: 'bathrooms', kind: 'minimum', options: [1, 1.5, 2, 3] },
+    beds: { label: 'Beds', field: 'beds', kind: 'minimum', options: [1, 2, 3, 4] },
+    min_rating: { label: 'Guest rating', field: 'review_scores.review_scores_rating', kind: 'minimum', options: [80, 90, 95] },
+    superhost: { label: 'Superhost', field: 'host.host_is_superhost', kind: 'flag' },
+    instant_bookable: { label: 'Instant Book', field: 'instant_bookable', kind: 'flag' },
+    // Only the most common amenities among the results are offered
+    amenities: { label: 'Amenities', field: 'amenities', kind: 'all', limit: 24 }
+};
+
+// Count each value, most common first
+function valueCountStages(facet) {
+    return [
+        { $group: { _id: `$${facet.field}`, count: { $sum: 1 } } },
+        { $match: { _id: { $ne: null } } },
+        { $sort: { count: -1, _id: 1 } },
+        ...(facet.limit ? [{ $limit: facet.limit }] : [])
+    ];
+}
+
+// Options from counted values, keeping the selected ones on offer even when they fall
+// outside the most common (with `selectedCount` results each)
+function valueOptions(rows, chosen, selectedCount) {
+    const options = rows.map(row => ({ value: row._id, label: String(row._id), count: row.count, selected: chosen.includes(row._id) }));
+    for (const value of chosen) {
+        if (!options.some(option => option.value === value)) {
+            options.push({ value, label: value, count: selectedCount, selected: true });
+        }
+    }
+    return options;
+}
+
+// The selected value of every facet in use, keyed by facet
+function facetSelections(filters) {
+    const selections = {};
+    for (const [key, facet] of Object.entries(FACETS)) {
+        const value = filters[key];
+        const selected = value === undefined || value === null || value === '' ? null : FACET_KINDS[facet.kind].parse(value);
+        if (selected !== null) {
+            selections[key] = selected;
+        }
+    }
+    return selections;
+}
+
+// Query conditions for the facets in use, leaving out the facet named `except`
+function facetQuery(filters, except = null) {
+    const query = {};
+    for (const [key, selected] of Object.entries(facetSelections(filters))) {
+        if (key !== except) {
+            const facet = FACETS[key];
+            Object.assign(query, FACET_KINDS[facet.kind].condition(facet.field, selected));
+        }
+    }
+    return query;
+}
+
+// Pipeline computing every facet's counts in one pass over the listings matching
+// `baseQuery` (the search without its facet filters)
+function facetPipeline(baseQuery, filters) {
+    const counts = { total: [{ $match: facetQuery(filters) }, { $count: 'count' }] };
+    for (const [key, facet] of Object.entries(FACETS)) {
+        counts[key] = [
+            { $match: facetQuery(filters, facet.kind === 'all' ? null : key) },
+            ...FACET_KINDS[facet.kind].countStages(facet)
+        ];
+    }
+    return [{ $match: baseQuery }, { $facet: counts }];
+}
+
+// Turn the pipeline's output into [{ key, label, kind, options: [{ value, label, count, selected }] }]
+function facetResults(counts, filters) {
+    const selections = facetSelections(filters);
+    const total = counts.total.length > 0 ? counts.total[0].count : 0;
+
+    return Object.entries(FACETS).map(([key, facet]) => ({
+        key,
+        label: facet.label,
+        kind: facet.kind,
+        options: FACET_KINDS[facet.kind].options(facet, counts[key] || [], key in selections ? selections[key] : null, total)
+    }));
+}
+
+module.exports = {
+    FACETS,
+    facetSelections,
+    facetQuery,
+    facetPipeline,
+    facetResults
+};
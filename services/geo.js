@@ -0,0 +1,115 @@
+const { AppError } = require('../lib/errors');
+
+// Geographic search over the dataset's `address.location` GeoJSON points
+// ({ type: 'Point', coordinates: [longitude, latitude] }), backed by a 2dsphere index.
+//
+// Two kinds of area, both optional:
+//   lat, lng, radius_km - within radius_km of a point
+//   bbox                - "west,south,east,north" in degrees, e.g. the visible map area
+// Both use $geoWithin rather than $near so they combine with keyword ($text) search and
+// keep the usual sort orders.
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 100;
+
+function invalidLocation(message, fields) {
+    return new AppError(400, 'invalid_location', message, { fields });
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// { lat, lng } from the lat/lng filters, or null when neither is given
+function parsePoint({ lat, lng }) {
+    if (isBlank(lat) && isBlank(lng)) {
+        return null;
+    }
+    const point = { lat: Number(lat), lng: Number(lng) };
+    if (!(Math.abs(point.lat) <= 90) || !(Math.abs(point.lng) <= 180)) {
+        throw invalidLocation("lat and lng must be a valid latitude and longitude", ['lat', 'lng']);
+    }
+    return point;
+}
+
+function parseRadius(radiusKm) {
+    if (isBlank(radiusKm)) {
+        return DEFAULT_RADIUS_KM;
+    }
+    const radius = Number(radiusKm);
+    if (!(radius > 0 && radius <= MAX_RADIUS_KM)) {
+        throw invalidLocation(`radius_km must be more than 0 and at most ${MAX_RADIUS_KM}`, ['radius_km']);
+    }
+    return radius;
+}
+
+// { west, south, east, north } from "west,south,east,north", or null when not given.
+// Boxes crossing the antimeridian aren't supported.
+function parseBoundingBox(bbox) {
+    if (isBlank(bbox)) {
+        return null;
+    }
+    const [west, south, east, north] = String(bbox).split(',').map(Number);
+    const valid = [west, south, east, north].every(Number.isFinite) &&
+        west >= -180 && east <= 180 && west < east &&
+        south >= -90 && north <= 90 && south < north;
+    if (!valid) {
+        throw invalidLocation("bbox must be west,south,east,north in degrees", ['bbox']);
+    }
+    return { west, south, east, north };
+}
+
+// Query conditions for the geographic filters, plus the point distances are measured
+// from (the search point, or the middle of the box). Throws AppError for invalid values.
+function geoFilter(filters) {
+    const point = parsePoint(filters);
+    const box = parseBoundingBox(filters.bbox);
+    const radiusKm = point ? parseRadius(filters.radius_km) : null;
+    const conditions = [];
+
+    if (point) {
+        conditions.push({ "address.location": { $geoWithin: {
+            $centerSphere: [[point.lng, point.lat], radiusKm / EARTH_RADIUS_KM]
+        } } });
+    }
+    if (box) {
+        const { west, south, east, north } = box;
+        conditions.push({ "address.location": { $geoWithin: { $geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        } } } });
+    }
+
+    const origin = point || (box ? { lat: (box.south + box.north) / 2, lng: (box.west + box.east) / 2 } : null);
+    return {
+        query: conditions.length === 0 ? {} : conditions.length === 1 ? conditions[0] : { $and: conditions },
+        origin,
+        point,
+        radiusKm,
+        box
+    };
+}
+
+// Great-circle distance in km between { lat, lng } and a GeoJSON point
+function distanceKm(origin, location) {
+    if (!location || !Array.isArray(location.coordinates)) {
+        return null;
+    }
+    const [lng, lat] = location.coordinates;
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(lat - origin.lat);
+    const dLng = radians(lng - origin.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radians(origin.lat)) * Math.cos(radians(lat)) * Math.sin(dLng / 2) ** 2;
+    return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)) * 10) / 10;
+}
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    MAX_RADIUS_KM,
+    parsePoint,
+    parseBoundingBox,
+    geoFilter,
+    distanceKm
+};
@@ -0,0 +1,238 @@
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../lib/errors');
+const { toNumber } = require('../lib/numbers');
+const { STANDARD_POLICIES, DEFAULT_POLICY, parseTiers } = require('./cancellation');
+const { roundMoney } = require('./pricing');
+const { refundBooking } = require('./payments');
+const { hasRole } = require('./accounts');
+const { findListing, aggregateListings, insertListing, updateListing } = require('../repositories/listings');
+const { findListingWithBooking, transitionBooking, updateBooking } = require('../repositories/bookings');
+const { findClients, updateClient, updateBookingHistory } = require('../repositories/clients');
+
+// Hosts are guest accounts with the 'host' role. Listings they create are stored next to
+// the sample dataset in listingsAndReviews with `host_id` pointing at their client record,
+// and can be unpublished to hide them from guests without losing bookings or reviews.
+
+const HOST_ROLE = 'host';
+
+// Listing fields hosts can edit, grouped by how the form values are parsed
+const TEXT_FIELDS = ['name', 'summary', 'description', 'property_type'];
+const COUNT_FIELDS = ['bedrooms', 'accommodates'];
+const AMOUNT_FIELDS = ['bathrooms', 'price', 'cleaning_fee'];
+
+function isHost(account) {
+    return hasRole(account, HOST_ROLE);
+}
+
+async function becomeHost(database, clientId) {
+    await updateClient(database, { _id: clientId, password_hash: { $exists: true } }, { $addToSet: { roles: HOST_ROLE } });
+}
+
+// One item per line or comma, without blanks or duplicates
+function splitList(value) {
+    const items = String(value || '').split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+    return [...new Set(items)];
+}
+
+// Turn the listing form into the document fields to store.
+// Throws AppError listing every invalid field.
+function listingFields(input) {
+    const fields = {};
+    const invalid = [];
+
+    for (const field of TEXT_FIELDS) {
+        fields[field] = String(input[field] || '').trim();
+    }
+    if (!fields.name) invalid.push('name');
+    if (!fields.property_type) invalid.push('property_type');
+
+    for (const field of COUNT_FIELDS) {
+        fields[field] = parseInt(input[field]);
+        if (!Number.isInteger(fields[field]) || fields[field] < 0) invalid.push(field);
+    }
+    if (fields.accommodates < 1) invalid.push('accommodates');
+
+    for (const field of AMOUNT_FIELDS) {
+        fields[field] = input[field] === undefined || input[field] === '' ? 0 : parseFloat(input[field]);
+        if (!Number.isFinite(fields[field]) || fields[field] < 0) invalid.push(field);
+    }
+    if (!(fields.price > 0)) invalid.push('price');
+
+    const market = String(input.market || '').trim();
+    if (!market) invalid.push('market');
+    fields["address.market"] = market;
+
+    fields.amenities = splitList(input.amenities);
+
+    const pictureUrl = String(input.picture_url || '').trim();
+    if (pictureUrl && !/^https?:\/\//i.test(pictureUrl)) invalid.push('picture_url');
+    fields.images = { picture_url: pictureUrl };
+
+    // A standard policy name, or 'custom' with the tiers typed into the form. Left out when
+    // neither is sent, so the stored policy is kept as it is.
+    if (input.cancellation_policy === 'custom') {
+        const tiers = parseTiers(input.cancellation_tiers);
+        if (!tiers) invalid.push('cancellation_tiers');
+        fields.cancellation_policy = { type: 'custom', tiers };
+    } else if (STANDARD_POLICIES[input.cancellation_policy]) {
+        fields.cancellation_policy = input.cancellation_policy;
+    }
+    // Checkbox: present when ticked
+    fields.instant_bookable = Boolean(input.instant_bookable);
+
+    if (invalid.length > 0) {
+        throw new AppError(400, 'invalid_listing', "Some listing details are missing or invalid", { fields: [...new Set(invalid)] });
+    }
+    return fields;
+}
+
+// Listing _ids in the sample dataset are strings, so new listings follow suit
+async function createListing(database, host, input) {
+    const fields = listingFields(input);
+    const { "address.market": market, ...rest } = fields;
+    const listing = {
+        _id: new ObjectId().toString(),
+        cancellation_policy: DEFAULT_POLICY,
+        ...rest,
+        address: { market },
+        host_id: host._id,
+        host: { host_name: host.name },
+        published: true,
+        created_at: new Date(),
+        bookings: [],
+        reviews: []
+    };
+
+    await insertListing(database, listing);
+    return listing;
+}
+
+async function editListing(database, hostId, listingId, input) {
+    const fields = listingFields(input);
+    const found = await updateListing(database, { _id: listingId, host_id: hostId }, { $set: { ...fields, updated_at: new Date() } });
+    if (!found) {
+        throw new AppError(404, 'listing_not_found', "Listing not found");
+    }
+}
+
+async function setPublished(database, hostId, listingId, published) {
+    const found = await updateListing(database, { _id: listingId, host_id: hostId }, {
+        $set: { published: Boolean(published), updated_at: new Date() }
+    });
+    if (!found) {
+        throw new AppError(404, 'listing_not_found', "Listing not found");
+    }
+}
+
+// A listing owned by this host, or null
+async function getHostListing(database, hostId, listingId, projection = {}) {
+    return findListing(database, { _id: listingId, host_id: hostId }, projection);
+}
+
+// The host's listings with a count of bookings waiting for an answer
+async function getHostListings(database, hostId) {
+    return aggregateListings(database, [
+        { $match: { host_id: hostId } },
+        { $sort: { created_at: -1 } },
+        { $project: {
+            name: 1,
+            price: 1,
+            published: 1,
+            property_type: 1,
+            accommodates: 1,
+            "address.market": 1,
+            "images.picture_url": 1,
+            pending_requests: {
+                $size: { $filter: { input: { $ifNull: ["$bookings", []] }, cond: { $eq: ["$$this.status", "requested"] } } }
+            },
+            upcoming_bookings: {
+                $size: { $filter: { input: { $ifNull: ["$bookings", []] }, cond: {
+                    $and: [{ $eq: ["$$this.status", "confirmed"] }, { $gte: ["$$this.departure_date", "$$NOW"] }]
+                } } }
+            }
+        }}
+    ]);
+}
+
+// Every booking on a host's listing, newest stay first, with the guest's name and email
+async function getListingBookings(database, hostId, listingId) {
+    const listing = await getHostListing(database, hostId, listingId, { name: 1, published: 1, bookings: 1 });
+    if (!listing) {
+        return null;
+    }
+
+    const bookings = (listing.bookings || []).slice()
+        .sort((a, b) => new Date(b.arrival_date) - new Date(a.arrival_date));
+    const guests = await findClients(database, { _id: { $in: bookings.map(booking => booking.client_id) } }, { name: 1, email: 1 });
+
+    return {
+        listing,
+        bookings: bookings.map(booking => {
+            const guest = guests.find(client => client._id.equals(booking.client_id));
+            return {
+                ...booking,
+                guest: guest ? { name: guest.name, email: guest.email } : { name: booking.guest_list?.[0]?.name || '', email: '' },
+                total: booking.price_quote ? booking.price_quote.total : toNumber(booking.deposit_paid) + toNumber(booking.balance_amount_due)
+            };
+        })
+    };
+}
+
+// Pay back everything the guest paid towards a request that won't go ahead (declined, or
+// expired unanswered - see services/booking-jobs.js) and record the refund on the booking
+async function refundRequest(database, payments, listingId, booking, reason) {
+    const paid = roundMoney((toNumber(booking.deposit_paid) || 0) + (toNumber(booking.balance_paid) || 0));
+    const { refunded } = paid > 0
+        ? await refundBooking(database, payments, listingId, booking, paid, reason)
+        : { refunded: 0 };
+    const refund = { total_refund: paid, refunded_amount: refunded };
+    await updateBooking(database, listingId, booking.booking_id, { refund });
+    return refund;
+}
+
+// Accept or decline a booking request. Only requests still awaiting an answer can change,
+// so two clicks (or two hosts' tabs) can't both apply. Declined guests get back everything
+// they have paid. Either way the guest is emailed the outcome.
+async function respondToBooking(database, hostId, listingId, bookingId, accept, { payments, notifications } = {}) {
+    if (!ObjectId.isValid(bookingId)) {
+        return { ok: false, message: "Unknown booking" };
+    }
+    const id = new ObjectId(bookingId);
+    const status = accept ? 'confirmed' : 'declined';
+    const respondedAt = new Date();
+
+    const fields = { status, responded_at: respondedAt };
+    if (!accept) {
+        fields.balance_amount_due = 0;
+    }
+    if (!await transitionBooking(database, listingId, id, 'requested', fields, { host_id: hostId })) {
+        return { ok: false, message: "That request has already been answered" };
+    }
+
+    const listing = await findListingWithBooking(database, listingId, id, { name: 1 });
+    const booking = listing.bookings[0];
+    const refund = accept ? null : await refundRequest(database, payments, listingId, booking, 'declined');
+
+    await updateBookingHistory(database, id, { status });
+
+    if (notifications) {
+        const answered = { ...booking, refund: refund || booking.refund };
+        await notifications.notify(accept ? 'booking_confirmation' : 'booking_cancellation', { listing, booking: answered, refund });
+    }
+    return { ok: true, message: accept ? "Booking accepted" : "Booking declined" };
+}
+
+module.exports = {
+    HOST_ROLE,
+    isHost,
+    becomeHost,
+    listingFields,
+    createListing,
+    editListing,
+    setPublished,
+    getHostListing,
+    getHostListings,
+    getListingBookings,
+    refundRequest,
+    respondToBooking
+};
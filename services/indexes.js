@@ -0,0 +1,117 @@
+// Indexes the app relies on, created at startup. createIndex is a no-op when an
+// identical index already exists, so this is safe to run on every boot.
+const INDEXES = {
+    listingsAndReviews: [
+        // Search filters and sort orders
+        { key: { "address.market": 1, price: 1 } },
+        { key: { "address.market": 1, "review_scores.review_scores_rating": -1 } },
+        { key: { "address.market": 1, created_at: -1, first_review: -1 } },
+        { key: { property_type: 1 } },
+        { key: { accommodates: 1 } },
+        // Radius and map-area searches
+        { key: { "address.location": '2dsphere' } },
+        // Keyword search; a collection can only have one text index
+        {
+            key: {
+                name: 'text',
+                summary: 'text',
+                description: 'text',
+                neighborhood_overview: 'text',
+                "address.suburb": 'text',
+                "address.government_area": 'text',
+                amenities: 'text'
+            },
+            options: {
+                name: 'listing_text_search',
+                weights: {
+                    name: 10,
+                    "address.suburb": 5,
+                    "address.government_area": 5,
+                    amenities: 3,
+                    summary: 3,
+                    neighborhood_overview: 2,
+                    description: 1
+                },
+                default_language: 'english',
+                // The dataset's documents have no language field of their own
+                language_override: 'text_language'
+            }
+        },
+        // Availability checks against embedded bookings and blocked dates
+        { key: { "bookings.arrival_date": 1, "bookings.departure_date": 1 } },
+        { key: { "bookings.booking_id": 1 } },
+        // Scheduled jobs look bookings up by status
+        { key: { "bookings.status": 1 } },
+        { key: { "calendar.blocked.start": 1, "calendar.blocked.end": 1 } },
+        // Host dashboard
+        { key: { host_id: 1, created_at: -1 }, options: { sparse: true } }
+    ],
+    clients: [
+        { key: { email: 1, "booking_history.booking_id": 1 } },
+        // One account per email; guest-only client records (no password) may repeat
+        {
+            key: { email: 1 },
+            options: { name: 'account_email_unique', unique: true, partialFilterExpression: { password_hash: { $exists: true } } }
+        },
+        { key: { "password_reset.token_hash": 1 }, options: { sparse: true } }
+    ],
+    // Saved searches and watches are read per guest; the alert jobs scan them all
+    saved_searches: [
+        { key: { client_id: 1, created_at: -1 } }
+    ],
+    listing_watches: [
+        { key: { client_id: 1, listing_id: 1 }, options: { unique: true } }
+    ],
+    // Wishlists by owner, and by share link; lists of browsers that never log in expire
+    wishlists: [
+        { key: { client_id: 1, created_at: 1 }, options: { sparse: true } },
+        { key: { device_id: 1, created_at: 1 }, options: { sparse: true } },
+        { key: { listing_ids: 1 } },
+        { key: { share_token: 1 }, options: { unique: true, partialFilterExpression: { share_token: { $type: 'string' } } } },
+        { key: { expires_at: 1 }, options: { expireAfterSeconds: 0 } }
+    ],
+    // Alerts inbox, and the unread count in the page header
+    alerts: [
+        { key: { client_id: 1, read_at: 1 } },
+        { key: { client_id: 1, created_at: -1 } }
+    ],
+    // Email log, read per booking
+    notifications: [
+        { key: { booking_id: 1, created_at: -1 } }
+    ],
+    // Rate limit counters are looked up by _id and removed once their window is over
+    rate_limits: [
+        { key: { expires_at: 1 }, options: { expireAfterSeconds: 0 } }
+    ],
+    job_runs: [
+        { key: { started_at: -1 } },
+        { key: { status: 1, started_at: -1 } },
+        // Keep a month of history
+        { key: { finished_at: 1 }, options: { expireAfterSeconds: 30 * 24 * 60 * 60 } }
+    ]
+};
+
+// Each index is created on its own, so one that can't be built (say, the unique account
+// email over existing duplicates) doesn't stop the rest. Rejects with every failure.
+async function ensureIndexes(database) {
+    const failures = [];
+    for (const [collectionName, indexes] of Object.entries(INDEXES)) {
+        const collection = database.collection(collectionName);
+        for (const { key, options } of indexes) {
+            try {
+                await collection.createIndex(key, options || {});
+            } catch (error) {
+                const name = (options && options.name) || JSON.stringify(key);
+                failures.push(`${collectionName} ${name}: ${error.message}`);
+            }
+        }
+    }
+    if (failures.length > 0) {
+        throw new Error(`Could not create ${failures.length} index${failures.length === 1 ? '' : 'es'}:\n  ${failures.join('\n  ')}`);
+    }
+}
+
+module.exports = {
+    INDEXES,
+    ensureIndexes
+};
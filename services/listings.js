@@ -0,0 +1,319 @@
+const { hasBookingConflict, noOverlapFilter } = require('./availability');
+const { CALENDAR_PROJECTION, checkStayRules, notBlockedFilter } = require('./calendar');
+const { countNights } = require('./pricing');
+const { geoFilter, distanceKm } = require('./geo');
+const { facetQuery, facetPipeline, facetResults } = require('./facets');
+const { validate } = require('../lib/validation');
+const { findListing, findListings, countListings, aggregateListings, distinctListingValues } = require('../repositories/listings');
+
+// Fields needed to render a listing card in search results
+const LISTING_CARD_PROJECTION = {
+    _id: 1,
+    name: 1,
+    summary: 1,
+    price: 1,
+    "review_scores.review_scores_rating": 1,
+    "address.market": 1,
+    // Plotted on the results map and used for "km away"
+    "address.location": 1,
+    property_type: 1,
+    bedrooms: 1,
+    accommodates: 1,
+    images: 1,
+    reviews: { $slice: ["$reviews", 3] } // Get first 3 reviews
+};
+
+// Fields needed for the listing detail / booking page
+const LISTING_DETAIL_PROJECTION = {
+    _id: 1,
+    name: 1,
+    summary: 1,
+    description: 1,
+    property_type: 1,
+    bedrooms: 1,
+    bathrooms: 1,
+    accommodates: 1,
+    price: 1,
+    cleaning_fee: 1,
+    security_deposit: 1,
+    extra_people: 1,
+    guests_included: 1,
+    images: 1,
+    amenities: 1,
+    cancellation_policy: 1,
+    instant_bookable: 1,
+    host_id: 1,
+    published: 1,
+    "address.market": 1,
+    review_scores: 1,
+    number_of_reviews: 1,
+    reviews: { $slice: ["$reviews", 5] }, // Get first 5 reviews
+    // The listing page pages through the rest with /api/v1/listings/:id/reviews
+    review_count: { $size: { $ifNull: ["$reviews", []] } },
+    bookings: 1,
+    ...CALENDAR_PROJECTION
+};
+
+// Listings guests can find: rated listings from the dataset and host-created ones
+// (which have no reviews yet), unless the host has unpublished them
+const LISTED_FILTER = {
+    published: { $ne: false },
+    $or: [
+        { "review_scores.review_scores_rating": { $exists: true } },
+        { host_id: { $exists: true } }
+    ]
+};
+
+const PAGE_SIZE = 20;
+// Longest keyword search accepted; anything beyond is ignored
+const MAX_SEARCH_LENGTH = 200;
+
+// Sort orders offered on the results page; _id breaks ties so pages don't overlap.
+// With keywords, 'relevance' ranks by text score instead (see searchListings).
+const SORT_OPTIONS = {
+    relevance: { label: 'Recommended', sort: { _id: 1 } },
+    price_asc: { label: 'Price: low to high', sort: { price: 1, _id: 1 } },
+    price_desc: { label: 'Price: high to low', sort: { price: -1, _id: 1 } },
+    rating: { label: 'Top rated', sort: { "review_scores.review_scores_rating": -1, number_of_reviews: -1, _id: 1 } },
+    // Host-created listings by when they were listed (all newer than the sample dataset's),
+    // then the dataset's by their first review, which is all they have to go on
+    newest: { label: 'Newest', sort: { created_at: -1, first_review: -1, _id: 1 } }
+};
+
+// Rules for the search filters that go into the query as numbers, dates or choices (see
+// lib/validation.js). The radius and map area are checked by services/geo.js, the "More
+// filters" facets by services/facets.js.
+const SEARCH_SCHEMA = {
+    bedrooms: { type: 'integer', label: 'Bedrooms', min: 0, max: 50 },
+    min_price: { type: 'number', label: 'Min price', min: 0 },
+    max_price: { type: 'number', label: 'Max price', min: 0, atLeast: 'min_price' },
+    guests: { type: 'integer', label: 'Guests', min: 1, max: 50 },
+    check_in: { type: 'date', label: 'Check-in', notPast: true, requiredWith: 'check_out' },
+    check_out: { type: 'date', label: 'Check-out', after: 'check_in', requiredWith: 'check_in' },
+    sort: { type: 'choice', label: 'Sort', values: Object.keys(SORT_OPTIONS) },
+    page: { type: 'integer', label: 'Page', min: 1 }
+};
+
+// Stay length constraints evaluated in the database. The dataset stores
+// minimum_nights / maximum_nights as strings; an empty or zero maximum means no limit.
+function stayLengthFilter(nights) {
+    const asInt = (field, fallback) => ({
+        $convert: { input: field, to: 'int', onError: fallback, onNull: fallback }
+    });
+
+    return {
+        $expr: {
+            $and: [
+                { $lte: [asInt('$minimum_nights', 1), nights] },
+                { $or: [
+                    { $eq: [asInt('$maximum_nights', 0), 0] },
+                    { $gte: [asInt('$maximum_nights', 0), nights] }
+                ] }
+            ]
+        }
+    };
+}
+
+// Search filters from a query string or form body. Only strings (and lists of strings, for
+// repeated parameters like amenities) are kept, so a crafted query string such as
+// ?location[$ne]=x can't put operators into the MongoDB query.
+function searchFilters(input) {
+    const filters = {};
+    for (const [name, value] of Object.entries(input || {})) {
+        if (typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+            filters[name] = value;
+        }
+    }
+    return filters;
+}
+
+// A query string that runs a search, leaving out blank values; lists become repeated
+// parameters (amenities=Wifi&amenities=Pool)
+function searchQueryString(filters) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters)) {
+        for (const item of [].concat(value)) {
+            if (item !== undefined && item !== null && item !== '') {
+                params.append(name, item);
+            }
+        }
+    }
+    return params.toString();
+}
+
+// Keywords from the search box, trimmed and capped, or '' for none
+function searchKeywords(q) {
+    return String(q || '').trim().slice(0, MAX_SEARCH_LENGTH);
+}
+
+// Build the MongoDB query for the search form / API filters. Keywords (`q`) match the
+// listing text index (name, summary, description, neighbourhood and amenities) and the
+// radius / map-area filters use the 2dsphere index (see services/geo.js, which throws
+// AppError for invalid values); every other filter, location included, is optional.
+// When dates are given, availability (no overlapping booking, nothing blocked, stay
+// length allowed) is part of the query so that counts and pages only ever contain
+// bookable listings. The "More filters" facets (services/facets.js) are left out with
+// `facets: false`, for counting their options.
+function buildSearchQuery(filters, { facets = true } = {}) {
+    const { location, property_type, bedrooms, min_price, max_price, guests, check_in, check_out } = filters;
+
+    let query = {
+        ...LISTED_FILTER,
+        "price": { $exists: true }
+    };
+
+    if (location && location !== '') {
+        query["address.market"] = location;
+    }
+
+    const keywords = searchKeywords(filters.q);
+    if (keywords) {
+        query.$text = { $search: keywords };
+    }
+
+    Object.assign(query, geoFilter(filters).query);
+
+    // Add optional filters
+    if (property_type && property_type !== '') {
+        query.property_type = property_type;
+    }
+
+    if (bedrooms && bedrooms !== '') {
+        query.bedrooms = parseInt(bedrooms);
+    }
+
+    // Price range filtering
+    if (min_price || max_price) {
+        query.price = {};
+        if (min_price) query.price.$gte = parseFloat(min_price);
+        if (max_price) query.price.$lte = parseFloat(max_price);
+    }
+
+    // Guest capacity filtering
+    if (guests && guests !== '') {
+        query.accommodates = { $gte: parseInt(guests) };
+    }
+
+    // Availability checking if dates provided
+    if (check_in && check_out) {
+        const checkInDate = new Date(check_in);
+        const checkOutDate = new Date(check_out);
+
+        Object.assign(query,
+            noOverlapFilter(checkInDate, checkOutDate),
+            notBlockedFilter(checkInDate, checkOutDate),
+            stayLengthFilter(countNights(checkInDate, checkOutDate))
+        );
+    }
+
+    if (facets) {
+        Object.assign(query, facetQuery(filters));
+    }
+
+    return query;
+}
+
+// Every facet with how many listings each of its options would leave for this search
+async function getSearchFacets(database, filters) {
+    const [counts] = await aggregateListings(database, facetPipeline(buildSearchQuery(filters, { facets: false }), filters));
+    return facetResults(counts, filters);
+}
+
+// Run a search and return one page of results with the total number of matches.
+// Throws AppError for invalid filters.
+async function searchListings(database, filters) {
+    validate(SEARCH_SCHEMA, filters);
+    const query = buildSearchQuery(filters);
+    const geo = geoFilter(filters);
+
+    const sortKey = SORT_OPTIONS[filters.sort] ? filters.sort : 'relevance';
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+
+    // Keyword searches rank by how well each listing matches
+    const ranked = Boolean(query.$text);
+    const projection = ranked ? { ...LISTING_CARD_PROJECTION, score: { $meta: 'textScore' } } : LISTING_CARD_PROJECTION;
+    const sort = ranked && sortKey === 'relevance' ? { score: { $meta: 'textScore' }, _id: 1 } : SORT_OPTIONS[sortKey].sort;
+
+    const [results, total, facets] = await Promise.all([
+        findListings(database, query, { projection, sort, skip: (page - 1) * PAGE_SIZE, limit: PAGE_SIZE }),
+        countListings(database, query),
+        getSearchFacets(database, filters)
+    ]);
+
+    // Distance from the search point, or from the middle of the map area
+    if (geo.origin) {
+        for (const listing of results) {
+            listing.distance_km = distanceKm(geo.origin, listing.address?.location);
+        }
+    }
+
+    return {
+        listings: results,
+        total,
+        page,
+        pageSize: PAGE_SIZE,
+        totalPages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+        sort: sortKey,
+        q: searchKeywords(filters.q),
+        geo: { origin: geo.origin, point: geo.point, radius_km: geo.radiusKm, bbox: geo.box },
+        facets
+    };
+}
+
+// A random selection of listed listings for the homepage
+async function getFeaturedListings(database, size = 10) {
+    return aggregateListings(database, [
+        { $match: {
+            "address.market": { $exists: true },
+            ...LISTED_FILTER,
+            "price": { $exists: true }
+        }},
+        { $sample: { size } },
+        { $project: LISTING_CARD_PROJECTION }
+    ]);
+}
+
+// Values for the location and property type dropdowns
+async function getSearchOptions(database) {
+    const markets = await distinctListingValues(database, "address.market");
+    const propertyTypes = await distinctListingValues(database, "property_type");
+
+    return { markets, propertyTypes };
+}
+
+async function getListing(database, listingId, projection = LISTING_DETAIL_PROJECTION) {
+    return findListing(database, { _id: listingId }, projection);
+}
+
+// Whether the listing is free for the given dates, with the reason if not;
+// null if the listing doesn't exist
+async function checkAvailability(database, listingId, checkInDate, checkOutDate) {
+    const listing = await getListing(database, listingId, { _id: 1, bookings: 1, ...CALENDAR_PROJECTION });
+    if (!listing) {
+        return null;
+    }
+
+    if (hasBookingConflict(listing.bookings, checkInDate, checkOutDate)) {
+        return { available: false, reason: { code: 'dates_unavailable', message: "Already booked for some of these dates" } };
+    }
+    const ruleViolation = checkStayRules(listing, checkInDate, checkOutDate);
+    return { available: !ruleViolation, reason: ruleViolation };
+}
+
+module.exports = {
+    LISTING_CARD_PROJECTION,
+    LISTING_DETAIL_PROJECTION,
+    LISTED_FILTER,
+    PAGE_SIZE,
+    SORT_OPTIONS,
+    SEARCH_SCHEMA,
+    searchFilters,
+    searchQueryString,
+    buildSearchQuery,
+    searchListings,
+    getSearchFacets,
+    getFeaturedListings,
+    getSearchOptions,
+    getListing,
+    checkAvailability
+};
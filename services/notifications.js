@@ -0,0 +1,83 @@
+const { TEMPLATES } = require('./email-templates');
+const { findListing } = require('../repositories/listings');
+const { findClient } = require('../repositories/clients');
+const { insertNotification, findNotifications } = require('../repositories/notifications');
+
+// Booking emails. notify() renders a template (services/email-templates.js) for the guest or
+// host, sends it through the mailer and records the attempt in the `notifications`
+// collection, which keeps a log of every email about each booking.
+//
+// Sending is best effort: a failed email is logged (status 'failed') but never undoes or
+// fails the booking change that triggered it. Services take the notifier as an option and
+// skip notifying when none is given.
+
+function createNotifier(database, mailer, { appUrl }) {
+    async function guestFor(booking) {
+        return findClient(database, { "booking_history.booking_id": booking.booking_id }, { name: 1, email: 1 });
+    }
+
+    async function hostFor(listing) {
+        let hostId = listing.host_id;
+        if (hostId === undefined) {
+            const stored = await findListing(database, { _id: listing._id }, { host_id: 1 });
+            hostId = stored && stored.host_id;
+        }
+        // Listings from the sample dataset have no host account to write to
+        return hostId ? findClient(database, { _id: hostId }, { name: 1, email: 1 }) : null;
+    }
+
+    // Send the `type` email about context.booking. Resolves to the log entry.
+    async function notify(type, context) {
+        const template = TEMPLATES[type];
+        if (!template) {
+            throw new Error(`Unknown notification "${type}"`);
+        }
+
+        const { listing, booking } = context;
+        const entry = {
+            booking_id: booking.booking_id,
+            listing_id: listing._id,
+            type,
+            recipient: template.recipient,
+            created_at: new Date()
+        };
+        try {
+            const guest = context.guest || await guestFor(booking);
+            const host = template.recipient === 'host' ? context.host || await hostFor(listing) : null;
+            const to = template.recipient === 'host' ? host && host.email : guest && guest.email;
+            if (!to) {
+                entry.status = 'skipped';
+                entry.error = `No ${template.recipient} email address`;
+            } else {
+                const message = template.render({ ...context, guest, host, appUrl });
+                entry.to = to;
+                entry.subject = message.subject;
+                const result = await mailer.send({ to, ...message });
+                entry.status = 'sent';
+                entry.message_id = (result && result.id) || null;
+            }
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            console.error(`Could not send ${type} email for booking ${booking.booking_id}:`, error.message);
+        }
+
+        try {
+            await insertNotification(database, entry);
+        } catch (error) {
+            console.error("Could not record notification:", error.message);
+        }
+        return entry;
+    }
+
+    // Emails about a booking, newest first; `recipient` limits them to 'guest' or 'host'
+    async function history(bookingId, { recipient } = {}) {
+        return findNotifications(database, recipient ? { booking_id: bookingId, recipient } : { booking_id: bookingId });
+    }
+
+    return { notify, history };
+}
+
+module.exports = {
+    createNotifier
+};
@@ -0,0 +1,230 @@
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../lib/errors');
+const { PaymentError } = require('../lib/payments');
+const { toNumber } = require('../lib/numbers');
+const { roundMoney } = require('./pricing');
+const { findBookings, lockPayments, unlockPayments, recordCharge, addTransactions } = require('../repositories/bookings');
+const { updateBookingHistory } = require('../repositories/clients');
+
+// Money movements for bookings. Every charge and refund goes through the payment gateway
+// (lib/payments.js) and is recorded on the listing's embedded booking in `transactions`.
+//
+// The deposit is charged when the booking is made and the balance on `balance_due_date`
+// (see collectDueBalances). When a charge is declined or fails the booking is kept with
+// status 'pending_payment' - still holding its dates - until the guest pays from the
+// manage-booking page. `payment_status` tracks what has been collected:
+//   deposit_pending -> deposit_paid -> paid, or balance_pending after a failed balance charge
+
+const CURRENCY = 'USD';
+// A charge in progress holds this lock so the balance job and the guest can't both pay
+const PAYMENT_LOCK_MS = 5 * 60 * 1000;
+
+// Validate the card fields from the booking or payment form and swap them for a reusable
+// token. Card numbers are never stored - only the token, brand and last four digits.
+async function tokenizeCard(payments, details) {
+    try {
+        return await payments.createPaymentMethod({
+            number: details.card_number,
+            expiry: details.card_expiry,
+            cvc: details.card_cvc
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            throw new AppError(400, error.code, error.message, { fields: ['card_number', 'card_expiry', 'card_cvc'] });
+        }
+        throw error;
+    }
+}
+
+// What the guest owes right now, if anything: the deposit while it is unpaid, otherwise the balance
+function outstandingPayment(booking) {
+    if (booking.payment_status === 'deposit_pending') {
+        return { type: 'deposit', amount: roundMoney(toNumber(booking.price_quote.deposit_due)) };
+    }
+    const balance = roundMoney(toNumber(booking.balance_amount_due) || 0);
+    return balance > 0 ? { type: 'balance', amount: balance } : null;
+}
+
+function transactionRecord(payments, type, amount, paymentMethod, result, extra = {}) {
+    return {
+        _id: new ObjectId(),
+        type,
+        amount,
+        currency: CURRENCY,
+        status: result.status,
+        provider: payments.name,
+        provider_id: result.id,
+        payment_method: paymentMethod ? { brand: paymentMethod.brand, last4: paymentMethod.last4 } : null,
+        failure_code: result.failure_code || null,
+        failure_message: result.failure_message || null,
+        created_at: new Date(),
+        ...extra
+    };
+}
+
+// A request to book stays 'requested' until the host answers it, however much has been paid
+function awaitingHost(booking) {
+    return Boolean(booking.requires_host_approval && !booking.responded_at);
+}
+
+// Booking and history fields once a charge has gone through
+function settledFields(booking, type, amount) {
+    const status = awaitingHost(booking) ? 'requested' : 'confirmed';
+    if (type === 'deposit') {
+        const total = roundMoney(toNumber(booking.price_quote.total));
+        const balance = roundMoney(Math.max(total - amount - (toNumber(booking.balance_paid) || 0), 0));
+        return {
+            status,
+            deposit_paid: amount,
+            balance_amount_due: balance,
+            payment_status: balance > 0 ? 'deposit_paid' : 'paid'
+        };
+    }
+    return {
+        status,
+        balance_paid: roundMoney((toNumber(booking.balance_paid) || 0) + amount),
+        balance_amount_due: 0,
+        payment_status: 'paid'
+    };
+}
+
+// Booking and history fields after a charge was declined or failed. A request paying its
+// balance early is left as it was, waiting for the host; the balance is collected as usual
+// once they accept.
+function declinedFields(booking, type) {
+    if (type === 'balance' && awaitingHost(booking)) {
+        return { status: 'requested', payment_status: booking.payment_status };
+    }
+    return { status: 'pending_payment', payment_status: type === 'deposit' ? 'deposit_pending' : 'balance_pending' };
+}
+
+// Charge the deposit or balance of a booking to `paymentMethod` and record the outcome.
+// Resolves to { ok, transaction, fields } where fields are the booking fields that changed;
+// declines are not thrown. Throws AppError 409 'booking_changed' (after refunding the
+// charge) if the booking left the status it was charged in meanwhile.
+async function chargeBooking(database, payments, listingId, booking, { type, amount }, paymentMethod = booking.payment_method) {
+    const now = new Date();
+    if (!await lockPayments(database, listingId, booking.booking_id, new Date(now.getTime() + PAYMENT_LOCK_MS), now)) {
+        throw new AppError(409, 'payment_in_progress', "A payment for this booking is already being processed");
+    }
+
+    let result;
+    try {
+        result = await payments.charge({
+            amount,
+            currency: CURRENCY,
+            payment_method: paymentMethod.id,
+            description: `Booking ${booking.booking_id.toString().toUpperCase()} ${type}`,
+            idempotency_key: `${booking.booking_id}-${type}-${(booking.transactions || []).length}`
+        });
+    } catch (error) {
+        await unlockPayments(database, listingId, booking.booking_id);
+        throw error;
+    }
+
+    const transaction = transactionRecord(payments, type, amount, paymentMethod, result);
+    const ok = result.status === 'succeeded';
+    const fields = ok ? settledFields(booking, type, amount) : declinedFields(booking, type);
+
+    const changes = { payment_method: paymentMethod, ...fields };
+    if (!await recordCharge(database, listingId, booking.booking_id, booking.status, changes, transaction)) {
+        // The booking was cancelled, expired or declined while the charge was in flight, and
+        // may no longer hold its dates: keep it closed and give the money back
+        await addTransactions(database, listingId, booking.booking_id, [transaction]);
+        await unlockPayments(database, listingId, booking.booking_id);
+        if (ok) {
+            const charged = { ...booking, transactions: [...(booking.transactions || []), transaction] };
+            await refundBooking(database, payments, listingId, charged, amount, 'booking_closed');
+        }
+        throw new AppError(409, 'booking_changed', "This booking has changed and can't be paid; any charge has been refunded");
+    }
+    await updateBookingHistory(database, booking.booking_id, { status: fields.status });
+
+    return { ok, transaction, fields: { ...fields, payment_method: paymentMethod } };
+}
+
+// Refund up to `amount` against the booking's successful charges, newest first.
+// Resolves to { refunded, transactions } - refunded is what the gateway accepted.
+async function refundBooking(database, payments, listingId, booking, amount, reason) {
+    const history = booking.transactions || [];
+    const refundedByCharge = {};
+    for (const entry of history) {
+        if (entry.type === 'refund' && entry.status === 'succeeded') {
+            refundedByCharge[entry.charge_id] = (refundedByCharge[entry.charge_id] || 0) + entry.amount;
+        }
+    }
+    const charges = history
+        .filter(entry => entry.type !== 'refund' && entry.status === 'succeeded')
+        .reverse();
+
+    let remaining = roundMoney(amount);
+    const transactions = [];
+    for (const charge of charges) {
+        if (remaining <= 0) {
+            break;
+        }
+        const refundable = roundMoney(charge.amount - (refundedByCharge[charge.provider_id] || 0));
+        const portion = Math.min(refundable, remaining);
+        if (portion <= 0) {
+            continue;
+        }
+
+        const result = await payments.refund({
+            charge_id: charge.provider_id,
+            amount: portion,
+            currency: charge.currency,
+            idempotency_key: `${booking.booking_id}-refund-${history.length + transactions.length}`
+        });
+        transactions.push(transactionRecord(payments, 'refund', portion, charge.payment_method, result, {
+            charge_id: charge.provider_id,
+            reason
+        }));
+        if (result.status === 'succeeded') {
+            remaining = roundMoney(remaining - portion);
+        }
+    }
+
+    if (transactions.length > 0) {
+        await addTransactions(database, listingId, booking.booking_id, transactions);
+    }
+    return { refunded: roundMoney(amount - remaining), transactions };
+}
+
+// Charge every confirmed booking whose balance has fallen due, emailing a receipt for each
+// that goes through. Bookings whose balance charge is declined move to pending_payment and
+// wait for the guest to pay.
+async function collectDueBalances(database, payments, notifications, now = new Date()) {
+    const due = {
+        status: 'confirmed',
+        payment_status: 'deposit_paid',
+        balance_amount_due: { $gt: 0 },
+        balance_due_date: { $lte: now },
+        "payment_method.id": { $exists: true }
+    };
+    const bookings = await findBookings(database, due);
+
+    const summary = { attempted: 0, succeeded: 0, failed: 0 };
+    for (const { listing, booking } of bookings) {
+        summary.attempted++;
+        try {
+            const { ok, transaction, fields } = await chargeBooking(database, payments, listing._id, booking, outstandingPayment(booking));
+            summary[ok ? 'succeeded' : 'failed']++;
+            if (ok && notifications) {
+                await notifications.notify('payment_receipt', { listing, booking: { ...booking, ...fields }, transaction });
+            }
+        } catch (error) {
+            summary.failed++;
+            console.error(`Balance collection failed for booking ${booking.booking_id}:`, error.message);
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    CURRENCY,
+    tokenizeCard,
+    outstandingPayment,
+    chargeBooking,
+    refundBooking,
+    collectDueBalances
+};
@@ -0,0 +1,158 @@
+const { toNumber } = require('../lib/numbers');
+const { MAX_STAY_NIGHTS, CALENDAR_PROJECTION, addDays, nightlyRate } = require('./calendar');
+
+// Server-side pricing. Both the booking page (through the quote API) and the booking
+// write use quoteStay, so the total a guest is shown is the total they are charged.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Share of the total taken when booking; the rest is due before arrival
+const DEPOSIT_RATE = 0.2;
+const BALANCE_DUE_DAYS = 7;
+
+// Taxes as a percentage of the discounted subtotal (e.g. TAX_RATE=12.5)
+const TAX_RATE = parseFloat(process.env.TAX_RATE || '0');
+
+const WEEKLY_NIGHTS = 7;
+const MONTHLY_NIGHTS = 28;
+
+// Listing fields the engine reads
+const PRICING_PROJECTION = {
+    price: 1,
+    cleaning_fee: 1,
+    security_deposit: 1,
+    extra_people: 1,
+    guests_included: 1,
+    weekly_price: 1,
+    monthly_price: 1,
+    discounts: 1,
+    ...CALENDAR_PROJECTION
+};
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function countNights(checkInDate, checkOutDate) {
+    return Math.ceil((checkOutDate - checkInDate) / DAY_MS);
+}
+
+// Nightly rate for each night of the stay, honouring the host's seasonal and weekend rates.
+// Callers check the stay against the calendar rules first (checkStayRules), which cap its length.
+function nightlyRates(listing, checkInDate, checkOutDate) {
+    const nights = countNights(checkInDate, checkOutDate);
+    if (nights > MAX_STAY_NIGHTS) {
+        throw new RangeError(`Can't price a stay of ${nights} nights`);
+    }
+    return Array.from(
+        { length: Math.max(nights, 0) },
+        (_, night) => nightlyRate(listing, addDays(checkInDate, night))
+    );
+}
+
+// Long-stay discount percentage. Hosts can set `discounts.weekly_percent` / `monthly_percent`
+// directly; otherwise it is derived from the dataset's weekly_price / monthly_price.
+function longStayDiscount(listing, nights) {
+    const price = toNumber(listing.price) || 0;
+    const discounts = listing.discounts || {};
+    const derived = (periodPrice, periodNights) => {
+        const amount = toNumber(periodPrice);
+        if (!amount || !price) {
+            return 0;
+        }
+        return Math.max(0, (1 - amount / (price * periodNights)) * 100);
+    };
+
+    if (nights >= MONTHLY_NIGHTS) {
+        const percent = discounts.monthly_percent !== undefined
+            ? Number(discounts.monthly_percent)
+            : derived(listing.monthly_price, 30);
+        if (percent > 0) {
+            return { type: 'monthly', percent: roundMoney(percent) };
+        }
+    }
+    if (nights >= WEEKLY_NIGHTS) {
+        const percent = discounts.weekly_percent !== undefined
+            ? Number(discounts.weekly_percent)
+            : derived(listing.weekly_price, WEEKLY_NIGHTS);
+        if (percent > 0) {
+            return { type: 'weekly', percent: roundMoney(percent) };
+        }
+    }
+    return null;
+}
+
+// Itemised price for a stay. `guests` defaults to the number included in the price.
+function quoteStay(listing, { checkInDate, checkOutDate, guests }) {
+    const rates = nightlyRates(listing, checkInDate, checkOutDate);
+    const nights = rates.length;
+    const accommodation = roundMoney(rates.reduce((sum, rate) => sum + rate, 0));
+
+    const guestsIncluded = toNumber(listing.guests_included) || 1;
+    const guestCount = parseInt(guests) || guestsIncluded;
+    const extraGuests = Math.max(guestCount - guestsIncluded, 0);
+    const extraGuestFee = roundMoney(extraGuests * (toNumber(listing.extra_people) || 0) * nights);
+
+    const cleaningFee = nights > 0 ? roundMoney(toNumber(listing.cleaning_fee) || 0) : 0;
+
+    const discount = longStayDiscount(listing, nights);
+    const discountAmount = discount ? roundMoney((accommodation + extraGuestFee) * discount.percent / 100) : 0;
+
+    const subtotal = roundMoney(accommodation + extraGuestFee + cleaningFee - discountAmount);
+    const taxes = roundMoney(subtotal * TAX_RATE / 100);
+    const total = roundMoney(subtotal + taxes);
+    const depositDue = roundMoney(total * DEPOSIT_RATE);
+
+    const nightsLabel = `${nights} night${nights === 1 ? '' : 's'}`;
+    const uniformRate = rates.every(rate => rate === rates[0]);
+    const lineItems = [{
+        code: 'accommodation',
+        label: uniformRate && nights > 0 ? `$${rates[0].toFixed(2)} × ${nightsLabel}` : nightsLabel,
+        amount: accommodation
+    }];
+    if (extraGuestFee > 0) {
+        lineItems.push({ code: 'extra_guests', label: `${extraGuests} extra guest${extraGuests > 1 ? 's' : ''}`, amount: extraGuestFee });
+    }
+    if (cleaningFee > 0) {
+        lineItems.push({ code: 'cleaning_fee', label: 'Cleaning fee', amount: cleaningFee });
+    }
+    if (discountAmount > 0) {
+        lineItems.push({ code: 'discount', label: `${discount.type === 'monthly' ? 'Monthly' : 'Weekly'} discount (${discount.percent}%)`, amount: -discountAmount });
+    }
+    if (taxes > 0) {
+        lineItems.push({ code: 'taxes', label: `Taxes (${TAX_RATE}%)`, amount: taxes });
+    }
+
+    return {
+        currency: 'USD',
+        nights,
+        guests: guestCount,
+        nightly_rates: rates,
+        accommodation,
+        extra_guests: extraGuests,
+        extra_guest_fee: extraGuestFee,
+        cleaning_fee: cleaningFee,
+        discount: discount ? { ...discount, amount: discountAmount } : null,
+        subtotal,
+        tax_rate: TAX_RATE,
+        taxes,
+        total,
+        // Refundable, held separately and not part of the total
+        security_deposit: roundMoney(toNumber(listing.security_deposit) || 0),
+        deposit_due: depositDue,
+        balance_due: roundMoney(total - depositDue),
+        balance_due_date: new Date(checkInDate.getTime() - BALANCE_DUE_DAYS * DAY_MS),
+        line_items: lineItems,
+        quoted_at: new Date()
+    };
+}
+
+module.exports = {
+    DEPOSIT_RATE,
+    BALANCE_DUE_DAYS,
+    PRICING_PROJECTION,
+    roundMoney,
+    countNights,
+    nightlyRates,
+    quoteStay
+};
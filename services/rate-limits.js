@@ -0,0 +1,47 @@
+const { AppError } = require('../lib/errors');
+const { incrementCounter } = require('../repositories/rate-limits');
+
+// Fixed-window rate limits, counted in MongoDB so that every app instance shares them.
+// Each attempt adds one to the counter of the current window for every identity it is
+// made with (an IP address, an email, ...); the counters expire with their window.
+
+// Booking submissions (the booking form and POST /api/v1/bookings), counted whether or
+// not the booking goes through
+const BOOKING_RATE_LIMITS = {
+    ip: { limit: 10, windowMinutes: 10 },
+    email: { limit: 5, windowMinutes: 60 }
+};
+
+// Add an attempt to the counter for `key` in the window containing `now`; resolves to
+// the window's count and when it ends
+async function countAttempt(database, key, windowMinutes, now) {
+    const windowMs = windowMinutes * 60 * 1000;
+    const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+    const expiresAt = new Date(windowStart + windowMs);
+    const count = await incrementCounter(database, `${key}:${windowStart}`, expiresAt);
+    return { count, resetsAt: expiresAt };
+}
+
+// Count an attempt at `action` for each identity given in `identities` ({ ip, email, ... };
+// blank ones are skipped), throwing AppError 429 'rate_limited' when one is over its limit
+async function enforceRateLimits(database, action, limits, identities, now = new Date()) {
+    for (const [name, { limit, windowMinutes }] of Object.entries(limits)) {
+        const identity = identities[name];
+        if (!identity) {
+            continue;
+        }
+        const { count, resetsAt } = await countAttempt(database, `${action}:${name}:${String(identity).toLowerCase()}`, windowMinutes, now);
+        if (count > limit) {
+            const retryAfter = Math.max(1, Math.ceil((resetsAt - now) / 1000));
+            const minutes = Math.ceil(retryAfter / 60);
+            throw new AppError(429, 'rate_limited', `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, {
+                retry_after: retryAfter
+            });
+        }
+    }
+}
+
+module.exports = {
+    BOOKING_RATE_LIMITS,
+    enforceRateLimits
+};
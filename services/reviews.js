@@ -0,0 +1,192 @@
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../lib/errors');
+const { findBooking } = require('./bookings');
+const { findListing, aggregateListings, updateListing } = require('../repositories/listings');
+const { addBookingReview } = require('../repositories/bookings');
+
+// Guest reviews. A guest can review each completed stay once, scoring the dataset's six
+// review_scores categories from 1 to 10 and leaving a comment. The review is stored in the
+// listing's `reviews` array next to the dataset's own (which have comments but no scores)
+// and folded into the listing's aggregate `review_scores`.
+
+const REVIEW_CATEGORIES = [
+    { key: 'accuracy', label: 'Accuracy' },
+    { key: 'cleanliness', label: 'Cleanliness' },
+    { key: 'checkin', label: 'Check-in' },
+    { key: 'communication', label: 'Communication' },
+    { key: 'location', label: 'Location' },
+    { key: 'value', label: 'Value' }
+];
+const MAX_SCORE = 10;
+const MAX_COMMENT_LENGTH = 2000;
+
+const REVIEWS_PAGE_SIZE = 10;
+// Review orders offered on the listing page; _id breaks ties so pages don't overlap
+const REVIEW_SORTS = {
+    newest: { label: 'Newest first', sort: { date: -1, _id: -1 } },
+    oldest: { label: 'Oldest first', sort: { date: 1, _id: 1 } }
+};
+// Fields of a review shown to other guests (not the reviewer's id or booking)
+const PUBLIC_REVIEW_FIELDS = { _id: 1, date: 1, reviewer_name: 1, comments: 1, rating: 1, scores: 1 };
+
+// Stays can be reviewed once they are over: completed by the scheduled job, or confirmed
+// and already checked out but not yet picked up by it
+function canReview(booking, now = new Date()) {
+    if (booking.review_id) {
+        return false;
+    }
+    return booking.status === 'completed' ||
+        (booking.status === 'confirmed' && new Date(booking.departure_date) <= now);
+}
+
+// Parse the review form into { scores, comments }. Throws AppError listing every invalid field.
+function reviewFields(input) {
+    const scores = {};
+    const invalid = [];
+    for (const { key } of REVIEW_CATEGORIES) {
+        const score = Number(input[key]);
+        if (!Number.isInteger(score) || score < 1 || score > MAX_SCORE) {
+            invalid.push(key);
+        }
+        scores[key] = score;
+    }
+
+    const comments = String(input.comments || '').trim();
+    if (!comments || comments.length > MAX_COMMENT_LENGTH) {
+        invalid.push('comments');
+    }
+
+    if (invalid.length > 0) {
+        throw new AppError(400, 'invalid_review', `Score every category from 1 to ${MAX_SCORE} and add a comment (up to ${MAX_COMMENT_LENGTH} characters)`, { fields: invalid });
+    }
+    return { scores, comments };
+}
+
+// A review's overall rating on the dataset's 0-100 scale
+function overallRating(scores) {
+    const total = REVIEW_CATEGORIES.reduce((sum, { key }) => sum + scores[key], 0);
+    return Math.round(total / REVIEW_CATEGORIES.length * (100 / MAX_SCORE));
+}
+
+// Fold `value` into the running average stored at review_scores.<field>. The dataset's
+// averages cover number_of_reviews reviews; a listing without one starts from this review.
+function runningAverage(field, value) {
+    const current = `$review_scores.${field}`;
+    const count = { $ifNull: ["$number_of_reviews", 0] };
+    return {
+        $cond: [
+            { $or: [{ $in: [{ $type: current }, ['missing', 'null']] }, { $eq: [count, 0] }] },
+            value,
+            { $round: [{ $divide: [{ $add: [{ $multiply: [current, count] }, value] }, { $add: [count, 1] }] }, 2] }
+        ]
+    };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One page of a listing's reviews, optionally only those whose text contains `q`.
+// The reviews array is unwound, filtered and paged in the database, so only the page
+// itself is sent back. Resolves to null when the listing doesn't exist or is unpublished.
+async function getListingReviews(database, listingId, { page, sort, q } = {}) {
+    const listing = await findListing(database, { _id: listingId, published: { $ne: false } }, { _id: 1 });
+    if (!listing) {
+        return null;
+    }
+
+    const sortKey = REVIEW_SORTS[sort] ? sort : 'newest';
+    const search = String(q || '').trim().slice(0, 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+
+    const [result] = await aggregateListings(database, [
+        { $match: { _id: listingId } },
+        { $project: { reviews: 1 } },
+        { $unwind: "$reviews" },
+        { $replaceRoot: { newRoot: "$reviews" } },
+        ...(search ? [{ $match: { comments: { $regex: escapeRegex(search), $options: 'i' } } }] : []),
+        { $facet: {
+            total: [{ $count: 'count' }],
+            reviews: [
+                { $sort: REVIEW_SORTS[sortKey].sort },
+                { $skip: (currentPage - 1) * REVIEWS_PAGE_SIZE },
+                { $limit: REVIEWS_PAGE_SIZE },
+                { $project: PUBLIC_REVIEW_FIELDS }
+            ]
+        }}
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    return {
+        reviews: result.reviews,
+        total,
+        page: currentPage,
+        pageSize: REVIEWS_PAGE_SIZE,
+        totalPages: Math.ceil(total / REVIEWS_PAGE_SIZE),
+        sort: sortKey,
+        q: search
+    };
+}
+
+// Review a stay, identified like the manage-booking page by reference and guest email.
+// Resolves to the booking (as findBooking) plus the stored review.
+async function submitReview(database, reference, email, input, now = new Date()) {
+    const found = await findBooking(database, reference, email);
+    if (!found) {
+        throw new AppError(404, 'booking_not_found', "No booking matches that reference and email");
+    }
+    const { client, listing, booking } = found;
+    if (booking.review_id) {
+        throw new AppError(409, 'already_reviewed', "You have already reviewed this stay");
+    }
+    if (!canReview(booking, now)) {
+        throw new AppError(409, 'stay_not_completed', "You can review a stay once it is over");
+    }
+    const { scores, comments } = reviewFields(input);
+
+    // Same shape as the dataset's reviews, plus the scores and the booking it came from
+    const review = {
+        _id: new ObjectId().toString(),
+        date: now,
+        listing_id: listing._id,
+        reviewer_id: client._id.toString(),
+        reviewer_name: client.name || booking.guest_list?.[0]?.name || 'Guest',
+        comments,
+        booking_id: booking.booking_id,
+        scores,
+        rating: overallRating(scores)
+    };
+
+    if (!await addBookingReview(database, listing._id, booking.booking_id, review)) {
+        throw new AppError(409, 'already_reviewed', "You have already reviewed this stay");
+    }
+
+    const averages = {};
+    for (const { key } of REVIEW_CATEGORIES) {
+        averages[`review_scores.review_scores_${key}`] = runningAverage(`review_scores_${key}`, scores[key]);
+    }
+    await updateListing(database, { _id: listing._id }, [
+        { $set: {
+            ...averages,
+            "review_scores.review_scores_rating": runningAverage('review_scores_rating', review.rating),
+            number_of_reviews: { $add: [{ $ifNull: ["$number_of_reviews", 0] }, 1] },
+            first_review: { $ifNull: ["$first_review", now] },
+            last_review: now
+        }}
+    ]);
+
+    return { ...await findBooking(database, reference, email), review };
+}
+
+module.exports = {
+    REVIEW_CATEGORIES,
+    MAX_SCORE,
+    MAX_COMMENT_LENGTH,
+    REVIEWS_PAGE_SIZE,
+    REVIEW_SORTS,
+    canReview,
+    reviewFields,
+    overallRating,
+    getListingReviews,
+    submitReview
+};
@@ -0,0 +1,90 @@
+const { toNumber } = require('../lib/numbers');
+const { INACTIVE_STATUSES } = require('./availability');
+const { countNights, roundMoney } = require('./pricing');
+const { canReview } = require('./reviews');
+const { aggregateListings } = require('../repositories/listings');
+const { findClients } = require('../repositories/clients');
+
+// "My trips": a guest's bookings, read from clients.booking_history and joined with the
+// listing's embedded booking (the source of truth for status and payments).
+
+const TRIP_GROUPS = ['current', 'upcoming', 'past', 'cancelled'];
+
+function tripGroup(booking, now) {
+    if (INACTIVE_STATUSES.includes(booking.status)) {
+        return 'cancelled';
+    }
+    if (new Date(booking.departure_date) <= now) {
+        return 'past';
+    }
+    if (new Date(booking.arrival_date) <= now) {
+        return 'current';
+    }
+    return 'upcoming';
+}
+
+// All trips for the client records matching `clientQuery`, grouped into
+// { current, upcoming, past, cancelled }
+async function getTrips(database, clientQuery, now = new Date()) {
+    const clients = await findClients(database, clientQuery, { booking_history: 1 });
+
+    const history = clients.flatMap(client => client.booking_history || []);
+    const groups = Object.fromEntries(TRIP_GROUPS.map(group => [group, []]));
+    if (history.length === 0) {
+        return groups;
+    }
+
+    const bookingIds = history.map(entry => entry.booking_id);
+    const listings = await aggregateListings(database, [
+        { $match: { _id: { $in: [...new Set(history.map(entry => entry.listing_id))] } } },
+        { $project: {
+            name: 1,
+            "images.picture_url": 1,
+            "address.market": 1,
+            bookings: {
+                $filter: { input: { $ifNull: ["$bookings", []] }, cond: { $in: ["$$this.booking_id", bookingIds] } }
+            }
+        }}
+    ]);
+
+    for (const listing of listings) {
+        for (const booking of listing.bookings) {
+            const entry = history.find(item => item.booking_id.equals(booking.booking_id));
+            const paid = roundMoney((toNumber(booking.deposit_paid) || 0) + (toNumber(booking.balance_paid) || 0));
+
+            groups[tripGroup(booking, now)].push({
+                reference: booking.booking_id.toString().toUpperCase(),
+                listing: {
+                    id: listing._id,
+                    name: listing.name,
+                    image: listing.images?.picture_url || '',
+                    market: listing.address?.market || ''
+                },
+                status: booking.status,
+                arrival_date: booking.arrival_date,
+                departure_date: booking.departure_date,
+                nights: countNights(new Date(booking.arrival_date), new Date(booking.departure_date)),
+                guests: booking.num_guests,
+                total: booking.price_quote ? booking.price_quote.total : toNumber(entry.total_cost) || 0,
+                paid,
+                balance_due: toNumber(booking.balance_amount_due) || 0,
+                balance_due_date: booking.balance_due_date,
+                refund: booking.refund ? booking.refund.total_refund : null,
+                can_review: canReview(booking, now)
+            });
+        }
+    }
+
+    const byArrival = (a, b) => new Date(a.arrival_date) - new Date(b.arrival_date);
+    groups.current.sort(byArrival);
+    groups.upcoming.sort(byArrival);
+    groups.past.sort((a, b) => byArrival(b, a));
+    groups.cancelled.sort((a, b) => byArrival(b, a));
+    return groups;
+}
+
+module.exports = {
+    TRIP_GROUPS,
+    tripGroup,
+    getTrips
+};
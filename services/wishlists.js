@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../lib/errors');
+const { findListing, findListings } = require('../repositories/listings');
+const { findClient } = require('../repositories/clients');
+const {
+    findWishlist, findWishlists, countWishlists, distinctWishlistListingIds, insertWishlist,
+    updateWishlist, updateWishlists, findAndUpdateWishlist, removeWishlist
+} = require('../repositories/wishlists');
+
+// Wishlists: named shortlists of listings. They belong to a guest account or, for guests who
+// haven't logged in, to their browser (an id kept in the session); logging in moves the
+// device's lists to the account. A list can be shared read-only through a secret link.
+//
+// `owner` is the filter that picks out the lists: { client_id } or { device_id }.
+
+const DEFAULT_WISHLIST_NAME = 'Favourites';
+const MAX_WISHLISTS = 20;
+const MAX_LISTINGS_PER_WISHLIST = 200;
+const MAX_NAME_LENGTH = 50;
+// Lists of a device that never logs in are removed this long after their last change
+const DEVICE_WISHLIST_TTL_DAYS = 30;
+
+// Fields shown for each listing on the wishlists pages; price and rating are read live
+const WISHLIST_LISTING_PROJECTION = {
+    _id: 1,
+    name: 1,
+    price: 1,
+    "review_scores.review_scores_rating": 1,
+    number_of_reviews: 1,
+    "address.market": 1,
+    "images.picture_url": 1,
+    published: 1
+};
+
+function newDeviceId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function wishlistName(name) {
+    const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!trimmed) {
+        throw new AppError(400, 'invalid_wishlist_name', "Give the wishlist a name");
+    }
+    return trimmed;
+}
+
+// Fields refreshed on every change; device lists expire unless their owner comes back
+function touched(owner, now = new Date()) {
+    const fields = { updated_at: now };
+    if (owner.device_id) {
+        fields.expires_at = new Date(now.getTime() + DEVICE_WISHLIST_TTL_DAYS * 24 * 60 * 60 * 1000);
+    }
+    return fields;
+}
+
+function byId(owner, wishlistId) {
+    return ObjectId.isValid(wishlistId) ? { ...owner, _id: new ObjectId(wishlistId) } : null;
+}
+
+async function getWishlists(database, owner) {
+    return findWishlists(database, owner);
+}
+
+// Ids of every listing in any of the owner's lists, for filled-in hearts
+async function savedListingIds(database, owner) {
+    const ids = await distinctWishlistListingIds(database, owner);
+    return new Set(ids);
+}
+
+async function createWishlist(database, owner, name) {
+    const listName = wishlistName(name);
+    const existing = await findWishlist(database, { ...owner, name: listName });
+    if (existing) {
+        return existing;
+    }
+    if (await countWishlists(database, owner) >= MAX_WISHLISTS) {
+        throw new AppError(409, 'too_many_wishlists', `You can have up to ${MAX_WISHLISTS} wishlists`);
+    }
+    const now = new Date();
+    const wishlist = { ...owner, name: listName, listing_ids: [], share_token: null, created_at: now, ...touched(owner, now) };
+    return { _id: await insertWishlist(database, wishlist), ...wishlist };
+}
+
+// Add a listing to the list with `wishlistId`, to a list called `name` (created if need
+// be), or to the default list. Resolves to the list.
+async function addToWishlist(database, owner, listingId, { wishlistId, name } = {}) {
+    const listing = await findListing(database, { _id: String(listingId || ''), published: { $ne: false } }, { _id: 1 });
+    if (!listing) {
+        throw new AppError(404, 'listing_not_found', "Listing not found");
+    }
+
+    let wishlist;
+    if (wishlistId) {
+        wishlist = await findWishlist(database, byId(owner, wishlistId) || { _id: null });
+        if (!wishlist) {
+            throw new AppError(404, 'wishlist_not_found', "Wishlist not found");
+        }
+    } else {
+        wishlist = await createWishlist(database, owner, name || DEFAULT_WISHLIST_NAME);
+    }
+
+    const added = await updateWishlist(
+        database,
+        { _id: wishlist._id, [`listing_ids.${MAX_LISTINGS_PER_WISHLIST - 1}`]: { $exists: false } },
+        { $addToSet: { listing_ids: listing._id }, $set: touched(owner) }
+    );
+    if (!added) {
+        throw new AppError(409, 'wishlist_full', `A wishlist can hold up to ${MAX_LISTINGS_PER_WISHLIST} places`);
+    }
+    return wishlist;
+}
+
+async function removeFromWishlist(database, owner, wishlistId, listingId) {
+    const filter = byId(owner, wishlistId);
+    if (!filter) {
+        return false;
+    }
+    return updateWishlist(database, filter, { $pull: { listing_ids: String(listingId) }, $set: touched(owner) });
+}
+
+// The heart on a listing: saves it to the default list, or takes it out of every list
+// it is in. Resolves to whether the listing is saved afterwards.
+async function toggleSaved(database, owner, listingId) {
+    const id = String(listingId || '');
+    if (await findWishlist(database, { ...owner, listing_ids: id }, { _id: 1 })) {
+        await updateWishlists(database, { ...owner, listing_ids: id }, { $pull: { listing_ids: id }, $set: touched(owner) });
+        return false;
+    }
+    await addToWishlist(database, owner, id);
+    return true;
+}
+
+async function deleteWishlist(database, owner, wishlistId) {
+    const filter = byId(owner, wishlistId);
+    return filter ? removeWishlist(database, filter) : false;
+}
+
+// Turn the read-only link on (a new secret token) or off. Resolves to the list, or null.
+async function setSharing(database, owner, wishlistId, shared) {
+    const filter = byId(owner, wishlistId);
+    if (!filter) {
+        return null;
+    }
+    return findAndUpdateWishlist(database, filter, {
+        $set: { share_token: shared ? crypto.randomBytes(16).toString('hex') : null }
+    });
+}
+
+// The listings in a list, in the order they were added, with current price and rating.
+// Listings since removed or unpublished are left out.
+async function wishlistListings(database, wishlist) {
+    const listings = await findListings(
+        database,
+        { _id: { $in: wishlist.listing_ids }, published: { $ne: false } },
+        { projection: WISHLIST_LISTING_PROJECTION }
+    );
+    const byListingId = new Map(listings.map(listing => [listing._id, listing]));
+    return wishlist.listing_ids.map(id => byListingId.get(id)).filter(Boolean);
+}
+
+// Every list of the owner with its listings
+async function getWishlistsWithListings(database, owner) {
+    const wishlists = await getWishlists(database, owner);
+    return Promise.all(wishlists.map(async wishlist => ({ ...wishlist, listings: await wishlistListings(database, wishlist) })));
+}
+
+// A shared list with its listings, or null when the link is wrong or sharing was turned off
+async function getSharedWishlist(database, token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{32}$/.test(token)) {
+        return null;
+    }
+    const wishlist = await findWishlist(database, { share_token: token });
+    if (!wishlist) {
+        return null;
+    }
+    const owner = wishlist.client_id
+        ? await findClient(database, { _id: wishlist.client_id }, { name: 1 })
+        : null;
+    return {
+        name: wishlist.name,
+        owner_name: owner ? owner.name : null,
+        listings: await wishlistListings(database, wishlist)
+    };
+}
+
+// Move a device's lists to the account that just logged in on it. A list with the same
+// name as one of the account's is merged into it.
+async function claimDeviceWishlists(database, deviceId, clientId) {
+    for (const wishlist of await findWishlists(database, { device_id: deviceId })) {
+        const existing = await findWishlist(database, { client_id: clientId, name: wishlist.name }, { _id: 1 });
+        if (existing) {
+            await updateWishlist(
+                database,
+                { _id: existing._id },
+                { $addToSet: { listing_ids: { $each: wishlist.listing_ids } }, $set: { updated_at: new Date() } }
+            );
+            await removeWishlist(database, { _id: wishlist._id });
+        } else {
+            await updateWishlist(
+                database,
+                { _id: wishlist._id },
+                { $set: { client_id: clientId, updated_at: new Date() }, $unset: { device_id: '', expires_at: '' } }
+            );
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_WISHLIST_NAME,
+    MAX_WISHLISTS,
+    newDeviceId,
+    getWishlists,
+    savedListingIds,
+    createWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    toggleSaved,
+    deleteWishlist,
+    setSharing,
+    getWishlistsWithListings,
+    getSharedWishlist,
+    claimDeviceWishlists
+};
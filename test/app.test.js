@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const { MongoClient } = require('mongodb');
+const session = require('express-session');
+const { createApp } = require('../app');
+const { createPaymentGateway } = require('../lib/payments');
+const { ensureIndexes } = require('../services/indexes');
+
+// The whole app over a throwaway database on a local MongoDB (TEST_MONGODB_URI), which is
+// dropped afterwards. Skipped when there is no MongoDB to connect to.
+//
+// Never point this at the real cluster - it creates and drops its own database.
+
+const uri = process.env.TEST_MONGODB_URI || "mongodb://localhost:27017";
+const databaseName = `airbnb_app_test_${Date.now()}`;
+
+const LISTING = {
+    _id: 'app-test-listing',
+    name: 'Harbour View Loft',
+    summary: 'A bright loft by the water',
+    property_type: 'Apartment',
+    room_type: 'Entire home/apt',
+    accommodates: 4,
+    bedrooms: 2,
+    beds: 2,
+    bathrooms: 1,
+    price: 120,
+    cleaning_fee: 40,
+    minimum_nights: '1',
+    maximum_nights: '30',
+    cancellation_policy: 'flexible',
+    address: { market: 'Porto', country: 'Portugal' },
+    images: { picture_url: '' },
+    amenities: ['Wifi', 'Kitchen'],
+    bookings: [],
+    reviews: []
+};
+
+let client = null;
+let database;
+let server;
+let baseUrl;
+const sent = [];
+
+before(async () => {
+    const candidate = new MongoClient(uri, { serverSelectionTimeoutMS: 2000 });
+    try {
+        await candidate.connect();
+    } catch (error) {
+        await candidate.close();
+        return;
+    }
+    client = candidate;
+    database = client.db(databaseName);
+    await database.collection('listingsAndReviews').insertOne(LISTING);
+    await ensureIndexes(database);
+
+    const app = createApp(database, {
+        mailer: { send: async message => { sent.push(message); return { id: `test-${sent.length}` }; } },
+        payments: createPaymentGateway({ provider: 'mock' }),
+        appUrl: 'http://localhost',
+        sessionStore: new session.MemoryStore()
+    });
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    if (!client) {
+        return;
+    }
+    server.close();
+    await database.dropDatabase();
+    await client.close();
+});
+
+// A test that needs the app; skipped without a database
+function appTest(name, fn) {
+    test(name, t => client ? fn(t) : t.skip(`no MongoDB at ${uri}`));
+}
+
+function day(offset) {
+    return new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+async function getJson(path) {
+    const response = await fetch(baseUrl + path);
+    return { status: response.status, body: await response.json() };
+}
+
+appTest('serves the homepage with the listings', async () => {
+    const response = await fetch(`${baseUrl}/`);
+    assert.strictEqual(response.status, 200);
+    assert.match(await response.text(), /Harbour View Loft/);
+});
+
+appTest('finds listings by keyword', async () => {
+    const response = await fetch(`${baseUrl}/search?q=harbour`);
+    assert.strictEqual(response.status, 200);
+    assert.match(await response.text(), /Harbour View Loft/);
+});
+
+appTest('answers the listing and quote API', async () => {
+    const listing = await getJson(`/api/v1/listings/${LISTING._id}`);
+    assert.strictEqual(listing.status, 200);
+    assert.strictEqual(listing.body.data.name, LISTING.name);
+
+    const quote = await getJson(`/api/v1/listings/${LISTING._id}/quote?check_in=${day(30)}&check_out=${day(33)}&guests=2`);
+    assert.strictEqual(quote.status, 200);
+    assert.ok(quote.body.data.total > 0);
+
+    const missing = await getJson(`/api/v1/listings/no-such-listing/quote?check_in=${day(30)}&check_out=${day(33)}&guests=2`);
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.error.code, 'listing_not_found');
+});
+
+appTest('books a stay through the API and emails the guest', async () => {
+    const email = 'guest@example.com';
+    const response = await fetch(`${baseUrl}/api/v1/bookings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            listing_id: LISTING._id,
+            check_in: day(40),
+            check_out: day(43),
+            guest_count: 2,
+            client_name: 'Test Guest',
+            email,
+            card_number: '4242424242424242',
+            card_expiry: '12/39',
+            card_cvc: '123'
+        })
+    });
+    const created = await response.json();
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(created.data.status, 'confirmed');
+
+    const found = await getJson(`/api/v1/bookings/${created.data.reference}?email=${encodeURIComponent(email)}`);
+    assert.strictEqual(found.status, 200);
+    assert.strictEqual(found.body.data.payment_status, 'deposit_paid');
+    assert.ok(sent.some(message => message.to === email));
+
+    // The same dates can't be booked twice
+    const taken = await getJson(`/api/v1/listings/${LISTING._id}/availability?check_in=${day(41)}&check_out=${day(42)}&guests=2`);
+    assert.strictEqual(taken.body.data.available, false);
+});
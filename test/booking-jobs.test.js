@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { createPaymentGateway } = require('../lib/payments');
+const { REQUEST_RESPONSE_HOURS, expireUnansweredRequests, completeStays } = require('../services/booking-jobs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date(Date.UTC(2030, 0, 10, 12));
+
+// A stand-in database holding one listing with `booking`. Conditional updates succeed
+// while the booking is still a request, like the real filter on its status.
+function databaseWith(booking) {
+    const listing = { _id: 'listing-1', name: 'Harbour loft' };
+    const updates = [];
+    return {
+        updates,
+        collection: name => ({
+            aggregate: () => ({ toArray: async () => [{ listing, booking }] }),
+            updateOne: async (filter, update) => {
+                updates.push({ collection: name, filter, update });
+                const expiring = update.$set && update.$set['bookings.$.status'] === 'expired';
+                if (expiring && booking.status === 'requested') {
+                    booking.status = 'expired';
+                    return { matchedCount: 1, modifiedCount: 1 };
+                }
+                return { matchedCount: 1, modifiedCount: expiring ? 0 : 1 };
+            }
+        })
+    };
+}
+
+function request(hoursAgo) {
+    return {
+        booking_id: new ObjectId(),
+        status: 'requested',
+        requires_host_approval: true,
+        booking_date: new Date(NOW.getTime() - hoursAgo * HOUR_MS),
+        deposit_paid: 100,
+        balance_paid: 0,
+        transactions: [{ type: 'deposit', amount: 100, currency: 'USD', status: 'succeeded', provider_id: 'ch_1' }]
+    };
+}
+
+function recordingNotifier() {
+    const sent = [];
+    return { sent, notify: async (type, context) => { sent.push({ type, context }); return { status: 'sent' }; } };
+}
+
+test('expires unanswered requests, refunding the deposit and emailing the guest', async () => {
+    const booking = request(REQUEST_RESPONSE_HOURS + 1);
+    const database = databaseWith(booking);
+    const notifications = recordingNotifier();
+
+    const result = await expireUnansweredRequests(database, createPaymentGateway({ provider: 'mock' }), notifications, NOW);
+
+    assert.deepStrictEqual(result, { expired: 1 });
+    const refund = database.updates.find(({ update }) => update.$set && update.$set['bookings.$.refund']);
+    assert.deepStrictEqual(refund.update.$set['bookings.$.refund'], { total_refund: 100, refunded_amount: 100 });
+    const refundTransaction = database.updates.find(({ update }) => update.$push && update.$push['bookings.$.transactions']);
+    assert.strictEqual(refundTransaction.update.$push['bookings.$.transactions'].$each[0].reason, 'request_expired');
+    const history = database.updates.find(({ collection }) => collection === 'clients');
+    assert.strictEqual(history.update.$set['booking_history.$.status'], 'expired');
+    assert.strictEqual(notifications.sent.length, 1);
+    assert.strictEqual(notifications.sent[0].type, 'booking_cancellation');
+    assert.strictEqual(notifications.sent[0].context.booking.status, 'expired');
+});
+
+test('leaves requests the host answered in the meantime alone', async () => {
+    const booking = { ...request(REQUEST_RESPONSE_HOURS + 1), status: 'confirmed' };
+    const database = databaseWith(booking);
+    const notifications = recordingNotifier();
+
+    const result = await expireUnansweredRequests(database, createPaymentGateway({ provider: 'mock' }), notifications, NOW);
+
+    assert.deepStrictEqual(result, { expired: 0 });
+    assert.strictEqual(database.updates.length, 1);
+    assert.strictEqual(notifications.sent.length, 0);
+});
+
+test('completes only the stays still confirmed when their update runs', async () => {
+    const listing = { _id: 'listing-1', name: 'Harbour loft' };
+    const finished = { booking_id: new ObjectId(), status: 'confirmed', departure_date: new Date(NOW.getTime() - HOUR_MS) };
+    const cancelled = { booking_id: new ObjectId(), status: 'confirmed', departure_date: new Date(NOW.getTime() - HOUR_MS) };
+    const histories = [];
+    const database = {
+        collection: () => ({
+            aggregate: () => ({ toArray: async () => [{ listing, booking: finished }, { listing, booking: cancelled }] }),
+            // The guest cancelled the second stay after the job found it
+            updateOne: async filter => {
+                const changed = filter.bookings.$elemMatch.booking_id === finished.booking_id;
+                return { matchedCount: changed ? 1 : 0, modifiedCount: changed ? 1 : 0 };
+            },
+            updateMany: async filter => { histories.push(filter["booking_history.booking_id"].$in); }
+        })
+    };
+
+    assert.deepStrictEqual(await completeStays(database, NOW), { completed: 1 });
+    assert.deepStrictEqual(histories, [[finished.booking_id]]);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPaymentGateway } = require('../lib/payments');
+const { createBooking } = require('../services/bookings');
+
+// A stand-in database holding `listing`; every write goes through, as it would for free dates
+function databaseWith(listing) {
+    return {
+        collection: () => ({
+            findOne: async () => listing,
+            insertOne: async () => ({ acknowledged: true }),
+            updateOne: async () => ({ matchedCount: 1, modifiedCount: 1 })
+        })
+    };
+}
+
+const payments = createPaymentGateway({ provider: 'mock' });
+
+function book(listing) {
+    return createBooking(databaseWith(listing), {
+        listing_id: listing._id,
+        check_in: '2030-03-01',
+        check_out: '2030-03-04',
+        guest_count: '2',
+        client_name: 'Test Guest',
+        email: 'guest@example.com',
+        card_number: '4242424242424242',
+        card_expiry: '12/39',
+        card_cvc: '123'
+    }, { payments });
+}
+
+const sample = { _id: '10006546', name: 'Ribeira Charming Duplex', price: 80, accommodates: 4, minimum_nights: '2', maximum_nights: '30', instant_bookable: false };
+
+test('books a sample listing without a host instantly, whatever instant_bookable says', async () => {
+    const { booking } = await book(sample);
+    assert.strictEqual(booking.requires_host_approval, false);
+    assert.strictEqual(booking.status, 'confirmed');
+});
+
+test('sends bookings on a host listing without instant booking to the host', async () => {
+    const { booking } = await book({ ...sample, _id: 'host-listing', host_id: 'host-1' });
+    assert.strictEqual(booking.requires_host_approval, true);
+    assert.strictEqual(booking.status, 'requested');
+});
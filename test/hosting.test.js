@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { editListing, createListing } = require('../services/hosting');
+const { listingFormValues } = require('../views/hosting');
+
+// A stand-in database that keeps the updates and inserts it is given
+function recordingDatabase() {
+    const updates = [];
+    const inserts = [];
+    return {
+        updates,
+        inserts,
+        collection: () => ({
+            insertOne: async document => { inserts.push(document); return { acknowledged: true }; },
+            updateOne: async (query, update) => { updates.push(update); return { matchedCount: 1, modifiedCount: 1 }; }
+        })
+    };
+}
+
+const customPolicy = { type: 'custom', tiers: [{ days_before: 10, deposit_refund: 100, balance_refund: 100 }] };
+
+const listing = {
+    _id: 'host-listing',
+    host_id: 'host-1',
+    name: 'Garden Flat',
+    property_type: 'Apartment',
+    bedrooms: 1,
+    accommodates: 2,
+    price: 90,
+    address: { market: 'Porto' },
+    cancellation_policy: customPolicy
+};
+
+test('editing a listing keeps its custom cancellation policy', async () => {
+    const database = recordingDatabase();
+    const values = listingFormValues(listing);
+    assert.strictEqual(values.cancellation_policy, 'custom');
+
+    await editListing(database, 'host-1', listing._id, { ...values, price: '95' });
+    const { $set } = database.updates[0];
+    assert.strictEqual($set.price, 95);
+    assert.deepStrictEqual($set.cancellation_policy, customPolicy);
+});
+
+test('leaves the stored cancellation policy alone when the form sends none', async () => {
+    const database = recordingDatabase();
+    const { cancellation_policy, ...values } = listingFormValues(listing);
+    await editListing(database, 'host-1', listing._id, values);
+    assert.ok(!('cancellation_policy' in database.updates[0].$set));
+});
+
+test('hosts can set custom cancellation tiers', async () => {
+    const database = recordingDatabase();
+    await editListing(database, 'host-1', listing._id, {
+        ...listingFormValues(listing),
+        cancellation_policy: 'custom',
+        cancellation_tiers: '7, 50, 100\n\n 30 , 100, 100 '
+    });
+    assert.deepStrictEqual(database.updates[0].$set.cancellation_policy, {
+        type: 'custom',
+        tiers: [
+            { days_before: 30, deposit_refund: 100, balance_refund: 100 },
+            { days_before: 7, deposit_refund: 50, balance_refund: 100 }
+        ]
+    });
+});
+
+test('rejects custom tiers that do not parse', async () => {
+    for (const tiers of ['', '7, 50', '7, 150, 100', '7, 50, 100\n7, 0, 0', 'a week, 50, 100']) {
+        await assert.rejects(
+            editListing(recordingDatabase(), 'host-1', listing._id, { ...listingFormValues(listing), cancellation_policy: 'custom', cancellation_tiers: tiers }),
+            error => error.code === 'invalid_listing' && error.details.fields.includes('cancellation_tiers')
+        );
+    }
+});
+
+test('editing a listing can switch it to a standard cancellation policy', async () => {
+    const database = recordingDatabase();
+    await editListing(database, 'host-1', listing._id, { ...listingFormValues(listing), cancellation_policy: 'strict' });
+    assert.strictEqual(database.updates[0].$set.cancellation_policy, 'strict');
+});
+
+test('new listings get the default cancellation policy unless one is chosen', async () => {
+    const database = recordingDatabase();
+    const { _id, host_id, cancellation_policy, ...input } = listing;
+    const created = await createListing(database, { _id: 'host-1', name: 'Host' }, { ...input, market: 'Porto' });
+    assert.strictEqual(created.cancellation_policy, 'moderate');
+});
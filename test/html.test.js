@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { html, raw, SafeHtml, escapeHtml, safeUrl } = require('../lib/html');
+
+// Hostile values in each place a page generator interpolates data (see lib/html.js)
+
+const SCRIPT_TAG = '<script>alert(1)</script>';
+
+test('escapes element text', () => {
+    const page = html`<p>${SCRIPT_TAG}</p>`.toString();
+    assert.strictEqual(page, '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
+
+test('escapes every character that can break out of text or an attribute', () => {
+    assert.strictEqual(escapeHtml(`&<>"'\``), '&amp;&lt;&gt;&quot;&#39;&#96;');
+});
+
+test('renders arrays item by item and null, undefined and false as nothing', () => {
+    const page = html`<ul>${['<a>', null, undefined, false, 0].map(item => html`<li>${item}</li>`)}</ul>`.toString();
+    assert.strictEqual(page, '<ul><li>&lt;a&gt;</li><li></li><li></li><li></li><li>0</li></ul>');
+});
+
+test('keeps quoted attribute values inside their quotes', () => {
+    assert.strictEqual(
+        html`<input value="${'" onfocus="alert(1)'}">`.toString(),
+        '<input value="&quot; onfocus=&quot;alert(1)">'
+    );
+    assert.strictEqual(
+        html`<input value='${"' onfocus='alert(1)"}'>`.toString(),
+        `<input value='&#39; onfocus=&#39;alert(1)'>`
+    );
+});
+
+test('keeps unquoted attribute values from spilling into new attributes', () => {
+    const page = html`<input value=${'x onfocus=alert(1)'}>`.toString();
+    assert.strictEqual(page, '<input value=x&#32;onfocus=alert(1)>');
+});
+
+test('only allows bare attribute names between attributes', () => {
+    assert.strictEqual(html`<option ${'selected'}>`.toString(), '<option selected>');
+    assert.throws(() => html`<option ${'onclick=alert(1)'}>`, TypeError);
+    assert.throws(() => html`<option ${'><script>'}>`, TypeError);
+});
+
+test('replaces script URLs in URL attributes', () => {
+    const hostile = [
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        ' javascript:alert(1)',
+        '\njavascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        '\x01javascript:alert(1)',
+        'javascript:alert("/")',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>'
+    ];
+    for (const url of hostile) {
+        assert.strictEqual(html`<a href="${url}">x</a>`.toString(), '<a href="#">x</a>', JSON.stringify(url));
+        assert.strictEqual(html`<img src=${url}>`.toString(), '<img src=#>', JSON.stringify(url));
+        assert.strictEqual(html`<form action='${url}'>`.toString(), `<form action='#'>`, JSON.stringify(url));
+    }
+});
+
+test('keeps relative, http(s), mailto: and tel: URLs', () => {
+    const safe = ['/listings/1?tab=reviews#top', 'listings/1', '?page=2', '#reviews', 'https://example.com/a:b', 'HTTP://example.com', 'mailto:host@example.com', 'tel:+15550100'];
+    for (const url of safe) {
+        assert.strictEqual(safeUrl(url), url);
+    }
+    assert.strictEqual(
+        html`<a href="${'/search?q=a&b="c"'}">x</a>`.toString(),
+        '<a href="/search?q=a&amp;b=&quot;c&quot;">x</a>'
+    );
+});
+
+test('checks only the start of a URL attribute value', () => {
+    // Later values are in the path or query, where a scheme means nothing
+    const page = html`<a href="/search?next=${'javascript:alert(1)'}">x</a>`.toString();
+    assert.strictEqual(page, '<a href="/search?next=javascript:alert(1)">x</a>');
+    assert.strictEqual(html`<a href="${''}${'javascript:alert(1)'}">x</a>`.toString(), '<a href="#">x</a>');
+});
+
+test('writes script bodies as JSON that cannot close the script', () => {
+    const page = html`<script>const name = ${'</script><script>alert(1)//'};</script>`.toString();
+    assert.strictEqual(page, '<script>const name = "\\u003c/script\\u003e\\u003cscript\\u003ealert(1)//";</script>');
+    assert.strictEqual(
+        html`<script>const listing = ${{ id: 1, name: "a'b\u2028" }};</script>`.toString(),
+        '<script>const listing = {"id":1,"name":"a\'b\\u2028"};</script>'
+    );
+    assert.strictEqual(html`<script>f(${null}, ${undefined}, ${false})</script>`.toString(), '<script>f(null, undefined, false)</script>');
+});
+
+test('writes event handler values as escaped JSON', () => {
+    const page = html`<button onclick="save(${'"); alert(1); ("'})">x</button>`.toString();
+    assert.strictEqual(page, '<button onclick="save(&quot;\\&quot;); alert(1); (\\&quot;&quot;)">x</button>');
+});
+
+test('escapes style bodies', () => {
+    const page = html`<style>.card::after { content: "${'</style><script>alert(1)</script>'}"; }</style>`.toString();
+    assert.strictEqual(page, '<style>.card::after { content: "&lt;/style&gt;&lt;script&gt;alert(1)&lt;/script&gt;"; }</style>');
+});
+
+test('treats text after a closed script or style as markup again', () => {
+    const page = html`<script>init()</script><style>p {}</style><p>${SCRIPT_TAG}</p>`.toString();
+    assert.strictEqual(page, '<script>init()</script><style>p {}</style><p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
+
+test('escapes values in comments', () => {
+    assert.strictEqual(html`<!-- ${'--><script>'} -->`.toString(), '<!-- --&gt;&lt;script&gt; -->');
+});
+
+test('inserts nested templates and raw() markup as they are', () => {
+    const badge = html`<span class="badge">${'<b>'}</span>`;
+    assert.strictEqual(html`<p>${badge}</p>`.toString(), '<p><span class="badge">&lt;b&gt;</span></p>');
+    assert.strictEqual(html`<p>${raw('<b>trusted</b>')}</p>`.toString(), '<p><b>trusted</b></p>');
+    assert.strictEqual(html`<script>${raw('init();')}</script>`.toString(), '<script>init();</script>');
+});
+
+test('raw() wraps a value once', () => {
+    const markup = raw('<b>');
+    assert.ok(markup instanceof SafeHtml);
+    assert.strictEqual(raw(markup), markup);
+    assert.strictEqual(raw(42).toString(), '42');
+});
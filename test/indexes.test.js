@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { INDEXES, ensureIndexes } = require('../services/indexes');
+
+// A stand-in database whose createIndex fails for the indexes `failing` picks out
+function databaseFailing(failing) {
+    const created = [];
+    return {
+        created,
+        collection: name => ({
+            createIndex: async (key, options) => {
+                if (failing(name, key, options)) {
+                    throw new Error('E11000 duplicate key error');
+                }
+                created.push({ name, key, options });
+            }
+        })
+    };
+}
+
+const total = Object.values(INDEXES).reduce((count, indexes) => count + indexes.length, 0);
+
+test('creates every index', async () => {
+    const database = databaseFailing(() => false);
+    await ensureIndexes(database);
+    assert.strictEqual(database.created.length, total);
+});
+
+test('creates the other indexes when some fail, and reports each failure', async () => {
+    const database = databaseFailing((name, key, options) =>
+        options.name === 'account_email_unique' || (name === 'rate_limits' && 'expires_at' in key));
+
+    await assert.rejects(ensureIndexes(database), error => {
+        assert.match(error.message, /Could not create 2 indexes/);
+        assert.match(error.message, /clients account_email_unique: E11000/);
+        assert.match(error.message, /rate_limits \{"expires_at":1\}: E11000/);
+        return true;
+    });
+    assert.strictEqual(database.created.length, total - 2);
+});
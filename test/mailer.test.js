@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createSmtpTransport } = require('../lib/mailer');
+
+// Just enough of an SMTP server to take one message: records the commands it was sent and
+// the message data
+function startSmtpServer() {
+    const session = { commands: [], data: '' };
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 test.local ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) {
+                    return;
+                }
+                session.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 2.0.0 queued\r\n');
+            }
+            let end;
+            while (!inData && (end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                session.commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                const replies = {
+                    EHLO: '250-test.local\r\n250 AUTH PLAIN LOGIN',
+                    AUTH: '235 2.7.0 accepted',
+                    MAIL: '250 2.1.0 ok',
+                    RCPT: '250 2.1.5 ok',
+                    DATA: '354 go ahead',
+                    QUIT: '221 bye'
+                };
+                socket.write(`${replies[verb] || '502 not implemented'}\r\n`);
+                if (verb === 'DATA') {
+                    inData = true;
+                }
+                if (verb === 'QUIT') {
+                    socket.end();
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port })));
+}
+
+test('delivers a message with its text and HTML parts over SMTP', async () => {
+    const { server, session, port } = await startSmtpServer();
+    try {
+        const transport = createSmtpTransport({ host: '127.0.0.1', port, user: 'mailer', pass: 'secret', timeoutMs: 5000 });
+        const { id } = await transport.send({
+            from: 'AirBnB Clone <no-reply@example.com>',
+            to: 'Guest <guest@example.com>',
+            subject: 'Booking confirmed: Café',
+            text: 'See you soon',
+            html: '<p>See you soon</p>'
+        });
+
+        assert.match(id, /@example\.com$/);
+        const verbs = session.commands.map(line => line.split(' ')[0].toUpperCase());
+        assert.ok(verbs.includes('AUTH'));
+        assert.ok(session.commands.includes('MAIL FROM:<no-reply@example.com>'));
+        assert.ok(session.commands.includes('RCPT TO:<guest@example.com>'));
+        assert.match(session.data, new RegExp(`^Message-ID: <${id.replace(/\./g, '\\.')}>`, 'mi'));
+        assert.match(session.data, /^Subject: =\?UTF-8\?/m);
+        assert.match(session.data, /multipart\/alternative/);
+        assert.match(session.data, /text\/html/);
+    } finally {
+        server.close();
+    }
+});
+
+test('needs a host', () => {
+    assert.throws(() => createSmtpTransport({ host: '' }), /SMTP_HOST is required/);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { createPaymentGateway } = require('../lib/payments');
+const { chargeBooking } = require('../services/payments');
+
+// chargeBooking only writes to the database (the payment lock, the outcome and the guest's
+// history entry), so a stand-in that records the updates is enough. With `closed`, the
+// booking is cancelled while its charge is in flight: writes conditional on its status miss.
+function recordingDatabase({ closed = false } = {}) {
+    const updates = [];
+    return {
+        updates,
+        collection: name => ({
+            updateOne: async (filter, update) => {
+                updates.push({ collection: name, filter, update });
+                const missed = closed && filter.bookings && filter.bookings.$elemMatch.status !== undefined;
+                return { matchedCount: missed ? 0 : 1, modifiedCount: missed ? 0 : 1 };
+            }
+        })
+    };
+}
+
+const payments = createPaymentGateway({ provider: 'mock' });
+const card = number => payments.createPaymentMethod({ number, expiry: '12/39', cvc: '123' });
+
+function booking(fields) {
+    return {
+        booking_id: new ObjectId(),
+        price_quote: { total: 500, deposit_due: 100 },
+        deposit_paid: 100,
+        balance_amount_due: 400,
+        payment_status: 'deposit_paid',
+        transactions: [],
+        ...fields
+    };
+}
+
+const request = () => booking({ status: 'requested', requires_host_approval: true, responded_at: null });
+
+test('paying the balance of a request early keeps it waiting for the host', async () => {
+    const database = recordingDatabase();
+    const { ok, fields } = await chargeBooking(database, payments, 'listing-1', request(), { type: 'balance', amount: 400 }, await card('4242424242424242'));
+    assert.strictEqual(ok, true);
+    assert.strictEqual(fields.status, 'requested');
+    assert.strictEqual(fields.payment_status, 'paid');
+    const history = database.updates.find(update => update.collection === 'clients');
+    assert.strictEqual(history.update.$set['booking_history.$.status'], 'requested');
+});
+
+test('a declined early balance leaves a request as it was', async () => {
+    const { ok, fields } = await chargeBooking(recordingDatabase(), payments, 'listing-1', request(), { type: 'balance', amount: 400 }, await card('4000000000000002'));
+    assert.strictEqual(ok, false);
+    assert.strictEqual(fields.status, 'requested');
+    assert.strictEqual(fields.payment_status, 'deposit_paid');
+});
+
+test('paying the balance of an accepted request confirms it', async () => {
+    const accepted = booking({ status: 'confirmed', requires_host_approval: true, responded_at: new Date() });
+    const { fields } = await chargeBooking(recordingDatabase(), payments, 'listing-1', accepted, { type: 'balance', amount: 400 }, await card('4242424242424242'));
+    assert.strictEqual(fields.status, 'confirmed');
+});
+
+test('paying the deposit of a request keeps it waiting for the host', async () => {
+    const unpaid = booking({ status: 'pending_payment', requires_host_approval: true, payment_status: 'deposit_pending', deposit_paid: 0, balance_amount_due: 0 });
+    const { fields } = await chargeBooking(recordingDatabase(), payments, 'listing-1', unpaid, { type: 'deposit', amount: 100 }, await card('4242424242424242'));
+    assert.strictEqual(fields.status, 'requested');
+    assert.strictEqual(fields.balance_amount_due, 400);
+});
+
+test('a declined balance on a confirmed booking waits for the guest to pay', async () => {
+    const confirmed = booking({ status: 'confirmed' });
+    const { fields } = await chargeBooking(recordingDatabase(), payments, 'listing-1', confirmed, { type: 'balance', amount: 400 }, await card('4000000000000002'));
+    assert.deepStrictEqual({ status: fields.status, payment_status: fields.payment_status }, { status: 'pending_payment', payment_status: 'balance_pending' });
+});
+
+test('refunds a charge that lands after the booking was closed, leaving it closed', async () => {
+    const database = recordingDatabase({ closed: true });
+    const confirmed = booking({ status: 'confirmed' });
+    await assert.rejects(
+        chargeBooking(database, payments, 'listing-1', confirmed, { type: 'balance', amount: 400 }, await card('4242424242424242')),
+        { status: 409, code: 'booking_changed' }
+    );
+    const statusWrites = database.updates.filter(({ update }) => update.$set && Object.keys(update.$set).some(field => field.endsWith('.status')));
+    assert.strictEqual(statusWrites.length, 1);
+    assert.strictEqual(statusWrites[0].filter.bookings.$elemMatch.status, 'confirmed');
+    assert.ok(!database.updates.some(update => update.collection === 'clients'));
+    const refunds = database.updates
+        .flatMap(({ update }) => update.$push ? update.$push['bookings.$.transactions'].$each || [] : [])
+        .filter(transaction => transaction.type === 'refund');
+    assert.deepStrictEqual(refunds.map(({ amount, status, reason }) => ({ amount, status, reason })), [{ amount: 400, status: 'succeeded', reason: 'booking_closed' }]);
+});
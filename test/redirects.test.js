@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { safeRedirectPath } = require('../routes/helpers');
+
+test('keeps paths on this site', () => {
+    for (const path of ['/', '/trips', '/wishlists/abc?tab=1#top', '/search?q=a%2F%2Fb&next=//x']) {
+        assert.strictEqual(safeRedirectPath(path), path);
+    }
+});
+
+test('refuses other sites and anything that is not a path', () => {
+    const hostile = [
+        undefined, ['/trips'], '', 'trips', 'https://evil.com', '//evil.com', '///evil.com',
+        '/\\evil.com', '\\\\evil.com', '/\\/evil.com', '/\t/evil.com', '/\n/evil.com', '/\r\n/evil.com',
+        '/\x00/evil.com', 'javascript:alert(1)', ' /trips'
+    ];
+    for (const path of hostile) {
+        assert.strictEqual(safeRedirectPath(path), '/', JSON.stringify(path));
+    }
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_STAY_NIGHTS, addDays, checkStayRules } = require('../services/calendar');
+const { quoteStay } = require('../services/pricing');
+
+const CHECK_IN = new Date(Date.UTC(2030, 0, 1));
+const listing = { price: 100, minimum_nights: '2', maximum_nights: '1125', calendar: { blocked: [{ start: addDays(CHECK_IN, 10), end: addDays(CHECK_IN, 12) }] } };
+
+test('applies the listing minimum and maximum stay', () => {
+    assert.strictEqual(checkStayRules(listing, CHECK_IN, addDays(CHECK_IN, 1)).code, 'stay_too_short');
+    assert.strictEqual(checkStayRules({ ...listing, maximum_nights: '5' }, CHECK_IN, addDays(CHECK_IN, 6)).code, 'stay_too_long');
+    assert.strictEqual(checkStayRules(listing, CHECK_IN, addDays(CHECK_IN, 5)), null);
+});
+
+test('caps every stay, whatever the listing allows', () => {
+    const unblocked = { ...listing, calendar: {} };
+    assert.strictEqual(checkStayRules(unblocked, CHECK_IN, addDays(CHECK_IN, MAX_STAY_NIGHTS)), null);
+    assert.strictEqual(checkStayRules(unblocked, CHECK_IN, addDays(CHECK_IN, MAX_STAY_NIGHTS + 1)).code, 'stay_too_long');
+    assert.strictEqual(checkStayRules({ ...unblocked, maximum_nights: '' }, CHECK_IN, new Date('+275000-01-01')).code, 'stay_too_long');
+});
+
+test('refuses blocked dates', () => {
+    assert.strictEqual(checkStayRules(listing, addDays(CHECK_IN, 9), addDays(CHECK_IN, 11)).code, 'dates_unavailable');
+});
+
+test('refuses to price a stay longer than the cap', () => {
+    assert.strictEqual(quoteStay(listing, { checkInDate: CHECK_IN, checkOutDate: addDays(CHECK_IN, 3) }).nights, 3);
+    assert.throws(() => quoteStay(listing, { checkInDate: CHECK_IN, checkOutDate: new Date('+275000-01-01') }), RangeError);
+});
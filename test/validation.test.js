@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AppError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { BOOKING_SCHEMA } = require('../services/bookings');
+
+const STAY = {
+    check_in: { type: 'date', label: 'Check-in', required: true, notPast: true },
+    check_out: { type: 'date', label: 'Check-out', required: true, after: 'check_in' },
+    guests: { type: 'integer', label: 'Guests', min: 1 }
+};
+
+// The field errors validate() throws for `input`
+function errorsFor(schema, input) {
+    try {
+        validate(schema, input);
+    } catch (error) {
+        assert.ok(error instanceof AppError);
+        assert.strictEqual(error.code, 'invalid_input');
+        return error.details.errors;
+    }
+    assert.fail('expected invalid input');
+}
+
+const DATE = { day: { type: 'date', label: 'Day' } };
+
+test('parses dates as UTC midnight', () => {
+    assert.deepStrictEqual(validate(DATE, { day: '2030-02-28' }), { day: new Date(Date.UTC(2030, 1, 28)) });
+    assert.deepStrictEqual(validate(DATE, { day: '2028-02-29' }), { day: new Date(Date.UTC(2028, 1, 29)) });
+});
+
+test('rejects dates that do not exist instead of rolling them over', () => {
+    for (const day of ['2030-02-31', '2030-02-29', '2030-04-31', '2030-13-01', '2030-00-10', '2030-01-00', '2030-01-32']) {
+        assert.deepStrictEqual(errorsFor(DATE, { day }), { day: 'Day must be a date (YYYY-MM-DD)' }, day);
+    }
+});
+
+test('accepts date-times only in UTC, keeping just the day', () => {
+    assert.deepStrictEqual(validate(DATE, { day: '2030-06-01T14:30:00Z' }), { day: new Date(Date.UTC(2030, 5, 1)) });
+    assert.deepStrictEqual(validate(DATE, { day: '2030-06-01T14:30:00.250Z' }), { day: new Date(Date.UTC(2030, 5, 1)) });
+    for (const day of ['2030-06-01T14:30', '2030-06-01T14:30:00', '2030-06-01T14:30+02:00', '2030-06-01T24:00Z', '2030-06-01T12:60Z']) {
+        assert.ok(errorsFor(DATE, { day }).day, day);
+    }
+});
+
+test('rejects dates outside YYYY-MM-DD', () => {
+    for (const day of ['+275000-01-01', '30-06-01', '2030/06/01', 'June 1, 2030', '1e12']) {
+        assert.ok(errorsFor(DATE, { day }).day, day);
+    }
+});
+
+test('checks a stay: required dates, not in the past, check-out after check-in', () => {
+    assert.deepStrictEqual(errorsFor(STAY, {}), { check_in: 'Check-in is required', check_out: 'Check-out is required' });
+    assert.deepStrictEqual(errorsFor(STAY, { check_in: '2000-01-01', check_out: '2000-01-05' }), { check_in: "Check-in can't be in the past" });
+    assert.deepStrictEqual(errorsFor(STAY, { check_in: '2030-01-05', check_out: '2030-01-05' }), { check_out: 'Check-out must be after check-in' });
+    assert.deepStrictEqual(
+        validate(STAY, { check_in: '2030-01-05', check_out: '2030-01-07', guests: '2', other: 'ignored' }),
+        { check_in: new Date(Date.UTC(2030, 0, 5)), check_out: new Date(Date.UTC(2030, 0, 7)), guests: 2 }
+    );
+});
+
+test('reports every invalid field at once', () => {
+    const errors = errorsFor(STAY, { check_in: '2030-02-30', check_out: 'soon', guests: '0' });
+    assert.deepStrictEqual(Object.keys(errors), ['check_in', 'check_out', 'guests']);
+    assert.strictEqual(errors.guests, 'Guests must be at least 1');
+});
+
+test('rejects repeated fields', () => {
+    assert.deepStrictEqual(errorsFor(STAY, { check_in: ['2030-01-05', '2030-01-06'], check_out: '2030-01-07' }), { check_in: 'Check-in must be a single value' });
+});
+
+test('two stays with times on the same day can not share its night', () => {
+    const booking = { listing_id: '10006546', guest_count: '2', client_name: 'Test Guest', email: 'guest@example.com' };
+    // Midnight to noon is no night at all...
+    assert.deepStrictEqual(
+        errorsFor(BOOKING_SCHEMA, { ...booking, check_in: '2030-11-01T00:00Z', check_out: '2030-11-01T12:00Z' }),
+        { check_out: 'Check-out must be after check-in' }
+    );
+    // ...and noon to the next midnight is that same night, from one midnight to the next
+    const { check_in, check_out } = validate(BOOKING_SCHEMA, { ...booking, check_in: '2030-11-01T12:00Z', check_out: '2030-11-02T00:00Z' });
+    assert.deepStrictEqual({ check_in, check_out }, { check_in: new Date(Date.UTC(2030, 10, 1)), check_out: new Date(Date.UTC(2030, 10, 2)) });
+});
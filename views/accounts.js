@@ -0,0 +1,187 @@
+const { html } = require('../lib/html');
+const { MIN_PASSWORD_LENGTH, hasRole } = require('../services/accounts');
+const { isHost } = require('../services/hosting');
+const { renderPage, renderFormCard } = require('./layout');
+const { csrfField } = require('./components');
+
+// Guest account pages: login, registration, password reset and the profile.
+
+function generateLoginPage({ email = '', next = '', error = '' } = {}, { csrfToken } = {}) {
+    return renderFormCard('Log In', 'fa-sign-in-alt', html`
+        ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+        <form method="POST" action="/login">
+            ${csrfField(csrfToken)}
+            <input type="hidden" name="next" value="${next || ''}">
+            <div class="mb-3">
+                <label for="email" class="form-label">Email Address</label>
+                <input type="email" name="email" id="email" class="form-control" value="${email}" required autofocus>
+            </div>
+            <div class="mb-3">
+                <label for="password" class="form-label">Password</label>
+                <input type="password" name="password" id="password" class="form-control" required>
+            </div>
+            <div class="d-grid mb-3">
+                <button type="submit" class="btn btn-primary">Log In</button>
+            </div>
+        </form>
+        <p class="small text-center mb-0">
+            <a href="/forgot-password">Forgot your password?</a> ·
+            <a href="/register${next ? `?next=${encodeURIComponent(next)}` : ''}">Create an account</a>
+        </p>
+    `);
+}
+
+function generateRegisterPage({ name = '', email = '', next = '', error = '' } = {}, { csrfToken } = {}) {
+    return renderFormCard('Create Account', 'fa-user-plus', html`
+        ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+        <form method="POST" action="/register">
+            ${csrfField(csrfToken)}
+            <input type="hidden" name="next" value="${next || ''}">
+            <div class="mb-3">
+                <label for="name" class="form-label">Full Name</label>
+                <input type="text" name="name" id="name" class="form-control" value="${name}" required>
+            </div>
+            <div class="mb-3">
+                <label for="email" class="form-label">Email Address</label>
+                <input type="email" name="email" id="email" class="form-control" value="${email}" required>
+            </div>
+            <div class="row mb-3">
+                <div class="col-6">
+                    <label for="daytime_phone" class="form-label">Daytime Phone</label>
+                    <input type="tel" name="daytime_phone" id="daytime_phone" class="form-control">
+                </div>
+                <div class="col-6">
+                    <label for="mobile_phone" class="form-label">Mobile Phone</label>
+                    <input type="tel" name="mobile_phone" id="mobile_phone" class="form-control">
+                </div>
+            </div>
+            <div class="mb-3">
+                <label for="password" class="form-label">Password</label>
+                <input type="password" name="password" id="password" class="form-control" minlength="${MIN_PASSWORD_LENGTH}" required>
+                <small class="text-muted">At least ${MIN_PASSWORD_LENGTH} characters</small>
+            </div>
+            <div class="mb-3">
+                <label for="confirm_password" class="form-label">Confirm Password</label>
+                <input type="password" name="confirm_password" id="confirm_password" class="form-control" required>
+            </div>
+            <div class="d-grid mb-3">
+                <button type="submit" class="btn btn-primary">Sign Up</button>
+            </div>
+        </form>
+        <p class="small text-center mb-0">Already have an account? <a href="/login">Log in</a></p>
+    `);
+}
+
+function generateForgotPasswordPage({ sent = false } = {}, { csrfToken } = {}) {
+    return renderFormCard('Forgot Password', 'fa-key', sent ? html`
+        <div class="alert alert-success mb-0">
+            If an account exists for that email, we've sent a link to reset your password. It expires in one hour.
+        </div>
+    ` : html`
+        <p class="text-muted">Enter your account's email address and we'll send you a link to choose a new password.</p>
+        <form method="POST" action="/forgot-password">
+            ${csrfField(csrfToken)}
+            <div class="mb-3">
+                <label for="email" class="form-label">Email Address</label>
+                <input type="email" name="email" id="email" class="form-control" required>
+            </div>
+            <div class="d-grid">
+                <button type="submit" class="btn btn-primary">Send Reset Link</button>
+            </div>
+        </form>
+    `);
+}
+
+function generateResetPasswordPage({ token = '', done = false, error = '' } = {}, { csrfToken } = {}) {
+    return renderFormCard('Reset Password', 'fa-key', done ? html`
+        <div class="alert alert-success">Your password has been changed.</div>
+        <div class="d-grid"><a href="/login" class="btn btn-primary">Log In</a></div>
+    ` : html`
+        ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+        <form method="POST" action="/reset-password">
+            ${csrfField(csrfToken)}
+            <input type="hidden" name="token" value="${token || ''}">
+            <div class="mb-3">
+                <label for="password" class="form-label">New Password</label>
+                <input type="password" name="password" id="password" class="form-control" minlength="${MIN_PASSWORD_LENGTH}" required>
+            </div>
+            <div class="mb-3">
+                <label for="confirm_password" class="form-label">Confirm New Password</label>
+                <input type="password" name="confirm_password" id="confirm_password" class="form-control" required>
+            </div>
+            <div class="d-grid">
+                <button type="submit" class="btn btn-primary">Change Password</button>
+            </div>
+        </form>
+    `);
+}
+
+function generateAccountPage(user, { message = '', error = '' } = {}, { csrfToken } = {}) {
+    return renderPage('My Account', html`
+        <div class="row justify-content-center">
+            <div class="col-lg-7">
+                <div class="panel">
+                    <div class="d-flex justify-content-between align-items-center mb-3">
+                        <h2 class="mb-0"><i class="fas fa-user-circle text-danger"></i> My Account</h2>
+                        <form method="POST" action="/logout" class="m-0">
+                            ${csrfField(csrfToken)}
+                            <button type="submit" class="btn btn-outline-secondary btn-sm">Log Out</button>
+                        </form>
+                    </div>
+                    ${message ? html`<div class="alert alert-success">${message}</div>` : ''}
+                    ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+                    <p class="text-muted">These details are used to fill in the booking form for you.</p>
+                    <p><a href="/trips"><i class="fas fa-suitcase-rolling"></i> View my trips</a></p>
+                    ${hasRole(user, 'admin') ? html`<p><a href="/admin/jobs"><i class="fas fa-clock"></i> Scheduled jobs</a></p>` : ''}
+                    ${isHost(user) ? html`
+                        <p><a href="/host"><i class="fas fa-key"></i> Go to the host dashboard</a></p>
+                    ` : html`
+                        <form method="POST" action="/host/become" class="mb-3">
+                            ${csrfField(csrfToken)}
+                            <button type="submit" class="btn btn-link p-0"><i class="fas fa-key"></i> List your place - become a host</button>
+                        </form>
+                    `}
+                    
+                    <form method="POST" action="/account">
+                        ${csrfField(csrfToken)}
+                        <div class="mb-3">
+                            <label class="form-label">Email Address</label>
+                            <input type="email" class="form-control" value="${user.email}" disabled>
+                        </div>
+                        <div class="mb-3">
+                            <label for="name" class="form-label">Full Name</label>
+                            <input type="text" name="name" id="name" class="form-control" value="${user.name || ''}" required>
+                        </div>
+                        <div class="row mb-3">
+                            <div class="col-6">
+                                <label for="daytime_phone_number" class="form-label">Daytime Phone</label>
+                                <input type="tel" name="daytime_phone_number" id="daytime_phone_number" class="form-control" value="${user.daytime_phone_number || ''}">
+                            </div>
+                            <div class="col-6">
+                                <label for="mobile_number" class="form-label">Mobile Phone</label>
+                                <input type="tel" name="mobile_number" id="mobile_number" class="form-control" value="${user.mobile_number || ''}">
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="postal_address" class="form-label">Postal Address</label>
+                            <textarea name="postal_address" id="postal_address" class="form-control" rows="2">${user.postal_address || ''}</textarea>
+                        </div>
+                        <div class="mb-3">
+                            <label for="home_address" class="form-label">Home Address</label>
+                            <textarea name="home_address" id="home_address" class="form-control" rows="2">${user.home_address || ''}</textarea>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Save Profile</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `);
+}
+
+module.exports = {
+    generateLoginPage,
+    generateRegisterPage,
+    generateForgotPasswordPage,
+    generateResetPasswordPage,
+    generateAccountPage
+};
@@ -0,0 +1,98 @@
+const { html } = require('../lib/html');
+const { renderPage } = require('./layout');
+const { csrfField } = require('./components');
+
+// Admin pages.
+
+// Admin view of the job scheduler: each job's schedule and latest outcome, then recent runs
+function generateAdminJobsPage({ jobs, runs }, { failuresOnly = false, ok, message } = {}, { csrfToken } = {}) {
+    const when = date => date ? new Date(date).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+    const statusBadge = status => html`<span class="badge ${status === 'succeeded' ? 'bg-success' : status === 'failed' ? 'bg-danger' : 'bg-secondary'}">${status || 'never run'}</span>`;
+    const now = new Date();
+    
+    return renderPage('Scheduled Jobs', html`
+        <div class="panel">
+            <h2 class="mb-3"><i class="fas fa-clock text-danger"></i> Scheduled Jobs</h2>
+            ${message ? html`<div class="alert ${ok === false ? 'alert-danger' : 'alert-success'}">${message}</div>` : ''}
+            <div class="table-responsive">
+                <table class="table align-middle mb-0">
+                    <thead>
+                        <tr>
+                            <th>Job</th>
+                            <th>Every</th>
+                            <th>Last run</th>
+                            <th>Next run</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${jobs.map(job => html`
+                            <tr>
+                                <td>
+                                    <strong>${job.name}</strong>
+                                    <small class="d-block text-muted">${job.description}</small>
+                                </td>
+                                <td>${Math.round(job.intervalMs / 60000)} min</td>
+                                <td>${when(job.last_run_at)}${job.last_duration_ms !== undefined ? html`<small class="d-block text-muted">${job.last_duration_ms} ms</small>` : ''}</td>
+                                <td>${job.locked_until && new Date(job.locked_until) > now ? html`<span class="text-primary">Running</span>` : when(job.next_run_at)}</td>
+                                <td>
+                                    ${statusBadge(job.last_status)}
+                                    ${job.consecutive_failures > 1 ? html`<small class="d-block text-danger">${job.consecutive_failures} failures in a row</small>` : ''}
+                                    ${job.last_error ? html`<small class="d-block text-danger">${job.last_error}</small>` : ''}
+                                </td>
+                                <td class="text-end">
+                                    <form method="POST" action="/admin/jobs/${job.name}/run" class="m-0">
+                                        ${csrfField(csrfToken)}
+                                        <button type="submit" class="btn btn-sm btn-outline-secondary">Run now</button>
+                                    </form>
+                                </td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        
+        <div class="panel">
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <h4 class="mb-0">${failuresOnly ? 'Recent Failures' : 'Recent Runs'}</h4>
+                <a href="/admin/jobs${failuresOnly ? '' : '?failures=1'}" class="small">${failuresOnly ? 'Show all runs' : 'Show failures only'}</a>
+            </div>
+            ${runs.length === 0 ? html`<p class="text-muted mb-0">No ${failuresOnly ? 'failed ' : ''}runs yet.</p>` : html`
+                <div class="table-responsive">
+                    <table class="table table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>Job</th>
+                                <th>Started</th>
+                                <th>Duration</th>
+                                <th>Status</th>
+                                <th>Result</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${runs.map(run => html`
+                                <tr class="${run.status === 'failed' ? 'table-danger' : ''}">
+                                    <td>${run.job}${run.forced ? html` <small class="text-muted">(manual)</small>` : ''}</td>
+                                    <td>${when(run.started_at)}</td>
+                                    <td>${run.duration_ms} ms</td>
+                                    <td>${statusBadge(run.status)}</td>
+                                    <td class="small">
+                                        ${run.error ? 
+                                            html`<details><summary>${run.error.message}</summary><pre class="mb-0">${run.error.stack}</pre></details>` :
+                                            html`<code>${run.result ? JSON.stringify(run.result) : ''}</code>`}
+                                    </td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </div>
+    `);
+}
+
+module.exports = {
+    generateAdminJobsPage
+};
@@ -0,0 +1,107 @@
+const { html } = require('../lib/html');
+const { describeSearch } = require('../services/alerts');
+const { renderPage } = require('./layout');
+const { csrfField } = require('./components');
+
+// The alerts inbox with the guest's saved searches and watched listings.
+
+// Alerts inbox plus the guest's saved searches and watched listings
+function generateAlertsPage({ inbox, searches, watches }, user, { message = '', error = '' } = {}, { csrfToken } = {}) {
+    const shortDate = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    const icons = { new_listings: 'fa-search', price_drop: 'fa-tag', dates_available: 'fa-calendar-check' };
+    
+    return renderPage('Alerts', html`
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2 class="mb-0"><i class="fas fa-bell text-danger"></i> Alerts</h2>
+            <small class="text-muted">Logged in as ${user.name}</small>
+        </div>
+        
+        ${message ? html`<div class="alert alert-success">${message}</div>` : ''}
+        ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+        
+        <div class="panel">
+            <h4 class="mb-3"><i class="fas fa-inbox"></i> Inbox</h4>
+            ${inbox.length === 0 ? html`
+                <p class="text-muted mb-0">No alerts yet. Save a search or watch a place and we'll post anything new here.</p>
+            ` : html`
+                <ul class="list-group list-group-flush">
+                    ${inbox.map(alert => html`
+                        <li class="list-group-item px-0 ${alert.read_at ? '' : 'unread-alert'}">
+                            <div class="d-flex justify-content-between">
+                                <a href="${alert.url}" class="fw-bold text-decoration-none">
+                                    <i class="fas ${icons[alert.type] || 'fa-bell'}"></i> ${alert.title}
+                                </a>
+                                <small class="text-muted ms-2 text-nowrap">${shortDate(alert.created_at)}</small>
+                            </div>
+                            <div class="small">${alert.message}</div>
+                            ${alert.email_status === 'sent' ? html`<small class="text-muted"><i class="fas fa-envelope"></i> Emailed</small>` : ''}
+                            ${alert.email_status === 'failed' ? html`<small class="text-danger"><i class="fas fa-envelope"></i> Email could not be sent</small>` : ''}
+                        </li>
+                    `)}
+                </ul>
+            `}
+        </div>
+        
+        <div class="panel">
+            <h4 class="mb-3"><i class="fas fa-search"></i> Saved Searches</h4>
+            ${searches.length === 0 ? html`
+                <p class="text-muted mb-0">Run a search and choose "Save search" under the results to hear about new places that match it.</p>
+            ` : searches.map(search => html`
+                <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 py-2 border-bottom">
+                    <div>
+                        <a href="/search?${search.query}" class="fw-bold text-decoration-none">${search.name}</a>
+                        <small class="text-muted d-block">${describeSearch(search.filters)} · saved ${shortDate(search.created_at)}</small>
+                    </div>
+                    <div class="d-flex gap-2">
+                        <form method="POST" action="/saved-searches/${search._id}/email">
+                            ${csrfField(csrfToken)}
+                            ${search.email ? '' : html`<input type="hidden" name="email_alerts" value="1">`}
+                            <button type="submit" class="btn btn-outline-secondary btn-sm">
+                                <i class="fas ${search.email ? 'fa-envelope' : 'fa-envelope-open'}"></i> ${search.email ? 'Stop emailing' : 'Email me too'}
+                            </button>
+                        </form>
+                        <form method="POST" action="/saved-searches/${search._id}/delete">
+                            ${csrfField(csrfToken)}
+                            <button type="submit" class="btn btn-outline-danger btn-sm">Delete</button>
+                        </form>
+                    </div>
+                </div>
+            `)}
+        </div>
+        
+        <div class="panel">
+            <h4 class="mb-3"><i class="fas fa-eye"></i> Watched Places</h4>
+            ${watches.length === 0 ? html`
+                <p class="text-muted mb-0">Use "Alert me" on a listing to hear when its price drops or your dates open up.</p>
+            ` : watches.map(watch => html`
+                <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 py-2 border-bottom">
+                    <div>
+                        <a href="/bookings?listing_id=${watch.listing_id}" class="fw-bold text-decoration-none">${watch.listing_name}</a>
+                        <small class="text-muted d-block">
+                            ${watch.price !== null ? `$${watch.price.toFixed(2)}/night` : 'No price'}
+                            ${watch.check_in ? ` · ${shortDate(watch.check_in)} – ${shortDate(watch.check_out)}: ${watch.dates_available ? 'available' : 'not available yet'}` : ''}
+                            ${watch.email ? html` · <i class="fas fa-envelope"></i> email on` : ''}
+                        </small>
+                    </div>
+                    <form method="POST" action="/watches/${watch._id}/delete">
+                        ${csrfField(csrfToken)}
+                        <button type="submit" class="btn btn-outline-danger btn-sm">Stop watching</button>
+                    </form>
+                </div>
+            `)}
+        </div>
+    `, `
+            .unread-alert {
+                border-left: 4px solid var(--airbnb-red);
+                padding-left: 0.75rem !important;
+            }
+            
+            .btn-outline-danger.btn-sm, .btn-outline-secondary.btn-sm {
+                padding: 4px 12px;
+            }
+    `);
+}
+
+module.exports = {
+    generateAlertsPage
+};
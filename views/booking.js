@@ -0,0 +1,965 @@
+const { html } = require('../lib/html');
+const { REVIEW_CATEGORIES, MAX_SCORE, REVIEW_SORTS } = require('../services/reviews');
+const { resolvePolicy, describePolicy } = require('../services/cancellation');
+const { stayLimits } = require('../services/calendar');
+const { needsHostApproval } = require('../services/bookings');
+const {
+    invalidClass, fieldFeedback, formErrorAlert, heartButton, HEART_SCRIPT, IMAGE_FALLBACK_SCRIPT, csrfField,
+    cardFields
+} = require('./components');
+
+// The listing page with its booking form, and the confirmation shown once a booking is made.
+
+// Booking form fields that show their own validation message
+const BOOKING_FORM_FIELDS = [
+    'check_in', 'check_out', 'guest_count', 'client_name', 'email', 'daytime_phone', 'mobile_phone',
+    'postal_address', 'home_address', 'special_requirements'
+];
+
+// Helper function to generate enhanced booking page HTML
+// `invalid` ({ message, errors, values }) refills a rejected booking form and marks its fields
+function generateBookingPage(listing, { user = null, stay = {}, wishlists = [], invalid = null } = {}, { csrfToken, cspNonce } = {}) {
+    const imageUrl = listing.images?.picture_url || '';
+    const errors = invalid ? invalid.errors : {};
+    // Logged-in guests get the form prefilled from their profile, or with what they sent
+    // when the form comes back with errors
+    const submitted = invalid ? invalid.values : {};
+    const profile = user || {};
+    const filled = (field, fallback) => typeof submitted[field] === 'string' ? submitted[field] : (fallback || '');
+    // ...and with the dates and guests from the search, when they were given
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const checkIn = isDate(stay.check_in) ? stay.check_in : '';
+    const checkOut = isDate(stay.check_out) ? stay.check_out : '';
+    const guestCount = Math.min(parseInt(stay.guests) || 1, listing.accommodates || 6);
+    const savedIn = wishlists.filter(wishlist => wishlist.listing_ids.includes(listing._id));
+    const bookingPath = `/bookings?listing_id=${encodeURIComponent(listing._id)}`;
+    const reviewCount = listing.review_count || 0;
+    const cancellationPolicy = resolvePolicy(listing.cancellation_policy);
+    const { min: minNights, max: maxNights } = stayLimits(listing);
+    
+    return html`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Book ${listing.name} - AirBnB Clone</title>
+        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+        <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
+        <style>
+            :root {
+                --airbnb-red: #ff5a5f;
+                --airbnb-dark-red: #e74c3c;
+                --airbnb-light-gray: #f7f7f7;
+                --airbnb-dark-gray: #484848;
+                --airbnb-green: #00a699;
+            }
+            
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background-color: var(--airbnb-light-gray);
+            }
+            
+            .property-header {
+                background: white;
+                border-radius: 15px;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+                overflow: hidden;
+                margin-bottom: 2rem;
+            }
+            
+            .property-image {
+                width: 100%;
+                height: 300px;
+                object-fit: cover;
+            }
+            
+            .image-placeholder {
+                background: linear-gradient(135deg, #f8f9fa, #e9ecef);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                color: #6c757d;
+                font-size: 4rem;
+                height: 300px;
+            }
+            
+            .booking-form {
+                background: white;
+                border-radius: 15px;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+                padding: 2rem;
+            }
+            
+            .price-highlight {
+                background: var(--airbnb-green);
+                color: white;
+                padding: 1rem;
+                border-radius: 10px;
+                text-align: center;
+                margin-bottom: 1rem;
+            }
+            
+            .heart-button {
+                background: white;
+                border: 1px solid #ddd;
+                border-radius: 50%;
+                width: 40px;
+                height: 40px;
+                color: var(--airbnb-dark-gray);
+                transition: transform 0.2s ease;
+            }
+            
+            .heart-button:hover {
+                transform: scale(1.1);
+            }
+            
+            .heart-button.saved {
+                color: var(--airbnb-red);
+            }
+            
+            .rating-display {
+                background: var(--airbnb-red);
+                color: white;
+                padding: 8px 15px;
+                border-radius: 20px;
+                display: inline-block;
+                margin-bottom: 1rem;
+            }
+            
+            .review-card {
+                background: var(--airbnb-light-gray);
+                border-radius: 10px;
+                padding: 1rem;
+                margin-bottom: 1rem;
+                border-left: 4px solid var(--airbnb-red);
+            }
+            
+            .btn-primary {
+                background: var(--airbnb-red);
+                border: none;
+                border-radius: 25px;
+                padding: 12px 30px;
+                font-weight: 600;
+                transition: all 0.3s ease;
+            }
+            
+            .btn-primary:hover {
+                background: var(--airbnb-dark-red);
+                transform: translateY(-2px);
+            }
+            
+            .btn-secondary {
+                border-radius: 25px;
+                padding: 12px 30px;
+                font-weight: 600;
+            }
+            
+            .form-control:focus, .form-select:focus {
+                border-color: var(--airbnb-red);
+                box-shadow: 0 0 0 0.2rem rgba(255, 90, 95, 0.25);
+            }
+            
+            .property-amenities {
+                background: white;
+                border-radius: 10px;
+                padding: 1rem;
+                margin-bottom: 1rem;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container mt-4">
+            <!-- Back Navigation -->
+            <nav aria-label="breadcrumb" class="mb-4">
+                <ol class="breadcrumb">
+                    <li class="breadcrumb-item">
+                        <a href="/" class="text-decoration-none">
+                            <i class="fas fa-home"></i> Search
+                        </a>
+                    </li>
+                    <li class="breadcrumb-item active" aria-current="page">Book Property</li>
+                </ol>
+            </nav>
+            
+            <div class="row">
+                <!-- Property Details -->
+                <div class="col-lg-8">
+                    <div class="property-header">
+                        <!-- Property Image -->
+                        ${imageUrl ? 
+                            html`<img src="${imageUrl}" alt="${listing.name}" class="property-image">
+                             <div class="image-placeholder" style="display: none;">
+                                 <i class="fas fa-image"></i>
+                             </div>` :
+                            html`<div class="image-placeholder">
+                                 <i class="fas fa-image"></i>
+                             </div>`
+                        }
+                        
+                        <!-- Property Info -->
+                        <div class="p-4">
+                            <div class="d-flex justify-content-between align-items-start">
+                                <h1 class="mb-3">${listing.name}</h1>
+                                ${heartButton({ _id: listing._id, saved: savedIn.length > 0 }, bookingPath, csrfToken)}
+                            </div>
+                            
+                            <!-- Wishlists this place is in, and saving it to another -->
+                            <form method="POST" action="/wishlists/items" class="d-flex flex-wrap align-items-center gap-2 small mb-3">
+                                ${csrfField(csrfToken)}
+                                <input type="hidden" name="listing_id" value="${listing._id}">
+                                <input type="hidden" name="next" value="${bookingPath}">
+                                ${savedIn.length > 0 ? html`
+                                    <span class="text-muted"><i class="fas fa-heart text-danger"></i> Saved in ${savedIn.map((wishlist, index) => html`${index > 0 ? ', ' : ''}<a href="/wishlists#wishlist-${wishlist._id}">${wishlist.name}</a>`)}</span>
+                                ` : ''}
+                                ${wishlists.length > 0 ? html`
+                                    <select name="wishlist_id" class="form-select form-select-sm" style="width: auto;" aria-label="Wishlist">
+                                        ${wishlists.filter(wishlist => !savedIn.includes(wishlist)).map(wishlist => html`<option value="${wishlist._id}">${wishlist.name}</option>`)}
+                                        <option value="">New list…</option>
+                                    </select>
+                                ` : ''}
+                                <input type="text" name="name" class="form-control form-control-sm" style="width: 160px;" maxlength="50" placeholder="${wishlists.length > 0 ? 'New list name' : 'Wishlist name, e.g. Summer'}" aria-label="New wishlist name">
+                                <button type="submit" class="btn btn-outline-secondary btn-sm"><i class="far fa-heart"></i> Save to list</button>
+                            </form>
+                            
+                            <!-- Rating and Location -->
+                            <div class="d-flex justify-content-between align-items-center mb-3">
+                                ${listing.review_scores?.review_scores_rating ? html`
+                                    <span class="rating-display">
+                                        <i class="fas fa-star"></i> ${Math.round(listing.review_scores.review_scores_rating)}/100
+                                        ${listing.number_of_reviews ? html`<small class="text-muted">(${listing.number_of_reviews} review${listing.number_of_reviews === 1 ? '' : 's'})</small>` : ''}
+                                    </span>
+                                ` : html`<span class="text-muted">No rating available</span>`}
+                                
+                                <span class="text-muted">
+                                    <i class="fas fa-map-marker-alt"></i> ${listing.address?.market || 'Unknown location'}
+                                </span>
+                            </div>
+                            
+                            ${REVIEW_CATEGORIES.some(({ key }) => listing.review_scores?.[`review_scores_${key}`]) ? html`
+                                <div class="row small text-muted mb-3">
+                                    ${REVIEW_CATEGORIES.filter(({ key }) => listing.review_scores[`review_scores_${key}`]).map(({ key, label }) => html`
+                                        <div class="col-6 col-md-4">${label} <strong>${Number(listing.review_scores[`review_scores_${key}`]).toFixed(1)}</strong>/${MAX_SCORE}</div>
+                                    `)}
+                                </div>
+                            ` : ''}
+                            
+                            <!-- Property Description -->
+                            <p class="text-muted mb-3">${listing.summary || 'No description available'}</p>
+                            
+                            <!-- Property Details -->
+                            <div class="row mb-3">
+                                <div class="col-sm-3">
+                                    <strong><i class="fas fa-home"></i> Type:</strong><br>
+                                    <span class="text-muted">${listing.property_type || 'Unknown'}</span>
+                                </div>
+                                <div class="col-sm-3">
+                                    <strong><i class="fas fa-bed"></i> Bedrooms:</strong><br>
+                                    <span class="text-muted">${listing.bedrooms || 0}</span>
+                                </div>
+                                <div class="col-sm-3">
+                                    <strong><i class="fas fa-bath"></i> Bathrooms:</strong><br>
+                                    <span class="text-muted">${listing.bathrooms || 'N/A'}</span>
+                                </div>
+                                <div class="col-sm-3">
+                                    <strong><i class="fas fa-users"></i> Max Guests:</strong><br>
+                                    <span class="text-muted">${listing.accommodates || 'N/A'}</span>
+                                </div>
+                            </div>
+                            
+                            <!-- Amenities -->
+                            ${listing.amenities && listing.amenities.length > 0 ? html`
+                                <div class="property-amenities">
+                                    <h5><i class="fas fa-check-circle text-success"></i> Amenities</h5>
+                                    <div class="row">
+                                        ${listing.amenities.slice(0, 8).map(amenity => html`
+                                            <div class="col-md-6 mb-1">
+                                                <small><i class="fas fa-check text-success"></i> ${amenity}</small>
+                                            </div>
+                                        `)}
+                                        ${listing.amenities.length > 8 ? html`
+                                            <div class="col-12">
+                                                <small class="text-muted">+ ${listing.amenities.length - 8} more amenities</small>
+                                            </div>
+                                        ` : ''}
+                                    </div>
+                                </div>
+                            ` : ''}
+                            
+                            <!-- Cancellation Policy -->
+                            <div class="property-amenities">
+                                <h5><i class="fas fa-undo text-primary"></i> Cancellation Policy: ${cancellationPolicy.label}</h5>
+                                <ul class="mb-0 small text-muted">
+                                    ${describePolicy(cancellationPolicy).map(line => html`<li>${line}</li>`)}
+                                </ul>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Reviews Section: pages are loaded from the reviews API -->
+                    ${reviewCount > 0 ? html`
+                        <div class="bg-white rounded-3 p-4 shadow-sm" id="reviews">
+                            <div class="d-flex justify-content-between align-items-center flex-wrap mb-3">
+                                <h3 class="mb-2"><i class="fas fa-comments text-primary"></i> Guest Reviews <small class="text-muted fs-6">(${reviewCount})</small></h3>
+                                <form id="reviewControls" class="d-flex gap-2 mb-2" role="search">
+                                    <input type="search" id="reviewSearch" class="form-control form-control-sm" placeholder="Search reviews" maxlength="100" aria-label="Search reviews">
+                                    <select id="reviewSort" class="form-select form-select-sm" aria-label="Sort reviews">
+                                        ${Object.entries(REVIEW_SORTS).map(([key, option]) => html`<option value="${key}">${option.label}</option>`)}
+                                    </select>
+                                </form>
+                            </div>
+                            <div id="reviewList"><p class="text-muted">Loading reviews...</p></div>
+                            <nav id="reviewPager" class="d-flex justify-content-between align-items-center"></nav>
+                        </div>
+                    ` : ''}
+                </div>
+                
+                <!-- Booking Form -->
+                <div class="col-lg-4">
+                    <div class="booking-form position-sticky" style="top: 2rem;">
+                        <!-- Price Display -->
+                        <div class="price-highlight">
+                            <h2 class="mb-0">
+                                <i class="fas fa-dollar-sign"></i>$${listing.price ? Number(listing.price).toFixed(2) : 'N/A'}
+                                <small>/night</small>
+                            </h2>
+                        </div>
+                        ${minNights > 1 || maxNights ? html`
+                            <p class="text-center small text-muted">
+                                <i class="fas fa-moon"></i>
+                                ${minNights > 1 ? `Minimum stay ${minNights} nights` : ''}${minNights > 1 && maxNights ? ' · ' : ''}${maxNights ? `Maximum stay ${maxNights} nights` : ''}
+                            </p>
+                        ` : ''}
+                        
+                        <form method="POST" action="/book" id="bookingForm">
+                            ${csrfField(csrfToken)}
+                            <input type="hidden" name="listing_id" value="${listing._id}">
+                            ${formErrorAlert(invalid, BOOKING_FORM_FIELDS)}
+                            
+                            <h4 class="mb-3">
+                                <i class="fas fa-calendar-alt"></i> Booking Details
+                            </h4>
+                            
+                            <!-- Check-in/Check-out -->
+                            <div class="row mb-3">
+                                <div class="col-6">
+                                    <label for="check_in" class="form-label">Check-in</label>
+                                    <input type="date" name="check_in" id="check_in" class="form-control ${invalidClass(errors, 'check_in')}" value="${checkIn}" required>
+                                    ${fieldFeedback(errors, 'check_in')}
+                                </div>
+                                <div class="col-6">
+                                    <label for="check_out" class="form-label">Check-out</label>
+                                    <input type="date" name="check_out" id="check_out" class="form-control ${invalidClass(errors, 'check_out')}" value="${checkOut}" required>
+                                    ${fieldFeedback(errors, 'check_out')}
+                                </div>
+                            </div>
+                            
+                            <!-- Guest Count -->
+                            <div class="mb-3">
+                                <label for="guest_count" class="form-label">
+                                    <i class="fas fa-users"></i> Number of Guests
+                                </label>
+                                <select name="guest_count" id="guest_count" class="form-select ${invalidClass(errors, 'guest_count')}" required>
+                                    ${Array.from({length: listing.accommodates || 6}, (_, i) => i + 1).map(num => 
+                                        html`<option value="${num}" ${num === guestCount ? 'selected' : ''}>${num} Guest${num > 1 ? 's' : ''}</option>`
+                                    )}
+                                </select>
+                                ${fieldFeedback(errors, 'guest_count')}
+                            </div>
+                            
+                            <!-- Price Calculation -->
+                            <div class="card mb-3" style="background-color: var(--airbnb-light-gray);">
+                                <div class="card-body">
+                                    <div id="priceBreakdown">
+                                        <p class="mb-1">Select dates to see total price</p>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <hr>
+                            
+                            <h4 class="mb-3">
+                                <i class="fas fa-user"></i> Your Details
+                            </h4>
+                            ${user ? '' : html`
+                                <p class="small text-muted">
+                                    <a href="/login?next=${encodeURIComponent('/bookings?listing_id=' + listing._id)}">Log in</a>
+                                    to fill these in from your profile and keep all your trips in one place.
+                                </p>
+                            `}
+                            
+                            <div class="mb-3">
+                                <label for="client_name" class="form-label">Full Name</label>
+                                <input type="text" name="client_name" id="client_name" class="form-control ${invalidClass(errors, 'client_name')}" value="${filled('client_name', profile.name)}" maxlength="100" required>
+                                ${fieldFeedback(errors, 'client_name')}
+                            </div>
+                            
+                            <div class="mb-3">
+                                <label for="email" class="form-label">Email Address</label>
+                                <input type="email" name="email" id="email" class="form-control ${invalidClass(errors, 'email')}" value="${user ? user.email : filled('email')}" ${user ? 'readonly' : ''} required>
+                                ${fieldFeedback(errors, 'email')}
+                            </div>
+                            
+                            <div class="row mb-3">
+                                <div class="col-6">
+                                    <label for="daytime_phone" class="form-label">Daytime Phone</label>
+                                    <input type="tel" name="daytime_phone" id="daytime_phone" class="form-control ${invalidClass(errors, 'daytime_phone')}" value="${filled('daytime_phone', profile.daytime_phone_number)}" required>
+                                    ${fieldFeedback(errors, 'daytime_phone')}
+                                </div>
+                                <div class="col-6">
+                                    <label for="mobile_phone" class="form-label">Mobile Phone</label>
+                                    <input type="tel" name="mobile_phone" id="mobile_phone" class="form-control ${invalidClass(errors, 'mobile_phone')}" value="${filled('mobile_phone', profile.mobile_number)}" required>
+                                    ${fieldFeedback(errors, 'mobile_phone')}
+                                </div>
+                            </div>
+                            
+                            <div class="mb-3">
+                                <label for="postal_address" class="form-label">Postal Address</label>
+                                <textarea name="postal_address" id="postal_address" class="form-control ${invalidClass(errors, 'postal_address')}" rows="2" required>${filled('postal_address', profile.postal_address)}</textarea>
+                                ${fieldFeedback(errors, 'postal_address')}
+                            </div>
+                            
+                            <div class="mb-3">
+                                <label for="home_address" class="form-label">Home Address</label>
+                                <textarea name="home_address" id="home_address" class="form-control ${invalidClass(errors, 'home_address')}" rows="2" required>${filled('home_address', profile.home_address)}</textarea>
+                                ${fieldFeedback(errors, 'home_address')}
+                            </div>
+                            
+                            <!-- Special Requirements -->
+                            <div class="mb-3">
+                                <label for="special_requirements" class="form-label">
+                                    <i class="fas fa-comment"></i> Special Requirements <small class="text-muted">(Optional)</small>
+                                </label>
+                                <textarea name="special_requirements" id="special_requirements" 
+                                         class="form-control ${invalidClass(errors, 'special_requirements')}" rows="3" maxlength="1000"
+                                         placeholder="Any special requests, dietary requirements, accessibility needs, etc.">${filled('special_requirements')}</textarea>
+                                ${fieldFeedback(errors, 'special_requirements')}
+                            </div>
+                            
+                            <hr>
+                            
+                            <h4 class="mb-3">
+                                <i class="fas fa-credit-card"></i> Payment
+                            </h4>
+                            <p class="small text-muted">
+                                We charge the 20% deposit now and the balance to the same card 7 days before check-in.
+                            </p>
+                            ${cardFields(errors)}
+                            
+                            <div class="d-grid gap-2">
+                                <button type="submit" class="btn btn-primary btn-lg">
+                                    ${needsHostApproval(listing) ? 
+                                        html`<i class="fas fa-paper-plane"></i> Request to Book` : 
+                                        html`<i class="fas fa-check-circle"></i> Confirm Booking`}
+                                </button>
+                                ${needsHostApproval(listing) ? html`<small class="text-muted text-center">The host confirms each booking request.</small>` : ''}
+                                <a href="/" class="btn btn-secondary">
+                                    <i class="fas fa-arrow-left"></i> Back to Search
+                                </a>
+                            </div>
+                        </form>
+                        
+                        <!-- Watch for a lower price, or for the chosen dates to open up -->
+                        ${user ? html`
+                            <form method="POST" action="/watches" id="watchForm" class="mt-3 pt-3 border-top">
+                                ${csrfField(csrfToken)}
+                                <input type="hidden" name="listing_id" value="${listing._id}">
+                                <input type="hidden" name="check_in" id="watch_check_in">
+                                <input type="hidden" name="check_out" id="watch_check_out">
+                                <button type="submit" class="btn btn-outline-secondary btn-sm w-100">
+                                    <i class="fas fa-bell"></i> Alert me to price drops or if my dates open up
+                                </button>
+                                <div class="form-check small mt-2">
+                                    <input class="form-check-input" type="checkbox" name="email_alerts" id="watch_email" value="1">
+                                    <label class="form-check-label" for="watch_email">Email me as well as my alerts inbox</label>
+                                </div>
+                            </form>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <script nonce="${cspNonce}">
+            // Prices come from the server-side pricing engine so the breakdown matches the booking total
+            const quoteUrl = ${`/api/v1/listings/${encodeURIComponent(listing._id)}/quote`};
+            
+            // Set minimum date to today
+            const today = new Date().toISOString().split('T')[0];
+            document.getElementById('check_in').setAttribute('min', today);
+            document.getElementById('check_out').setAttribute('min', today);
+            
+            // Update checkout min date when checkin changes
+            document.getElementById('check_in').addEventListener('change', function() {
+                const checkinDate = this.value;
+                document.getElementById('check_out').setAttribute('min', checkinDate);
+                calculatePrice();
+            });
+            
+            document.getElementById('check_out').addEventListener('change', calculatePrice);
+            document.getElementById('guest_count').addEventListener('change', calculatePrice);
+            
+            function formatMoney(amount) {
+                return (amount < 0 ? '-$' : '$') + Math.abs(amount).toFixed(2);
+            }
+            
+            function calculatePrice() {
+                const checkIn = document.getElementById('check_in').value;
+                const checkOut = document.getElementById('check_out').value;
+                const guests = document.getElementById('guest_count').value;
+                const priceBreakdown = document.getElementById('priceBreakdown');
+                
+                if (!checkIn || !checkOut) {
+                    priceBreakdown.innerHTML = '<p class="mb-0">Select dates to see total price</p>';
+                    return;
+                }
+                
+                if (new Date(checkOut) <= new Date(checkIn)) {
+                    priceBreakdown.innerHTML = '<p class="text-danger mb-0">Check-out must be after check-in</p>';
+                    return;
+                }
+                
+                const params = new URLSearchParams({ check_in: checkIn, check_out: checkOut, guests: guests });
+                fetch(quoteUrl + '?' + params.toString())
+                    .then(response => response.json())
+                    .then(body => {
+                        if (body.error) {
+                            priceBreakdown.innerHTML = '<p class="text-danger mb-0">' + body.error.message + '</p>';
+                            return;
+                        }
+                        
+                        const quote = body.data;
+                        priceBreakdown.innerHTML = \`
+                            \${quote.line_items.map(item => \`
+                                <div class="d-flex justify-content-between">
+                                    <span>\${item.label}</span>
+                                    <span>\${formatMoney(item.amount)}</span>
+                                </div>
+                            \`).join('')}
+                            <hr>
+                            <div class="d-flex justify-content-between">
+                                <strong>Total</strong>
+                                <strong>\${formatMoney(quote.total)}</strong>
+                            </div>
+                            <div class="d-flex justify-content-between small text-muted mt-1">
+                                <span>Deposit due now</span>
+                                <span>\${formatMoney(quote.deposit_due)}</span>
+                            </div>
+                            <div class="d-flex justify-content-between small text-muted">
+                                <span>Balance due \${new Date(quote.balance_due_date).toLocaleDateString()}</span>
+                                <span>\${formatMoney(quote.balance_due)}</span>
+                            </div>
+                            \${quote.security_deposit > 0 ? \`
+                                <div class="d-flex justify-content-between small text-muted">
+                                    <span>Refundable security deposit</span>
+                                    <span>\${formatMoney(quote.security_deposit)}</span>
+                                </div>
+                            \` : ''}
+                        \`;
+                    })
+                    .catch(() => {
+                        priceBreakdown.innerHTML = '<p class="text-danger mb-0">Unable to calculate the price right now</p>';
+                    });
+            }
+            
+            ${HEART_SCRIPT}
+            ${IMAGE_FALLBACK_SCRIPT}
+            
+            // Watching takes the dates chosen in the booking form, if any
+            const watchForm = document.getElementById('watchForm');
+            if (watchForm) {
+                watchForm.addEventListener('submit', function() {
+                    document.getElementById('watch_check_in').value = document.getElementById('check_in').value;
+                    document.getElementById('watch_check_out').value = document.getElementById('check_out').value;
+                });
+            }
+            
+            // Dates carried over from the search results get their price straight away
+            if (document.getElementById('check_in').value && document.getElementById('check_out').value) {
+                calculatePrice();
+            }
+            
+            // Reviews: one page at a time, re-fetched when the sort or search changes
+            const reviewsUrl = ${`/api/v1/listings/${encodeURIComponent(listing._id)}/reviews`};
+            const reviewList = document.getElementById('reviewList');
+            const reviewState = { page: 1, sort: 'newest', q: '' };
+            const REVIEW_PREVIEW_LENGTH = 300;
+            
+            function escapeHtml(text) {
+                return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+            }
+            
+            function renderReview(review) {
+                const comments = review.comments || '';
+                const long = comments.length > REVIEW_PREVIEW_LENGTH;
+                return \`
+                    <div class="review-card">
+                        <div class="d-flex justify-content-between align-items-start mb-2">
+                            <strong>\${escapeHtml(review.reviewer_name || 'Guest')}</strong>
+                            <small class="text-muted">
+                                \${review.rating ? \`<i class="fas fa-star text-warning"></i> \${review.rating}/100 · \` : ''}
+                                \${new Date(review.date).toLocaleDateString()}
+                            </small>
+                        </div>
+                        <p class="mb-0 review-text">\${escapeHtml(long ? comments.substring(0, REVIEW_PREVIEW_LENGTH) + '...' : comments)}</p>
+                        \${long ? \`<p class="mb-0 review-text d-none">\${escapeHtml(comments)}</p>
+                            <button type="button" class="btn btn-link btn-sm p-0 review-toggle">Read more</button>\` : ''}
+                    </div>
+                \`;
+            }
+            
+            function loadReviews() {
+                if (!reviewList) {
+                    return;
+                }
+                const params = new URLSearchParams({ page: reviewState.page, sort: reviewState.sort });
+                if (reviewState.q) {
+                    params.set('q', reviewState.q);
+                }
+                fetch(reviewsUrl + '?' + params.toString())
+                    .then(response => response.json())
+                    .then(body => {
+                        if (body.error) {
+                            reviewList.innerHTML = '<p class="text-danger">' + escapeHtml(body.error.message) + '</p>';
+                            return;
+                        }
+                        reviewList.innerHTML = body.data.length > 0 ? body.data.map(renderReview).join('') :
+                            '<p class="text-muted">' + (reviewState.q ? 'No reviews mention "' + escapeHtml(reviewState.q) + '".' : 'No reviews yet.') + '</p>';
+                        document.getElementById('reviewPager').innerHTML = body.total_pages > 1 ? \`
+                            <button type="button" class="btn btn-outline-secondary btn-sm" data-page="\${body.page - 1}" \${body.page <= 1 ? 'disabled' : ''}>
+                                <i class="fas fa-chevron-left"></i> Previous
+                            </button>
+                            <small class="text-muted">Page \${body.page} of \${body.total_pages} · \${body.total} review\${body.total === 1 ? '' : 's'}</small>
+                            <button type="button" class="btn btn-outline-secondary btn-sm" data-page="\${body.page + 1}" \${body.page >= body.total_pages ? 'disabled' : ''}>
+                                Next <i class="fas fa-chevron-right"></i>
+                            </button>
+                        \` : '';
+                    })
+                    .catch(() => {
+                        reviewList.innerHTML = '<p class="text-danger">Unable to load reviews right now</p>';
+                    });
+            }
+            
+            if (reviewList) {
+                let searchTimer = null;
+                document.getElementById('reviewSearch').addEventListener('input', function() {
+                    clearTimeout(searchTimer);
+                    searchTimer = setTimeout(() => {
+                        reviewState.q = this.value.trim();
+                        reviewState.page = 1;
+                        loadReviews();
+                    }, 300);
+                });
+                document.getElementById('reviewSort').addEventListener('change', function() {
+                    reviewState.sort = this.value;
+                    reviewState.page = 1;
+                    loadReviews();
+                });
+                document.getElementById('reviewControls').addEventListener('submit', e => e.preventDefault());
+                document.getElementById('reviewPager').addEventListener('click', e => {
+                    const button = e.target.closest('button[data-page]');
+                    if (button) {
+                        reviewState.page = Number(button.dataset.page);
+                        loadReviews();
+                        document.getElementById('reviews').scrollIntoView({ behavior: 'smooth' });
+                    }
+                });
+                // Expand or collapse a long comment
+                reviewList.addEventListener('click', e => {
+                    const toggle = e.target.closest('.review-toggle');
+                    if (toggle) {
+                        toggle.parentElement.querySelectorAll('.review-text').forEach(text => text.classList.toggle('d-none'));
+                        toggle.textContent = toggle.textContent === 'Read more' ? 'Show less' : 'Read more';
+                    }
+                });
+                loadReviews();
+            }
+            
+            // Form validation
+            document.getElementById('bookingForm').addEventListener('submit', function(e) {
+                const checkIn = document.getElementById('check_in').value;
+                const checkOut = document.getElementById('check_out').value;
+                
+                if (checkIn && checkOut) {
+                    const start = new Date(checkIn);
+                    const end = new Date(checkOut);
+                    
+                    if (end <= start) {
+                        e.preventDefault();
+                        alert('Check-out date must be after check-in date');
+                        return false;
+                    }
+                }
+            });
+        </script>
+        
+        <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    </body>
+    </html>
+    `.toString();
+}
+
+// Helper function to generate enhanced confirmation page HTML
+function generateConfirmationPage(booking, { clientName, propertyName, totalCost, quote }, { cspNonce } = {}) {
+    const { booking_id: bookingId, arrival_date: checkInDate, departure_date: checkOutDate } = booking;
+    const nights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
+    const requested = booking.status === 'requested';
+    const paymentPending = booking.status === 'pending_payment';
+    const lastPayment = (booking.transactions || []).slice(-1)[0];
+    const card = booking.payment_method ? `${booking.payment_method.brand} ending ${booking.payment_method.last4}` : 'your card';
+    
+    return html`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${paymentPending ? 'Payment Required' : requested ? 'Booking Requested' : 'Booking Confirmed'} - AirBnB Clone</title>
+        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+        <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
+        <style>
+            :root {
+                --airbnb-red: #ff5a5f;
+                --airbnb-dark-red: #e74c3c;
+                --airbnb-light-gray: #f7f7f7;
+                --airbnb-green: #00a699;
+            }
+            
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, var(--airbnb-light-gray), #e8f5e8);
+                min-height: 100vh;
+                display: flex;
+                align-items: center;
+            }
+            
+            .confirmation-card {
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 15px 35px rgba(0,0,0,0.1);
+                overflow: hidden;
+                max-width: 600px;
+                margin: 0 auto;
+            }
+            
+            .success-header {
+                background: linear-gradient(135deg, var(--airbnb-green), #28a745);
+                color: white;
+                padding: 3rem 2rem 2rem;
+                text-align: center;
+            }
+            
+            .success-icon {
+                font-size: 4rem;
+                margin-bottom: 1rem;
+                animation: checkmark 0.6s ease-in-out;
+            }
+            
+            @keyframes checkmark {
+                0% { transform: scale(0); opacity: 0; }
+                50% { transform: scale(1.2); }
+                100% { transform: scale(1); opacity: 1; }
+            }
+            
+            .booking-details {
+                padding: 2rem;
+            }
+            
+            .detail-row {
+                border-bottom: 1px solid #f0f0f0;
+                padding: 1rem 0;
+            }
+            
+            .detail-row:last-child {
+                border-bottom: none;
+            }
+            
+            .btn-primary {
+                background: var(--airbnb-red);
+                border: none;
+                border-radius: 25px;
+                padding: 12px 30px;
+                font-weight: 600;
+                transition: all 0.3s ease;
+                width: 100%;
+            }
+            
+            .btn-primary:hover {
+                background: var(--airbnb-dark-red);
+                transform: translateY(-2px);
+            }
+            
+            .reference-box {
+                background: var(--airbnb-light-gray);
+                border-radius: 10px;
+                padding: 1rem;
+                text-align: center;
+                margin: 1rem 0;
+                border-left: 4px solid var(--airbnb-green);
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="confirmation-card">
+                <!-- Success Header -->
+                <div class="success-header">
+                    <div class="success-icon">
+                        <i class="fas ${paymentPending ? 'fa-credit-card' : requested ? 'fa-hourglass-half' : 'fa-check-circle'}"></i>
+                    </div>
+                    <h1 class="mb-3">${paymentPending ? 'Payment Required' : requested ? 'Booking Requested' : 'Booking Confirmed!'}</h1>
+                    <p class="lead mb-0">Thank you for choosing AirBnB Clone, ${clientName}!</p>
+                    ${requested ? html`<p class="mb-0 mt-2">Your dates are held while the host reviews your request. We'll let you know when they reply.</p>` : ''}
+                </div>
+                
+                <!-- Booking Details -->
+                <div class="booking-details">
+                    ${paymentPending ? html`
+                        <div class="alert alert-warning">
+                            <strong>We couldn't take your deposit.</strong>
+                            ${lastPayment && lastPayment.failure_message ? `${lastPayment.failure_message}.` : ''}
+                            Your booking is on hold until the deposit is paid - use Manage This Booking with your reference to pay with another card.
+                        </div>
+                    ` : ''}
+                    <!-- Reference Number -->
+                    <div class="reference-box">
+                        <h5 class="mb-2">Booking Reference</h5>
+                        <h3 class="text-primary mb-0" style="font-family: monospace; letter-spacing: 2px;">
+                            ${bookingId.toString().toUpperCase()}
+                        </h3>
+                    </div>
+                    
+                    <!-- Property Details -->
+                    <div class="detail-row">
+                        <div class="row">
+                            <div class="col-4">
+                                <strong><i class="fas fa-home text-primary"></i> Property:</strong>
+                            </div>
+                            <div class="col-8">
+                                ${propertyName}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Check-in Details -->
+                    <div class="detail-row">
+                        <div class="row">
+                            <div class="col-4">
+                                <strong><i class="fas fa-calendar-check text-success"></i> Check-in:</strong>
+                            </div>
+                            <div class="col-8">
+                                ${checkInDate.toLocaleDateString('en-US', { 
+                                    weekday: 'long', 
+                                    year: 'numeric', 
+                                    month: 'long', 
+                                    day: 'numeric' 
+                                })}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Check-out Details -->
+                    <div class="detail-row">
+                        <div class="row">
+                            <div class="col-4">
+                                <strong><i class="fas fa-calendar-times text-warning"></i> Check-out:</strong>
+                            </div>
+                            <div class="col-8">
+                                ${checkOutDate.toLocaleDateString('en-US', { 
+                                    weekday: 'long', 
+                                    year: 'numeric', 
+                                    month: 'long', 
+                                    day: 'numeric' 
+                                })}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Duration -->
+                    <div class="detail-row">
+                        <div class="row">
+                            <div class="col-4">
+                                <strong><i class="fas fa-moon text-info"></i> Duration:</strong>
+                            </div>
+                            <div class="col-8">
+                                ${nights} night${nights > 1 ? 's' : ''}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Total Cost -->
+                    <div class="detail-row">
+                        <div class="row">
+                            <div class="col-4">
+                                <strong><i class="fas fa-dollar-sign text-success"></i> Total Cost:</strong>
+                            </div>
+                            <div class="col-8">
+                                ${quote.line_items.map(item => html`
+                                    <div class="d-flex justify-content-between small text-muted">
+                                        <span>${item.label}</span>
+                                        <span>${item.amount < 0 ? '-' : ''}$${Math.abs(item.amount).toFixed(2)}</span>
+                                    </div>
+                                `)}
+                                <h4 class="text-success mb-0 mt-2">$${totalCost.toFixed(2)}</h4>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Important Information -->
+                    <div class="alert alert-info mt-3">
+                        <h6><i class="fas fa-info-circle"></i> What's Next?</h6>
+                        <ul class="mb-0 small">
+                            <li>A confirmation email has been sent to your inbox</li>
+                            <li>We'll email you a receipt for every payment and a reminder before your balance is charged</li>
+                            <li>Please save your booking reference for your records</li>
+                            ${paymentPending ? html`
+                                <li>Deposit due now: $${quote.deposit_due.toFixed(2)} (20% of total)</li>
+                            ` : html`
+                                <li>Deposit charged to ${card}: $${Number(booking.deposit_paid).toFixed(2)} (20% of total)</li>
+                            `}
+                            <li>Balance: $${quote.balance_due.toFixed(2)}, charged to ${card} on ${new Date(quote.balance_due_date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })} (7 days before check-in)</li>
+                            ${quote.security_deposit > 0 ? html`<li>Refundable security deposit: $${quote.security_deposit.toFixed(2)}</li>` : ''}
+                        </ul>
+                    </div>
+                    
+                    <!-- Action Buttons -->
+                    <div class="mt-4">
+                        <a href="/" class="btn btn-primary mb-3">
+                            <i class="fas fa-search"></i> Search More Properties
+                        </a>
+                        
+                        <a href="/manage" class="btn btn-outline-secondary w-100 mb-3" style="border-radius: 25px;">
+                            <i class="fas fa-pen"></i> Manage This Booking
+                        </a>
+                        
+                        <div class="text-center">
+                            <small class="text-muted">
+                                Need help? Contact our support team 24/7
+                            </small>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <script nonce="${cspNonce}">
+            // Celebration animation
+            document.addEventListener('DOMContentLoaded', function() {
+                // Add some confetti effect or other celebration
+                console.log('Booking confirmed successfully!');
+                
+                // Auto-scroll to show confirmation
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            });
+        </script>
+        
+        <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    </body>
+    </html>
+    `.toString();
+}
+
+module.exports = {
+    generateBookingPage,
+    generateConfirmationPage
+};
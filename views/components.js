@@ -0,0 +1,133 @@
+const { html, raw } = require('../lib/html');
+const { CSRF_FIELD } = require('../lib/security');
+
+// Pieces shared by several pages: form error states, the CSRF field, card inputs and the
+// wishlist heart with its page scripts.
+
+// Field errors from an AppError rejecting a form (see lib/validation.js) as { field: message },
+// with '' for fields named without a message of their own (e.g. the card fields)
+function fieldErrors(error) {
+    const errors = {};
+    for (const field of (error.details && error.details.fields) || []) {
+        errors[field] = '';
+    }
+    return Object.assign(errors, error.details && error.details.errors);
+}
+
+// Bootstrap's invalid state for a form control, and the message shown under it
+function invalidClass(errors, field) {
+    return errors && field in errors ? 'is-invalid' : '';
+}
+
+function fieldFeedback(errors, field) {
+    return errors && errors[field] ? html`<div class="invalid-feedback">${errors[field]}</div>` : '';
+}
+
+// The alert above a rejected form: a pointer to the marked fields when every problem is
+// shown next to its field, otherwise the error's own message
+function formErrorAlert(invalid, inlineFields) {
+    if (!invalid) {
+        return '';
+    }
+    const allInline = Object.keys(invalid.errors).every(field => inlineFields.includes(field) && invalid.errors[field]);
+    return html`
+        <div class="alert alert-danger" role="alert">
+            <i class="fas fa-exclamation-circle"></i> ${allInline ? 'Please correct the highlighted fields.' : invalid.message}
+        </div>
+    `;
+}
+
+// Heart that saves a listing to (or takes it out of) the guest's wishlists; `next` is
+// where the form returns to when JavaScript is off
+function heartButton(listing, next, csrfToken) {
+    return html`
+        <form method="POST" action="/wishlists/toggle" class="heart-form">
+            ${csrfField(csrfToken)}
+            <input type="hidden" name="listing_id" value="${listing._id}">
+            <input type="hidden" name="next" value="${next}">
+            <button type="submit" class="heart-button ${listing.saved ? 'saved' : ''}" aria-pressed="${listing.saved ? 'true' : 'false'}" aria-label="Save to wishlist">
+                <i class="${listing.saved ? 'fas' : 'far'} fa-heart"></i>
+            </button>
+        </form>
+    `;
+}
+
+// Page script for heartButton: flips the heart in place instead of reloading the page
+const HEART_SCRIPT = raw(`
+            document.querySelectorAll('.heart-form').forEach(form => {
+                form.addEventListener('submit', function(event) {
+                    event.preventDefault();
+                    const button = form.querySelector('.heart-button');
+                    fetch(form.action, {
+                        method: 'POST',
+                        headers: { 'Accept': 'application/json' },
+                        body: new URLSearchParams(new FormData(form))
+                    })
+                        .then(response => response.json())
+                        .then(body => {
+                            if (body.error) {
+                                alert(body.error.message);
+                                return;
+                            }
+                            button.classList.toggle('saved', body.data.saved);
+                            button.setAttribute('aria-pressed', String(body.data.saved));
+                            button.querySelector('i').className = (body.data.saved ? 'fas' : 'far') + ' fa-heart';
+                        })
+                        .catch(() => form.submit());
+                });
+            });`);
+
+// Page script for listing photos that fail to load: the placeholder after them shows instead
+const IMAGE_FALLBACK_SCRIPT = raw(`
+            document.querySelectorAll('img.property-image').forEach(image => {
+                const showPlaceholder = () => {
+                    image.style.display = 'none';
+                    image.nextElementSibling.style.display = 'flex';
+                };
+                if (image.complete && image.naturalWidth === 0) {
+                    showPlaceholder();
+                } else {
+                    image.addEventListener('error', showPlaceholder);
+                }
+            });`);
+
+// Hidden field carrying the session's CSRF token, for every form that posts
+function csrfField(csrfToken) {
+    return html`<input type="hidden" name="${CSRF_FIELD}" value="${csrfToken}">`;
+}
+
+// Card inputs shared by the booking form and the manage-booking payment form. The card is
+// never sent back to the page; after a decline the inputs are marked to be filled in again.
+function cardFields(errors = {}) {
+    return html`
+        <div class="mb-3">
+            <label for="card_number" class="form-label">Card Number</label>
+            <input type="text" name="card_number" id="card_number" class="form-control ${invalidClass(errors, 'card_number')}" 
+                   inputmode="numeric" autocomplete="cc-number" placeholder="1234 5678 9012 3456" required>
+        </div>
+        <div class="row mb-3">
+            <div class="col-6">
+                <label for="card_expiry" class="form-label">Expiry</label>
+                <input type="text" name="card_expiry" id="card_expiry" class="form-control ${invalidClass(errors, 'card_expiry')}" 
+                       autocomplete="cc-exp" placeholder="MM/YY" required>
+            </div>
+            <div class="col-6">
+                <label for="card_cvc" class="form-label">Security Code</label>
+                <input type="text" name="card_cvc" id="card_cvc" class="form-control ${invalidClass(errors, 'card_cvc')}" 
+                       inputmode="numeric" autocomplete="cc-csc" placeholder="CVC" required>
+            </div>
+        </div>
+    `;
+}
+
+module.exports = {
+    fieldErrors,
+    invalidClass,
+    fieldFeedback,
+    formErrorAlert,
+    heartButton,
+    HEART_SCRIPT,
+    IMAGE_FALLBACK_SCRIPT,
+    csrfField,
+    cardFields
+};
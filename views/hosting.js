@@ -0,0 +1,462 @@
+const { html } = require('../lib/html');
+const { STANDARD_POLICIES, DEFAULT_POLICY, resolvePolicy, formatTiers } = require('../services/cancellation');
+const { hasBookingConflict } = require('../services/availability');
+const { parseDay, addDays, stayLimits, isBlocked, nightlyRate } = require('../services/calendar');
+const { renderPage } = require('./layout');
+const { csrfField } = require('./components');
+
+// Host pages: the dashboard, the listing form, a listing's bookings and its calendar.
+
+// Host dashboard: the host's listings with their status and shortcuts to manage them
+function generateHostDashboardPage(user, listings, { ok, message } = {}, { csrfToken } = {}) {
+    return renderPage('Host Dashboard', html`
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2 class="mb-0"><i class="fas fa-key text-danger"></i> Your Listings</h2>
+            <a href="/host/listings/new" class="btn btn-primary"><i class="fas fa-plus"></i> New Listing</a>
+        </div>
+        
+        ${message ? html`<div class="alert ${ok === false ? 'alert-danger' : 'alert-success'}">${message}</div>` : ''}
+        
+        ${listings.length === 0 ? html`
+            <div class="panel text-center">
+                <p class="text-muted mb-3">Hi ${user.name}, you haven't listed a place yet.</p>
+                <a href="/host/listings/new" class="btn btn-primary">List Your Place</a>
+            </div>
+        ` : html`
+            <div class="panel p-0">
+                <ul class="list-group list-group-flush">
+                    ${listings.map(listing => html`
+                        <li class="list-group-item p-3">
+                            <div class="d-flex align-items-center">
+                                ${listing.images?.picture_url ? 
+                                    html`<img src="${listing.images.picture_url}" alt="${listing.name}" class="host-thumb me-3">` :
+                                    html`<div class="host-thumb me-3 d-flex align-items-center justify-content-center text-muted"><i class="fas fa-image"></i></div>`
+                                }
+                                <div class="flex-grow-1">
+                                    <div class="fw-bold">
+                                        ${listing.name}
+                                        <span class="badge ${listing.published === false ? 'bg-secondary' : 'bg-success'} ms-2">${listing.published === false ? 'Unpublished' : 'Published'}</span>
+                                        ${listing.pending_requests > 0 ? html`<span class="badge bg-warning text-dark ms-1">${listing.pending_requests} request${listing.pending_requests === 1 ? '' : 's'}</span>` : ''}
+                                    </div>
+                                    <small class="text-muted">
+                                        <i class="fas fa-map-marker-alt"></i> ${listing.address?.market || ''} ·
+                                        ${listing.property_type} · ${listing.accommodates} guests ·
+                                        $${Number(listing.price).toFixed(2)}/night ·
+                                        ${listing.upcoming_bookings} upcoming booking${listing.upcoming_bookings === 1 ? '' : 's'}
+                                    </small>
+                                </div>
+                                <div class="text-end">
+                                    <a href="/bookings?listing_id=${listing._id}" class="btn btn-sm btn-link">View</a>
+                                    <a href="/host/listings/${listing._id}/edit" class="btn btn-sm btn-link">Edit</a>
+                                    <a href="/host/calendar?listing_id=${listing._id}" class="btn btn-sm btn-link">Calendar</a>
+                                    <a href="/host/listings/${listing._id}/bookings" class="btn btn-sm btn-link">Bookings</a>
+                                    <form method="POST" action="/host/listings/${listing._id}/publish" class="d-inline">
+                                        ${csrfField(csrfToken)}
+                                        <input type="hidden" name="published" value="${String(listing.published === false)}">
+                                        <button type="submit" class="btn btn-sm btn-outline-secondary">${listing.published === false ? 'Publish' : 'Unpublish'}</button>
+                                    </form>
+                                </div>
+                            </div>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `}
+    `, `
+            .host-thumb {
+                width: 80px;
+                height: 60px;
+                object-fit: cover;
+                border-radius: 8px;
+                background: #e9ecef;
+                flex-shrink: 0;
+            }
+    `);
+}
+
+// Form values for an existing listing (the form posts the same names back)
+function listingFormValues(listing) {
+    const policy = resolvePolicy(listing.cancellation_policy);
+    return {
+        name: listing.name,
+        summary: listing.summary,
+        description: listing.description,
+        property_type: listing.property_type,
+        bedrooms: listing.bedrooms,
+        bathrooms: listing.bathrooms === undefined ? '' : Number(listing.bathrooms),
+        accommodates: listing.accommodates,
+        price: listing.price === undefined ? '' : Number(listing.price),
+        cleaning_fee: listing.cleaning_fee === undefined ? '' : Number(listing.cleaning_fee),
+        market: listing.address?.market,
+        amenities: (listing.amenities || []).join('\n'),
+        picture_url: listing.images?.picture_url,
+        // 'custom' for a custom policy; dataset names like strict_14_with_grace_period map to a standard one
+        cancellation_policy: policy.type,
+        cancellation_tiers: policy.type === 'custom' ? formatTiers(policy.tiers) : '',
+        instant_bookable: listing.instant_bookable !== false
+    };
+}
+
+// Create / edit listing form. `listing` is null when creating.
+function generateListingFormPage(listing, { values = {}, markets = [], propertyTypes = [], error = null } = {}, { csrfToken } = {}) {
+    const invalid = new Set(error?.details?.fields || []);
+    const field = name => html`name="${name}" id="${name}" class="form-control${invalid.has(name) ? ' is-invalid' : ''}"`;
+    const value = name => values[name] ?? '';
+    // New listings default to instant booking; an unticked checkbox isn't posted at all
+    const instantBookable = listing || error ? Boolean(values.instant_bookable) : true;
+    const title = listing ? 'Edit Listing' : 'New Listing';
+    
+    return renderPage(title, html`
+        <div class="row justify-content-center">
+            <div class="col-lg-8">
+                <div class="panel">
+                    <p class="small mb-2"><a href="/host"><i class="fas fa-arrow-left"></i> All my listings</a></p>
+                    <h2 class="mb-3"><i class="fas fa-home text-danger"></i> ${listing ? listing.name : 'List Your Place'}</h2>
+                    ${error ? html`<div class="alert alert-danger">${error.message}</div>` : ''}
+                    
+                    <form method="POST" action="${listing ? `/host/listings/${listing._id}` : '/host/listings'}">
+                        ${csrfField(csrfToken)}
+                        <div class="mb-3">
+                            <label for="name" class="form-label">Title</label>
+                            <input type="text" ${field('name')} value="${value('name')}" required>
+                        </div>
+                        <div class="mb-3">
+                            <label for="summary" class="form-label">Summary</label>
+                            <textarea ${field('summary')} rows="2">${value('summary')}</textarea>
+                        </div>
+                        <div class="mb-3">
+                            <label for="description" class="form-label">Description</label>
+                            <textarea ${field('description')} rows="5">${value('description')}</textarea>
+                        </div>
+                        <div class="row mb-3">
+                            <div class="col-md-6">
+                                <label for="market" class="form-label">Location</label>
+                                <input type="text" ${field('market')} value="${value('market')}" list="marketOptions" required>
+                                <datalist id="marketOptions">
+                                    ${markets.map(market => html`<option value="${market}">`)}
+                                </datalist>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="property_type" class="form-label">Property Type</label>
+                                <input type="text" ${field('property_type')} value="${value('property_type')}" list="typeOptions" required>
+                                <datalist id="typeOptions">
+                                    ${propertyTypes.map(type => html`<option value="${type}">`)}
+                                </datalist>
+                            </div>
+                        </div>
+                        <div class="row mb-3">
+                            <div class="col-4">
+                                <label for="accommodates" class="form-label">Guests</label>
+                                <input type="number" ${field('accommodates')} min="1" value="${value('accommodates')}" required>
+                            </div>
+                            <div class="col-4">
+                                <label for="bedrooms" class="form-label">Bedrooms</label>
+                                <input type="number" ${field('bedrooms')} min="0" value="${value('bedrooms')}" required>
+                            </div>
+                            <div class="col-4">
+                                <label for="bathrooms" class="form-label">Bathrooms</label>
+                                <input type="number" ${field('bathrooms')} min="0" step="0.5" value="${value('bathrooms')}">
+                            </div>
+                        </div>
+                        <div class="row mb-3">
+                            <div class="col-6">
+                                <label for="price" class="form-label">Nightly Price ($)</label>
+                                <input type="number" ${field('price')} min="1" step="0.01" value="${value('price')}" required>
+                            </div>
+                            <div class="col-6">
+                                <label for="cleaning_fee" class="form-label">Cleaning Fee ($)</label>
+                                <input type="number" ${field('cleaning_fee')} min="0" step="0.01" value="${value('cleaning_fee')}">
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="amenities" class="form-label">Amenities <small class="text-muted">(one per line)</small></label>
+                            <textarea ${field('amenities')} rows="4" placeholder="Wifi&#10;Kitchen&#10;Free parking on premises">${value('amenities')}</textarea>
+                        </div>
+                        <div class="mb-3">
+                            <label for="picture_url" class="form-label">Photo URL</label>
+                            <input type="url" ${field('picture_url')} value="${value('picture_url')}" placeholder="https://...">
+                        </div>
+                        <div class="row mb-3">
+                            <div class="col-md-6">
+                                <label for="cancellation_policy" class="form-label">Cancellation Policy</label>
+                                <select name="cancellation_policy" id="cancellation_policy" class="form-select">
+                                    ${Object.entries(STANDARD_POLICIES).map(([key, policy]) => html`
+                                        <option value="${key}" ${(value('cancellation_policy') || DEFAULT_POLICY) === key ? 'selected' : ''}>${policy.label}</option>
+                                    `)}
+                                    <option value="custom" ${value('cancellation_policy') === 'custom' ? 'selected' : ''}>Custom tiers</option>
+                                </select>
+                            </div>
+                            <div class="col-md-6 d-flex align-items-end">
+                                <div class="form-check">
+                                    <input type="checkbox" name="instant_bookable" id="instant_bookable" value="1" class="form-check-input" ${instantBookable ? 'checked' : ''}>
+                                    <label for="instant_bookable" class="form-check-label">Instant booking <small class="text-muted d-block">Untick to accept or decline each request</small></label>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="mb-4">
+                            <label for="cancellation_tiers" class="form-label">Custom Tiers <small class="text-muted">(for a custom policy; one per line: days before check-in, % of deposit refunded, % of balance refunded)</small></label>
+                            <textarea ${field('cancellation_tiers')} rows="3" placeholder="14, 100, 100&#10;7, 50, 100&#10;0, 0, 50">${value('cancellation_tiers')}</textarea>
+                        </div>
+                        <button type="submit" class="btn btn-primary">${listing ? 'Save Changes' : 'Create Listing'}</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `);
+}
+
+// Bookings on one of the host's listings, with accept/decline for pending requests
+function generateListingBookingsPage(listing, bookings, { ok, message } = {}, { csrfToken } = {}) {
+    const shortDate = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    const badges = { requested: 'bg-warning text-dark', confirmed: 'bg-success', cancelled: 'bg-secondary', declined: 'bg-secondary', expired: 'bg-secondary' };
+    
+    return renderPage('Listing Bookings', html`
+        <div class="panel">
+            <p class="small mb-2"><a href="/host"><i class="fas fa-arrow-left"></i> All my listings</a></p>
+            <h2 class="mb-3"><i class="fas fa-clipboard-list text-danger"></i> ${listing.name}</h2>
+            ${message ? html`<div class="alert ${ok === false ? 'alert-danger' : 'alert-success'}">${message}</div>` : ''}
+            
+            ${bookings.length === 0 ? html`<p class="text-muted mb-0">No bookings yet.</p>` : html`
+                <div class="table-responsive">
+                    <table class="table align-middle mb-0">
+                        <thead>
+                            <tr>
+                                <th>Guest</th>
+                                <th>Stay</th>
+                                <th>Guests</th>
+                                <th>Total</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${bookings.map(booking => html`
+                                <tr>
+                                    <td>
+                                        ${booking.guest.name}
+                                        ${booking.guest.email ? html`<small class="d-block text-muted">${booking.guest.email}</small>` : ''}
+                                    </td>
+                                    <td>${shortDate(booking.arrival_date)} – ${shortDate(booking.departure_date)}</td>
+                                    <td>${booking.num_guests}</td>
+                                    <td>$${Number(booking.total || 0).toFixed(2)}</td>
+                                    <td><span class="badge ${badges[booking.status] || 'bg-secondary'} text-capitalize">${booking.status}</span></td>
+                                    <td class="text-end">
+                                        ${booking.status === 'requested' ? html`
+                                            <form method="POST" action="/host/listings/${listing._id}/bookings/${booking.booking_id}/accept" class="d-inline">
+                                                ${csrfField(csrfToken)}
+                                                <button type="submit" class="btn btn-sm btn-success">Accept</button>
+                                            </form>
+                                            <form method="POST" action="/host/listings/${listing._id}/bookings/${booking.booking_id}/decline" class="d-inline">
+                                                ${csrfField(csrfToken)}
+                                                <button type="submit" class="btn btn-sm btn-outline-danger">Decline</button>
+                                            </form>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </div>
+    `);
+}
+
+// Host calendar: next 90 nights at a glance plus forms for blocks, limits and rates
+function generateHostCalendarPage(listing, { ok, message } = {}, { csrfToken } = {}) {
+    const calendar = listing.calendar || {};
+    const { min, max } = stayLimits(listing);
+    const today = parseDay(new Date());
+    const toInputDate = date => new Date(date).toISOString().split('T')[0];
+    // Stored ranges end the morning after the last night
+    const lastNight = range => toInputDate(addDays(new Date(range.end), -1));
+    const hidden = html`<input type="hidden" name="listing_id" value="${listing._id}">`;
+    
+    const days = Array.from({ length: 90 }, (_, i) => {
+        const night = addDays(today, i);
+        const nextDay = addDays(night, 1);
+        const booked = hasBookingConflict(listing.bookings, night, nextDay);
+        const blocked = isBlocked(listing, night, nextDay);
+        return { night, booked, blocked, rate: nightlyRate(listing, night) };
+    });
+    
+    return renderPage('Host Calendar', html`
+        <div class="panel">
+            <p class="small mb-2"><a href="/host"><i class="fas fa-arrow-left"></i> All my listings</a></p>
+            <h2 class="mb-1"><i class="fas fa-calendar-alt text-danger"></i> ${listing.name}</h2>
+            <p class="text-muted mb-3"><i class="fas fa-map-marker-alt"></i> ${listing.address?.market || 'Unknown location'}</p>
+            
+            ${message ? html`<div class="alert ${ok === false ? 'alert-danger' : 'alert-success'}">${message}</div>` : ''}
+            
+            <div class="calendar-grid mb-2">
+                ${days.map(day => html`
+                    <div class="calendar-day ${day.booked ? 'booked' : day.blocked ? 'blocked' : ''}" 
+                         title="${day.booked ? 'Booked' : day.blocked ? 'Blocked' : 'Available'}">
+                        <div class="small fw-bold">${day.night.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}</div>
+                        <div class="small">$${day.rate.toFixed(0)}</div>
+                    </div>
+                `)}
+            </div>
+            <small class="text-muted">
+                <span class="legend booked"></span> Booked
+                <span class="legend blocked ms-3"></span> Blocked
+                <span class="legend ms-3"></span> Available (nightly rate shown)
+            </small>
+        </div>
+        
+        <div class="row">
+            <div class="col-lg-6">
+                <div class="panel">
+                    <h4 class="mb-3"><i class="fas fa-ban text-danger"></i> Blocked Dates</h4>
+                    ${(calendar.blocked || []).length === 0 ? html`<p class="text-muted">No dates blocked.</p>` : html`
+                        <ul class="list-group mb-3">
+                            ${calendar.blocked.map(range => html`
+                                <li class="list-group-item d-flex justify-content-between align-items-center">
+                                    <span>${toInputDate(range.start)} – ${lastNight(range)} ${range.note ? html`<small class="text-muted">(${range.note})</small>` : ''}</span>
+                                    <form method="POST" action="/host/calendar/unblock" class="m-0">
+                                        ${csrfField(csrfToken)}
+                                        ${hidden}
+                                        <input type="hidden" name="block_id" value="${range._id}">
+                                        <button type="submit" class="btn btn-sm btn-link text-danger">Unblock</button>
+                                    </form>
+                                </li>
+                            `)}
+                        </ul>
+                    `}
+                    <form method="POST" action="/host/calendar/block">
+                        ${csrfField(csrfToken)}
+                        ${hidden}
+                        <div class="row g-2 mb-2">
+                            <div class="col-6">
+                                <label class="form-label small">First night</label>
+                                <input type="date" name="first_night" class="form-control" required>
+                            </div>
+                            <div class="col-6">
+                                <label class="form-label small">Last night</label>
+                                <input type="date" name="last_night" class="form-control" required>
+                            </div>
+                        </div>
+                        <input type="text" name="note" class="form-control mb-2" placeholder="Note (optional)">
+                        <button type="submit" class="btn btn-primary btn-sm">Block Dates</button>
+                    </form>
+                </div>
+                
+                <div class="panel">
+                    <h4 class="mb-3"><i class="fas fa-moon text-info"></i> Stay Length</h4>
+                    <form method="POST" action="/host/calendar/limits">
+                        ${csrfField(csrfToken)}
+                        ${hidden}
+                        <div class="row g-2 mb-2">
+                            <div class="col-6">
+                                <label class="form-label small">Minimum nights</label>
+                                <input type="number" name="minimum_nights" class="form-control" min="1" value="${min}" required>
+                            </div>
+                            <div class="col-6">
+                                <label class="form-label small">Maximum nights</label>
+                                <input type="number" name="maximum_nights" class="form-control" min="1" value="${max || ''}" placeholder="No limit">
+                            </div>
+                        </div>
+                        <button type="submit" class="btn btn-primary btn-sm">Save Limits</button>
+                    </form>
+                </div>
+            </div>
+            
+            <div class="col-lg-6">
+                <div class="panel">
+                    <h4 class="mb-3"><i class="fas fa-tags text-success"></i> Rates</h4>
+                    <p class="text-muted small">Base price: $${Number(listing.price || 0).toFixed(2)}/night</p>
+                    <form method="POST" action="/host/calendar/weekend" class="mb-4">
+                        ${csrfField(csrfToken)}
+                        ${hidden}
+                        <label class="form-label small">Weekend price (Friday and Saturday nights)</label>
+                        <div class="input-group">
+                            <input type="number" name="weekend_price" class="form-control" min="0" step="0.01" 
+                                   value="${calendar.weekend_price ?? ''}" placeholder="Same as base price">
+                            <button type="submit" class="btn btn-outline-secondary">Save</button>
+                        </div>
+                    </form>
+                    
+                    <h5>Seasonal Rates</h5>
+                    ${(calendar.rates || []).length === 0 ? html`<p class="text-muted">No seasonal rates.</p>` : html`
+                        <ul class="list-group mb-3">
+                            ${calendar.rates.map(rate => html`
+                                <li class="list-group-item d-flex justify-content-between align-items-center">
+                                    <span>${toInputDate(rate.start)} – ${lastNight(rate)}: <strong>$${Number(rate.price).toFixed(2)}</strong>
+                                        ${rate.note ? html`<small class="text-muted">(${rate.note})</small>` : ''}</span>
+                                    <form method="POST" action="/host/calendar/remove-rate" class="m-0">
+                                        ${csrfField(csrfToken)}
+                                        ${hidden}
+                                        <input type="hidden" name="rate_id" value="${rate._id}">
+                                        <button type="submit" class="btn btn-sm btn-link text-danger">Remove</button>
+                                    </form>
+                                </li>
+                            `)}
+                        </ul>
+                    `}
+                    <form method="POST" action="/host/calendar/rate">
+                        ${csrfField(csrfToken)}
+                        ${hidden}
+                        <div class="row g-2 mb-2">
+                            <div class="col-6">
+                                <label class="form-label small">First night</label>
+                                <input type="date" name="first_night" class="form-control" required>
+                            </div>
+                            <div class="col-6">
+                                <label class="form-label small">Last night</label>
+                                <input type="date" name="last_night" class="form-control" required>
+                            </div>
+                        </div>
+                        <div class="row g-2 mb-2">
+                            <div class="col-6">
+                                <input type="number" name="price" class="form-control" min="0" step="0.01" placeholder="Nightly price" required>
+                            </div>
+                            <div class="col-6">
+                                <input type="text" name="note" class="form-control" placeholder="e.g. Summer season">
+                            </div>
+                        </div>
+                        <button type="submit" class="btn btn-primary btn-sm">Add Rate</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `, `
+            .calendar-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fill, minmax(70px, 1fr));
+                gap: 4px;
+            }
+            
+            .calendar-day, .legend {
+                border: 1px solid #e0e0e0;
+                border-radius: 6px;
+                padding: 4px;
+                text-align: center;
+                background: white;
+            }
+            
+            .calendar-day.booked, .legend.booked {
+                background: #d1ecf1;
+            }
+            
+            .calendar-day.blocked, .legend.blocked {
+                background: #e2e3e5;
+                text-decoration: line-through;
+            }
+            
+            .legend {
+                display: inline-block;
+                width: 14px;
+                height: 14px;
+                padding: 0;
+                vertical-align: middle;
+            }
+    `);
+}
+
+module.exports = {
+    generateHostDashboardPage,
+    listingFormValues,
+    generateListingFormPage,
+    generateListingBookingsPage,
+    generateHostCalendarPage
+};
@@ -0,0 +1,114 @@
+const { html, raw } = require('../lib/html');
+
+// The page shell shared by the smaller pages, and the centred card the account forms use.
+// Page generators return the finished page as a string, ready for res.send().
+
+// Shared page shell for the smaller pages (manage booking etc.)
+function renderPage(title, content, styles = '') {
+    return html`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title} - AirBnB Clone</title>
+        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+        <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
+        <style>
+            :root {
+                --airbnb-red: #ff5a5f;
+                --airbnb-dark-red: #e74c3c;
+                --airbnb-light-gray: #f7f7f7;
+                --airbnb-dark-gray: #484848;
+                --airbnb-green: #00a699;
+            }
+            
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background-color: var(--airbnb-light-gray);
+            }
+            
+            .panel {
+                background: white;
+                border-radius: 15px;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+                padding: 2rem;
+                margin-bottom: 2rem;
+            }
+            
+            .btn-primary {
+                background: var(--airbnb-red);
+                border: none;
+                border-radius: 25px;
+                padding: 12px 30px;
+                font-weight: 600;
+                transition: all 0.3s ease;
+            }
+            
+            .btn-primary:hover {
+                background: var(--airbnb-dark-red);
+                transform: translateY(-2px);
+            }
+            
+            .btn-outline-danger, .btn-secondary {
+                border-radius: 25px;
+                padding: 12px 30px;
+                font-weight: 600;
+            }
+            
+            .form-control:focus, .form-select:focus {
+                border-color: var(--airbnb-red);
+                box-shadow: 0 0 0 0.2rem rgba(255, 90, 95, 0.25);
+            }
+            ${raw(styles)}
+        </style>
+    </head>
+    <body>
+        <div class="container mt-4">
+            <nav aria-label="breadcrumb" class="mb-4">
+                <ol class="breadcrumb">
+                    <li class="breadcrumb-item">
+                        <a href="/" class="text-decoration-none">
+                            <i class="fas fa-home"></i> Search
+                        </a>
+                    </li>
+                    <li class="breadcrumb-item active" aria-current="page">${title}</li>
+                </ol>
+            </nav>
+            ${content}
+        </div>
+        
+        <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    </body>
+    </html>
+    `.toString();
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { 
+        weekday: 'long', 
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric' 
+    });
+}
+
+// Small centred card used by the account forms
+function renderFormCard(title, icon, content) {
+    return renderPage(title, html`
+        <div class="row justify-content-center">
+            <div class="col-lg-5">
+                <div class="panel">
+                    <h2 class="mb-3"><i class="fas ${icon} text-danger"></i> ${title}</h2>
+                    ${content}
+                </div>
+            </div>
+        </div>
+    `);
+}
+
+module.exports = {
+    renderPage,
+    formatDate,
+    renderFormCard
+};
@@ -0,0 +1,267 @@
+const { html } = require('../lib/html');
+const { bookingPolicy } = require('../services/bookings');
+const { outstandingPayment } = require('../services/payments');
+const { REVIEW_CATEGORIES, MAX_SCORE, canReview } = require('../services/reviews');
+const { describePolicy, calculateRefund } = require('../services/cancellation');
+const { isActiveBooking } = require('../services/availability');
+const { renderPage, formatDate } = require('./layout');
+const { csrfField, cardFields } = require('./components');
+
+// Manage booking: find a booking by reference and email, then view, change, pay, cancel or
+// review it.
+
+// Form to find a booking by reference and email
+function generateManageLookupPage({ reference = '', email = '', error = '' } = {}, { csrfToken } = {}) {
+    return renderPage('Manage Booking', html`
+        <div class="row justify-content-center">
+            <div class="col-lg-6">
+                <div class="panel">
+                    <h2 class="mb-3"><i class="fas fa-suitcase-rolling text-danger"></i> Manage Your Booking</h2>
+                    <p class="text-muted">Enter the booking reference from your confirmation and the email address you booked with.</p>
+                    
+                    ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+                    
+                    <form method="POST" action="/manage">
+                        ${csrfField(csrfToken)}
+                        <div class="mb-3">
+                            <label for="reference" class="form-label">Booking Reference</label>
+                            <input type="text" name="reference" id="reference" class="form-control" 
+                                   style="font-family: monospace;" value="${reference}" required>
+                        </div>
+                        <div class="mb-3">
+                            <label for="email" class="form-label">Email Address</label>
+                            <input type="email" name="email" id="email" class="form-control" value="${email}" required>
+                        </div>
+                        <div class="d-grid">
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-search"></i> Find Booking
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `);
+}
+
+// View a booking and change or cancel it
+function generateManageBookingPage({ listing, booking, emails = [] }, reference, email, { message = '', error = '' } = {}, { csrfToken, cspNonce } = {}) {
+    const cancelled = !isActiveBooking(booking);
+    // Completed stays keep their details but can't be changed any more
+    const closed = cancelled || booking.status === 'completed';
+    const outstanding = closed ? null : outstandingPayment(booking);
+    const transactions = booking.transactions || [];
+    const statusBadges = { pending_payment: 'bg-warning text-dark', requested: 'bg-info text-dark', confirmed: 'bg-success' };
+    const policy = bookingPolicy(booking, listing);
+    const refund = booking.refund || calculateRefund(policy, booking);
+    const nights = Math.ceil((new Date(booking.departure_date) - new Date(booking.arrival_date)) / (1000 * 60 * 60 * 24));
+    const toInputDate = date => new Date(date).toISOString().split('T')[0];
+    const credentials = html`
+        <input type="hidden" name="reference" value="${reference}">
+        <input type="hidden" name="email" value="${email}">
+    `;
+    
+    return renderPage('Manage Booking', html`
+        <div class="row">
+            <div class="col-lg-7">
+                <div class="panel">
+                    ${message ? html`<div class="alert alert-success">${message}</div>` : ''}
+                    ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+                    
+                    <p class="small"><a href="/trips"><i class="fas fa-arrow-left"></i> All my trips</a></p>
+                    
+                    <div class="d-flex justify-content-between align-items-start mb-3">
+                        <div>
+                            <small class="text-muted">Booking Reference</small>
+                            <h4 style="font-family: monospace; letter-spacing: 2px;">${booking.booking_id.toString().toUpperCase()}</h4>
+                        </div>
+                        <span class="badge ${statusBadges[booking.status] || 'bg-secondary'} fs-6 text-capitalize">${booking.status.replace('_', ' ')}</span>
+                    </div>
+                    
+                    <h3><a href="/bookings?listing_id=${listing._id}" class="text-decoration-none">${listing.name}</a></h3>
+                    <p class="text-muted"><i class="fas fa-map-marker-alt"></i> ${listing.address?.market || 'Unknown location'}</p>
+                    
+                    <table class="table">
+                        <tr><th><i class="fas fa-calendar-check text-success"></i> Check-in</th><td>${formatDate(booking.arrival_date)}</td></tr>
+                        <tr><th><i class="fas fa-calendar-times text-warning"></i> Check-out</th><td>${formatDate(booking.departure_date)}</td></tr>
+                        <tr><th><i class="fas fa-moon text-info"></i> Duration</th><td>${nights} night${nights > 1 ? 's' : ''}</td></tr>
+                        <tr><th><i class="fas fa-users"></i> Guests</th><td>${booking.num_guests}</td></tr>
+                        <tr><th><i class="fas fa-dollar-sign text-success"></i> Deposit paid</th><td>$${Number(booking.deposit_paid || 0).toFixed(2)}</td></tr>
+                        ${Number(booking.balance_paid || 0) > 0 ? html`
+                            <tr><th><i class="fas fa-dollar-sign text-success"></i> Balance paid</th><td>$${Number(booking.balance_paid).toFixed(2)}</td></tr>
+                        ` : ''}
+                        <tr><th><i class="fas fa-clock"></i> Balance due</th><td>$${Number(booking.balance_amount_due || 0).toFixed(2)}${cancelled ? '' : ` by ${formatDate(booking.balance_due_date)}`}</td></tr>
+                        ${cancelled ? html`
+                            <tr><th><i class="fas fa-undo text-success"></i> Refund</th><td>$${refund.total_refund.toFixed(2)}</td></tr>
+                        ` : ''}
+                    </table>
+                    
+                    <h5><i class="fas fa-undo text-primary"></i> Cancellation Policy: ${policy.label}</h5>
+                    <ul class="small text-muted mb-0">
+                        ${describePolicy(policy).map(line => html`<li>${line}</li>`)}
+                    </ul>
+                    
+                    ${transactions.length === 0 ? '' : html`
+                        <h5 class="mt-4"><i class="fas fa-receipt text-primary"></i> Payments</h5>
+                        <ul class="list-group list-group-flush small">
+                            ${transactions.map(transaction => html`
+                                <li class="list-group-item d-flex justify-content-between px-0">
+                                    <span>
+                                        <span class="text-capitalize">${transaction.type}</span>
+                                        · ${new Date(transaction.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                                        ${transaction.payment_method ? `· ${transaction.payment_method.brand} ${transaction.payment_method.last4}` : ''}
+                                        ${transaction.failure_message ? html`<span class="d-block text-danger">${transaction.failure_message}</span>` : ''}
+                                    </span>
+                                    <span class="text-end">
+                                        ${transaction.type === 'refund' ? '-' : ''}$${Number(transaction.amount).toFixed(2)}
+                                        <span class="d-block ${transaction.status === 'succeeded' ? 'text-success' : 'text-danger'} text-capitalize">${transaction.status}</span>
+                                    </span>
+                                </li>
+                            `)}
+                        </ul>
+                    `}
+                    
+                    ${emails.length === 0 ? '' : html`
+                        <h5 class="mt-4"><i class="fas fa-envelope text-primary"></i> Emails</h5>
+                        <ul class="list-group list-group-flush small">
+                            ${emails.map(entry => html`
+                                <li class="list-group-item d-flex justify-content-between px-0">
+                                    <span>
+                                        ${entry.subject || entry.type.replace(/_/g, ' ')}
+                                        <span class="d-block text-muted">${new Date(entry.created_at).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })}${entry.to ? ` · ${entry.to}` : ''}</span>
+                                    </span>
+                                    <span class="${entry.status === 'sent' ? 'text-success' : 'text-danger'} text-capitalize">${entry.status === 'sent' ? 'Sent' : 'Not sent'}</span>
+                                </li>
+                            `)}
+                        </ul>
+                    `}
+                </div>
+            </div>
+            
+            ${closed ? html`
+            <div class="col-lg-5">
+                ${canReview(booking) ? html`
+                <div class="panel" id="review">
+                    <h4 class="mb-3"><i class="fas fa-star text-warning"></i> Review Your Stay</h4>
+                    <p class="text-muted small">How was ${listing.name}? Score each part of your stay from 1 (poor) to ${MAX_SCORE} (excellent).</p>
+                    <form method="POST" action="/manage/review">
+                        ${csrfField(csrfToken)}
+                        ${credentials}
+                        <div class="row">
+                            ${REVIEW_CATEGORIES.map(({ key, label }) => html`
+                                <div class="col-6 mb-3">
+                                    <label for="review_${key}" class="form-label">${label}</label>
+                                    <select name="${key}" id="review_${key}" class="form-select" required>
+                                        <option value="">Score</option>
+                                        ${Array.from({ length: MAX_SCORE }, (_, i) => MAX_SCORE - i).map(score => html`<option value="${score}">${score}</option>`)}
+                                    </select>
+                                </div>
+                            `)}
+                        </div>
+                        <div class="mb-3">
+                            <label for="review_comments" class="form-label">Your review</label>
+                            <textarea name="comments" id="review_comments" class="form-control" rows="4" maxlength="2000" required
+                                      placeholder="What did you like? What could have been better?"></textarea>
+                        </div>
+                        <div class="d-grid">
+                            <button type="submit" class="btn btn-primary">Submit Review</button>
+                        </div>
+                    </form>
+                </div>
+                ` : booking.reviewed_at ? html`
+                <div class="panel">
+                    <h4 class="mb-2"><i class="fas fa-star text-warning"></i> Reviewed</h4>
+                    <p class="text-muted small mb-0">You reviewed this stay on ${formatDate(booking.reviewed_at)}. Thank you!</p>
+                </div>
+                ` : ''}
+            </div>
+            ` : html`
+            <div class="col-lg-5">
+                ${outstanding ? html`
+                <div class="panel">
+                    <h4 class="mb-3"><i class="fas fa-credit-card text-success"></i> ${booking.status === 'pending_payment' ? 'Payment Required' : 'Pay Balance Now'}</h4>
+                    <p class="small ${booking.status === 'pending_payment' ? 'text-danger' : 'text-muted'}">
+                        ${booking.status === 'pending_payment' ? 
+                            `Your last payment didn't go through, so this booking is on hold. Pay the ${outstanding.type} with another card to secure your dates.` :
+                            `Your balance will be charged automatically on ${formatDate(booking.balance_due_date)}, or you can pay it now.`}
+                    </p>
+                    <form method="POST" action="/manage/pay">
+                        ${csrfField(csrfToken)}
+                        ${credentials}
+                        ${cardFields()}
+                        <div class="d-grid">
+                            <button type="submit" class="btn btn-primary">Pay $${outstanding.amount.toFixed(2)}</button>
+                        </div>
+                    </form>
+                </div>
+                ` : ''}
+                
+                <div class="panel">
+                    <h4 class="mb-3"><i class="fas fa-pen"></i> Change Your Stay</h4>
+                    <form method="POST" action="/manage/modify">
+                        ${csrfField(csrfToken)}
+                        ${credentials}
+                        <div class="row mb-3">
+                            <div class="col-6">
+                                <label for="check_in" class="form-label">Check-in</label>
+                                <input type="date" name="check_in" id="check_in" class="form-control" 
+                                       value="${toInputDate(booking.arrival_date)}" required>
+                            </div>
+                            <div class="col-6">
+                                <label for="check_out" class="form-label">Check-out</label>
+                                <input type="date" name="check_out" id="check_out" class="form-control" 
+                                       value="${toInputDate(booking.departure_date)}" required>
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="guest_count" class="form-label">Number of Guests</label>
+                            <select name="guest_count" id="guest_count" class="form-select">
+                                ${Array.from({length: listing.accommodates || 6}, (_, i) => i + 1).map(num => 
+                                    html`<option value="${num}" ${num === booking.num_guests ? 'selected' : ''}>${num} Guest${num > 1 ? 's' : ''}</option>`
+                                )}
+                            </select>
+                        </div>
+                        <div class="d-grid">
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-check"></i> Update Booking
+                            </button>
+                        </div>
+                    </form>
+                </div>
+                
+                <div class="panel">
+                    <h4 class="mb-3"><i class="fas fa-times-circle text-danger"></i> Cancel Booking</h4>
+                    <p class="text-muted small">Cancelling releases your dates so other guests can book them.</p>
+                    <p class="small">
+                        If you cancel now you will be refunded <strong>$${refund.total_refund.toFixed(2)}</strong>
+                        ($${refund.deposit_refund.toFixed(2)} of your deposit${refund.balance_refund > 0 ? `, $${refund.balance_refund.toFixed(2)} of your balance` : ''}).
+                    </p>
+                    <form method="POST" action="/manage/cancel" id="cancelForm">
+                        ${csrfField(csrfToken)}
+                        ${credentials}
+                        <div class="d-grid">
+                            <button type="submit" class="btn btn-outline-danger">Cancel Booking</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+            `}
+        </div>
+        
+        <script nonce="${cspNonce}">
+            const cancelForm = document.getElementById('cancelForm');
+            if (cancelForm) {
+                cancelForm.addEventListener('submit', function(event) {
+                    if (!confirm('Are you sure you want to cancel this booking?')) {
+                        event.preventDefault();
+                    }
+                });
+            }
+        </script>
+    `);
+}
+
+module.exports = {
+    generateManageLookupPage,
+    generateManageBookingPage
+};
@@ -0,0 +1,1079 @@
+const { html } = require('../lib/html');
+const { SORT_OPTIONS, searchQueryString } = require('../services/listings');
+const { DEFAULT_RADIUS_KM } = require('../services/geo');
+const { describeSearch, savedFilters } = require('../services/alerts');
+const { isHost } = require('../services/hosting');
+const {
+    invalidClass, fieldFeedback, formErrorAlert, heartButton, HEART_SCRIPT, IMAGE_FALLBACK_SCRIPT, csrfField
+} = require('./components');
+
+// The homepage: search form, "More filters" panel, results with their map and pagination.
+
+// Helper function to generate homepage HTML with enhancements
+// `invalid` ({ message, errors }) marks the filters of a search that was rejected
+function generateHomepage(listings, { markets = [], propertyTypes = [], selectedValues = {}, pagination = null, user = null, facets = (pagination && pagination.facets) || [], invalid = null } = {}, { csrfToken, cspNonce } = {}) {
+    const errors = invalid ? invalid.errors : {};
+    // The radius / map-area search in effect (normalised by services/geo.js)
+    const geo = (pagination && pagination.geo) || {};
+    const mapListings = listings
+        .filter(listing => Array.isArray(listing.address?.location?.coordinates))
+        .map(listing => ({
+            id: String(listing._id),
+            name: listing.name || 'Unnamed Property',
+            price: Number(listing.price) || null,
+            lng: listing.address.location.coordinates[0],
+            lat: listing.address.location.coordinates[1]
+        }));
+    const showMap = mapListings.length > 0 || Boolean(geo.point || geo.bbox);
+    // Dates and guests carried through to the listing page
+    const stayParams = searchQueryString({ check_in: selectedValues.check_in, check_out: selectedValues.check_out, guests: selectedValues.guests });
+    const stayQuery = stayParams ? `&${stayParams}` : '';
+    // Where the heart's form returns to without JavaScript
+    const currentPath = pagination && pagination.query !== undefined
+        ? `/search?${[pagination.query, pagination.page > 1 ? `page=${pagination.page}` : ''].filter(Boolean).join('&')}`
+        : '/';
+    const activeFilters = facets.reduce((count, facet) => count + facet.options.filter(option => option.selected).length, 0);
+
+    return html`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>AirBnB Property Search</title>
+        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+        <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
+        <style>
+            :root {
+                --airbnb-red: #ff5a5f;
+                --airbnb-dark-red: #e74c3c;
+                --airbnb-light-gray: #f7f7f7;
+                --airbnb-dark-gray: #484848;
+                --airbnb-green: #00a699;
+            }
+            
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background-color: var(--airbnb-light-gray);
+            }
+            
+            .brand-header {
+                background: linear-gradient(135deg, var(--airbnb-red), var(--airbnb-dark-red));
+                color: white;
+                padding: 2rem 0;
+                margin-bottom: 2rem;
+                box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            }
+            
+            .brand-logo {
+                font-size: 2.5rem;
+                font-weight: bold;
+                text-decoration: none;
+                color: white;
+            }
+            
+            .brand-logo:hover {
+                color: white;
+                text-decoration: none;
+            }
+            
+            .search-form {
+                background: white;
+                border-radius: 15px;
+                box-shadow: 0 8px 25px rgba(0,0,0,0.1);
+                transition: transform 0.3s ease;
+            }
+            
+            .search-form:hover {
+                transform: translateY(-2px);
+            }
+            
+            .listing-card {
+                background: white;
+                border-radius: 15px;
+                overflow: hidden;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+                transition: all 0.3s ease;
+                margin-bottom: 25px;
+                height: 100%;
+            }
+            
+            .listing-card:hover {
+                transform: translateY(-5px);
+                box-shadow: 0 8px 25px rgba(0,0,0,0.15);
+            }
+            
+            .property-image {
+                width: 100%;
+                height: 200px;
+                object-fit: cover;
+                transition: transform 0.3s ease;
+            }
+            
+            .listing-card:hover .property-image {
+                transform: scale(1.05);
+            }
+            
+            .listing-title {
+                color: var(--airbnb-dark-gray);
+                text-decoration: none;
+                font-weight: 600;
+                font-size: 1.1rem;
+                display: block;
+                margin-bottom: 0.5rem;
+            }
+            
+            .listing-title:hover {
+                color: var(--airbnb-red);
+                text-decoration: none;
+            }
+            
+            .price {
+                font-size: 1.3rem;
+                font-weight: bold;
+                color: var(--airbnb-green);
+            }
+            
+            .rating {
+                background: var(--airbnb-red);
+                color: white;
+                padding: 4px 12px;
+                border-radius: 20px;
+                font-size: 0.9rem;
+                font-weight: 500;
+            }
+            
+            .availability-badge {
+                background: var(--airbnb-green);
+                color: white;
+                padding: 2px 8px;
+                border-radius: 10px;
+                font-size: 0.8rem;
+                position: absolute;
+                top: 10px;
+                right: 10px;
+            }
+            
+            .review-snippet {
+                background: var(--airbnb-light-gray);
+                border-radius: 8px;
+                padding: 8px;
+                margin-top: 8px;
+                font-size: 0.85rem;
+                font-style: italic;
+            }
+            
+            .btn-primary {
+                background: var(--airbnb-red);
+                border: none;
+                border-radius: 25px;
+                padding: 12px 30px;
+                font-weight: 600;
+                transition: all 0.3s ease;
+            }
+            
+            .btn-primary:hover {
+                background: var(--airbnb-dark-red);
+                transform: translateY(-2px);
+            }
+            
+            .loading {
+                display: none;
+                text-align: center;
+                padding: 2rem;
+            }
+            
+            .spinner {
+                border: 4px solid #f3f3f3;
+                border-top: 4px solid var(--airbnb-red);
+                border-radius: 50%;
+                width: 40px;
+                height: 40px;
+                animation: spin 1s linear infinite;
+                margin: 0 auto 1rem;
+            }
+            
+            @keyframes spin {
+                0% { transform: rotate(0deg); }
+                100% { transform: rotate(360deg); }
+            }
+            
+            @keyframes fadeInUp {
+                from {
+                    opacity: 0;
+                    transform: translateY(30px);
+                }
+                to {
+                    opacity: 1;
+                    transform: translateY(0);
+                }
+            }
+            
+            .listing-card {
+                animation: fadeInUp 0.6s ease-out;
+            }
+            
+            .form-control:focus, .form-select:focus {
+                border-color: var(--airbnb-red);
+                box-shadow: 0 0 0 0.2rem rgba(255, 90, 95, 0.25);
+            }
+            
+            .image-placeholder {
+                background: linear-gradient(135deg, #f8f9fa, #e9ecef);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                color: #6c757d;
+                font-size: 3rem;
+            }
+            
+            .listing-card .heart-form {
+                position: absolute;
+                top: 8px;
+                left: 8px;
+            }
+            
+            .heart-button {
+                background: rgba(255,255,255,0.9);
+                border: none;
+                border-radius: 50%;
+                width: 36px;
+                height: 36px;
+                color: var(--airbnb-dark-gray);
+                transition: transform 0.2s ease;
+            }
+            
+            .heart-button:hover {
+                transform: scale(1.1);
+            }
+            
+            .heart-button.saved {
+                color: var(--airbnb-red);
+            }
+            
+            .results-map {
+                position: relative;
+                height: 360px;
+                background: #eaf2f8;
+                border-radius: 15px;
+                overflow: hidden;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+            }
+            
+            .results-map svg {
+                width: 100%;
+                height: 100%;
+                cursor: grab;
+                touch-action: none;
+                user-select: none;
+            }
+            
+            .results-map svg.dragging {
+                cursor: grabbing;
+            }
+            
+            .results-map .grid-line {
+                stroke: #c9d9e6;
+                stroke-width: 1;
+            }
+            
+            .results-map .search-radius {
+                fill: rgba(255, 90, 95, 0.12);
+                stroke: var(--airbnb-red);
+                stroke-dasharray: 6 4;
+            }
+            
+            .results-map .map-marker {
+                fill: var(--airbnb-red);
+                stroke: white;
+                stroke-width: 2;
+                cursor: pointer;
+            }
+            
+            .results-map .map-marker:hover {
+                fill: var(--airbnb-dark-red);
+            }
+            
+            .results-map .map-controls {
+                position: absolute;
+                top: 10px;
+                right: 10px;
+            }
+            
+            .results-map .map-hint {
+                position: absolute;
+                bottom: 10px;
+                left: 10px;
+                background: rgba(255,255,255,0.9);
+                border-radius: 6px;
+                padding: 2px 8px;
+            }
+        </style>
+    </head>
+    <body>
+        <!-- Brand Header -->
+        <div class="brand-header">
+            <div class="container">
+                <div class="row align-items-center">
+                    <div class="col-md-6">
+                        <a href="/" class="brand-logo">
+                            <i class="fas fa-home"></i> AirBnB Clone
+                        </a>
+                        <p class="mb-0 mt-2">Find your perfect home away from home</p>
+                    </div>
+                    <div class="col-md-6 text-end">
+                        ${user ? html`
+                            <span class="me-3"><i class="fas fa-user-circle"></i> ${user.name}</span>
+                            <a href="/trips" class="btn btn-light btn-sm me-2">My Trips</a>
+                            <a href="/wishlists" class="btn btn-light btn-sm me-2"><i class="fas fa-heart"></i> Wishlists</a>
+                            <a href="/alerts" class="btn btn-light btn-sm me-2">
+                                <i class="fas fa-bell"></i> Alerts
+                                ${user.unread_alerts > 0 ? html`<span class="badge bg-danger">${user.unread_alerts}</span>` : ''}
+                            </a>
+                            ${isHost(user) ? html`<a href="/host" class="btn btn-light btn-sm me-2">Hosting</a>` : ''}
+                            <a href="/account" class="btn btn-light btn-sm me-2">My Account</a>
+                            <form method="POST" action="/logout" class="d-inline">
+                                ${csrfField(csrfToken)}
+                                <button type="submit" class="btn btn-outline-light btn-sm">Log Out</button>
+                            </form>
+                        ` : html`
+                            <a href="/wishlists" class="btn btn-light btn-sm me-2"><i class="fas fa-heart"></i> Wishlists</a>
+                            <a href="/login" class="btn btn-light btn-sm me-2">Log In</a>
+                            <a href="/register" class="btn btn-outline-light btn-sm">Sign Up</a>
+                        `}
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <div class="container">
+            <!-- Enhanced Search Form -->
+            <div class="row justify-content-center mb-5">
+                <div class="col-lg-10">
+                    <form method="GET" action="/search" class="search-form p-4" id="searchForm">
+                        <h3 class="text-center mb-4 text-muted">
+                            <i class="fas fa-filter"></i> Find Your Perfect Stay
+                        </h3>
+                        ${formErrorAlert(invalid, SEARCH_FORM_FIELDS)}
+                        
+                        <div class="row g-3">
+                            <!-- Keywords -->
+                            <div class="col-12">
+                                <label for="q" class="form-label">
+                                    <i class="fas fa-search"></i> Keywords
+                                </label>
+                                <input type="search" name="q" id="q" class="form-control" maxlength="200"
+                                       placeholder="e.g. beach view, pool, Copacabana, wifi" value="${selectedValues.q || ''}">
+                            </div>
+                            
+                            <!-- Location -->
+                            <div class="col-md-4">
+                                <label for="location" class="form-label">
+                                    <i class="fas fa-map-marker-alt text-danger"></i> Location
+                                </label>
+                                <select name="location" id="location" class="form-select">
+                                    <option value="" ${!selectedValues.location ? 'selected' : ''}>Anywhere</option>
+                                    ${markets.map(market => 
+                                        html`<option value="${market}" ${selectedValues.location === market ? 'selected' : ''}>${market}</option>`
+                                    )}
+                                </select>
+                            </div>
+                            
+                            <!-- Property Type -->
+                            <div class="col-md-4">
+                                <label for="property_type" class="form-label">
+                                    <i class="fas fa-building"></i> Property Type
+                                </label>
+                                <select name="property_type" id="property_type" class="form-select">
+                                    <option value="">Any Type</option>
+                                    ${propertyTypes.map(type => 
+                                        html`<option value="${type}" ${selectedValues.property_type === type ? 'selected' : ''}>${type}</option>`
+                                    )}
+                                </select>
+                            </div>
+                            
+                            <!-- Bedrooms -->
+                            <div class="col-md-4">
+                                <label for="bedrooms" class="form-label">
+                                    <i class="fas fa-bed"></i> Bedrooms
+                                </label>
+                                <select name="bedrooms" id="bedrooms" class="form-select ${invalidClass(errors, 'bedrooms')}">
+                                    <option value="">Any</option>
+                                    <option value="0" ${selectedValues.bedrooms === '0' ? 'selected' : ''}>Studio</option>
+                                    <option value="1" ${selectedValues.bedrooms === '1' ? 'selected' : ''}>1 Bedroom</option>
+                                    <option value="2" ${selectedValues.bedrooms === '2' ? 'selected' : ''}>2 Bedrooms</option>
+                                    <option value="3" ${selectedValues.bedrooms === '3' ? 'selected' : ''}>3 Bedrooms</option>
+                                    <option value="4" ${selectedValues.bedrooms === '4' ? 'selected' : ''}>4+ Bedrooms</option>
+                                </select>
+                                ${fieldFeedback(errors, 'bedrooms')}
+                            </div>
+                            
+                            <!-- Price Range -->
+                            <div class="col-md-3">
+                                <label for="min_price" class="form-label">
+                                    <i class="fas fa-dollar-sign"></i> Min Price
+                                </label>
+                                <input type="number" name="min_price" id="min_price" class="form-control ${invalidClass(errors, 'min_price')}" 
+                                       placeholder="$0" min="0" value="${selectedValues.min_price || ''}">
+                                ${fieldFeedback(errors, 'min_price')}
+                            </div>
+                            
+                            <div class="col-md-3">
+                                <label for="max_price" class="form-label">
+                                    <i class="fas fa-dollar-sign"></i> Max Price
+                                </label>
+                                <input type="number" name="max_price" id="max_price" class="form-control ${invalidClass(errors, 'max_price')}" 
+                                       placeholder="$1000" min="0" value="${selectedValues.max_price || ''}">
+                                ${fieldFeedback(errors, 'max_price')}
+                            </div>
+                            
+                            <!-- Guests -->
+                            <div class="col-md-2">
+                                <label for="guests" class="form-label">
+                                    <i class="fas fa-users"></i> Guests
+                                </label>
+                                <select name="guests" id="guests" class="form-select ${invalidClass(errors, 'guests')}">
+                                    <option value="">Any</option>
+                                    <option value="1" ${selectedValues.guests === '1' ? 'selected' : ''}>1 Guest</option>
+                                    <option value="2" ${selectedValues.guests === '2' ? 'selected' : ''}>2 Guests</option>
+                                    <option value="3" ${selectedValues.guests === '3' ? 'selected' : ''}>3 Guests</option>
+                                    <option value="4" ${selectedValues.guests === '4' ? 'selected' : ''}>4 Guests</option>
+                                    <option value="5" ${selectedValues.guests === '5' ? 'selected' : ''}>5+ Guests</option>
+                                </select>
+                                ${fieldFeedback(errors, 'guests')}
+                            </div>
+                            
+                            <!-- Availability Dates -->
+                            <div class="col-md-2">
+                                <label for="check_in" class="form-label">
+                                    <i class="fas fa-calendar-check"></i> Check-in
+                                </label>
+                                <input type="date" name="check_in" id="check_in" class="form-control ${invalidClass(errors, 'check_in')}" 
+                                       value="${selectedValues.check_in || ''}">
+                                ${fieldFeedback(errors, 'check_in')}
+                            </div>
+                            
+                            <div class="col-md-2">
+                                <label for="check_out" class="form-label">
+                                    <i class="fas fa-calendar-times"></i> Check-out
+                                </label>
+                                <input type="date" name="check_out" id="check_out" class="form-control ${invalidClass(errors, 'check_out')}" 
+                                       value="${selectedValues.check_out || ''}">
+                                ${fieldFeedback(errors, 'check_out')}
+                            </div>
+                            
+                            <!-- Distance from a point: your location or a spot picked on the map -->
+                            <div class="col-md-4">
+                                <label for="radius_km" class="form-label">
+                                    <i class="fas fa-crosshairs"></i> Distance
+                                </label>
+                                <select name="radius_km" id="radius_km" class="form-select ${invalidClass(errors, 'radius_km')}">
+                                    ${RADIUS_OPTIONS.map(km => 
+                                        html`<option value="${km}" ${(geo.radius_km || DEFAULT_RADIUS_KM) === km ? 'selected' : ''}>Within ${km} km</option>`
+                                    )}
+                                </select>
+                                ${fieldFeedback(errors, 'radius_km')}
+                            </div>
+                            
+                            <div class="col-md-8 d-flex align-items-end flex-wrap gap-2">
+                                <button type="button" id="useLocation" class="btn btn-outline-secondary">
+                                    <i class="fas fa-location-arrow"></i> Use my location
+                                </button>
+                                <span class="text-muted small align-self-center" id="geoStatus">
+                                    ${geo.point ? `Within ${geo.radius_km} km of ${geo.point.lat.toFixed(4)}, ${geo.point.lng.toFixed(4)}` :
+                                      geo.bbox ? 'Inside the map area' :
+                                      'Or click the map to search around a point'}
+                                </span>
+                                ${geo.point || geo.bbox ? html`
+                                    <button type="button" id="clearArea" class="btn btn-link btn-sm align-self-center">Clear</button>
+                                ` : ''}
+                            </div>
+                        </div>
+                        
+                        ${facets.length > 0 ? html`
+                            <!-- More filters: each option shows how many results it would leave -->
+                            <div class="mt-3">
+                                <button type="button" class="btn btn-link p-0 text-decoration-none" data-bs-toggle="collapse" data-bs-target="#moreFilters" aria-expanded="${String(activeFilters > 0)}" aria-controls="moreFilters">
+                                    <i class="fas fa-sliders-h"></i> More filters
+                                    ${activeFilters > 0 ? html`<span class="badge bg-danger">${activeFilters}</span>` : ''}
+                                </button>
+                                ${activeFilters > 0 ? html`
+                                    <button type="button" id="clearFilters" class="btn btn-link btn-sm">Clear filters</button>
+                                ` : ''}
+                            </div>
+                            <div class="collapse ${activeFilters > 0 ? 'show' : ''}" id="moreFilters">
+                                <div class="row g-3 mt-1">
+                                    ${facets.map(renderFacet)}
+                                </div>
+                            </div>
+                        ` : ''}
+                        
+                        <input type="hidden" name="sort" id="sort" value="${selectedValues.sort || 'relevance'}">
+                        <input type="hidden" name="lat" id="lat" value="${geo.point ? geo.point.lat : ''}">
+                        <input type="hidden" name="lng" id="lng" value="${geo.point ? geo.point.lng : ''}">
+                        <input type="hidden" name="bbox" id="bbox" value="${geo.bbox ? [geo.bbox.west, geo.bbox.south, geo.bbox.east, geo.bbox.north].join(',') : ''}">
+                        
+                        <div class="text-center mt-4">
+                            <button type="submit" name="page" value="1" class="btn btn-primary btn-lg">
+                                <i class="fas fa-search"></i> Search Properties
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+            
+            <!-- Loading Indicator -->
+            <div class="loading" id="loading">
+                <div class="spinner"></div>
+                <p>Searching for the perfect properties...</p>
+            </div>
+            
+            <!-- Results Header -->
+            <div class="d-flex justify-content-between align-items-center mb-4">
+                <h2><i class="fas fa-home text-danger"></i> ${pagination && pagination.q ? `Results for "${pagination.q}"` : 'Available Properties'}</h2>
+                <div class="d-flex align-items-center gap-3">
+                    ${pagination ? html`
+                        <select id="sortSelect" class="form-select form-select-sm" style="width: auto;" aria-label="Sort results">
+                            ${Object.entries(SORT_OPTIONS).map(([value, option]) => 
+                                html`<option value="${value}" ${pagination.sort === value ? 'selected' : ''}>${value === 'relevance' && pagination.q ? 'Best match' : option.label}</option>`
+                            )}
+                        </select>
+                    ` : ''}
+                    <span class="badge bg-secondary fs-6">${pagination ? pagination.total : listings.length} properties found</span>
+                </div>
+            </div>
+            
+            <!-- Save this search -->
+            ${pagination && pagination.query !== undefined ? (user ? html`
+                <form method="POST" action="/saved-searches" class="d-flex flex-wrap align-items-center gap-2 mb-4">
+                    ${csrfField(csrfToken)}
+                    <input type="hidden" name="query" value="${pagination.query}">
+                    <i class="fas fa-bell text-danger"></i>
+                    <input type="text" name="name" class="form-control form-control-sm" style="max-width: 280px;" maxlength="100"
+                           placeholder="${describeSearch(savedFilters(pagination.query))}" aria-label="Name for this search">
+                    <div class="form-check mb-0">
+                        <input class="form-check-input" type="checkbox" name="email_alerts" id="email_alerts" value="1">
+                        <label class="form-check-label small" for="email_alerts">Email me too</label>
+                    </div>
+                    <button type="submit" class="btn btn-outline-danger btn-sm">Save search &amp; alert me to new places</button>
+                </form>
+            ` : html`
+                <p class="small text-muted mb-4">
+                    <i class="fas fa-bell"></i>
+                    <a href="/login?next=${encodeURIComponent(`/search?${pagination.query}`)}">Log in</a> to save this search and get alerts when new places match.
+                </p>
+            `) : ''}
+            
+            <!-- Results map -->
+            ${showMap ? html`
+                <div class="results-map mb-4" id="resultsMapPanel">
+                    <svg id="resultsMap" role="img" aria-label="Map of the properties in these results"></svg>
+                    <div class="map-controls btn-group-vertical">
+                        <button type="button" id="mapZoomIn" class="btn btn-light btn-sm" aria-label="Zoom in"><i class="fas fa-plus"></i></button>
+                        <button type="button" id="mapZoomOut" class="btn btn-light btn-sm" aria-label="Zoom out"><i class="fas fa-minus"></i></button>
+                    </div>
+                    <div class="map-hint small text-muted">Drag or zoom to search this area &middot; click to search around a point</div>
+                </div>
+            ` : ''}
+            
+            <!-- Enhanced Listings -->
+            <div class="row" id="listings">
+                ${listings.map((listing, index) => {
+                    const imageUrl = listing.images?.picture_url || '';
+                    const reviews = listing.reviews || [];
+                    const latestReview = reviews.length > 0 ? reviews[0] : null;
+                    
+                    return html`
+                    <div class="col-md-6 col-lg-4 mb-4" style="animation-delay: ${index * 0.1}s">
+                        <div class="listing-card position-relative">
+                            <!-- Property Image -->
+                            <div class="position-relative" style="height: 200px; overflow: hidden;">
+                                ${imageUrl ? 
+                                    html`<img src="${imageUrl}" alt="${listing.name}" class="property-image">
+                                     <div class="image-placeholder" style="display: none; height: 200px;">
+                                         <i class="fas fa-image"></i>
+                                     </div>` :
+                                    html`<div class="image-placeholder" style="height: 200px;">
+                                         <i class="fas fa-image"></i>
+                                     </div>`
+                                }
+                                <div class="availability-badge">
+                                    <i class="fas fa-check-circle"></i> Available
+                                </div>
+                                ${heartButton(listing, currentPath, csrfToken)}
+                            </div>
+                            
+                            <!-- Property Details -->
+                            <div class="p-3">
+                                <h5>
+                                    <a href="/bookings?listing_id=${listing._id}${stayQuery}" class="listing-title">
+                                        ${listing.name || 'Unnamed Property'}
+                                    </a>
+                                </h5>
+                                
+                                <p class="text-muted small mb-2" style="height: 40px; overflow: hidden;">
+                                    ${(listing.summary || 'No description available').substring(0, 100)}...
+                                </p>
+                                
+                                <!-- Property Info -->
+                                <div class="row small text-muted mb-2">
+                                    <div class="col-6">
+                                        <i class="fas fa-bed"></i> ${listing.bedrooms || 0} beds
+                                    </div>
+                                    <div class="col-6">
+                                        <i class="fas fa-users"></i> ${listing.accommodates || 'N/A'} guests
+                                    </div>
+                                </div>
+                                
+                                <!-- Price and Rating -->
+                                <div class="d-flex justify-content-between align-items-center mb-2">
+                                    <span class="price">$${listing.price ? Number(listing.price).toFixed(2) : 'N/A'}/night</span>
+                                    ${listing.review_scores && listing.review_scores.review_scores_rating ? 
+                                        html`<span class="rating">
+                                            <i class="fas fa-star"></i> ${Math.round(listing.review_scores.review_scores_rating)}/100
+                                         </span>` : 
+                                        html`<span class="text-muted small">No rating</span>`
+                                    }
+                                </div>
+                                
+                                <!-- Location -->
+                                <small class="text-muted">
+                                    <i class="fas fa-map-marker-alt"></i> ${listing.address?.market || 'Unknown location'}
+                                    ${listing.distance_km != null ? html`&middot; ${listing.distance_km} km away` : ''}
+                                </small>
+                                
+                                <!-- Latest Review Snippet -->
+                                ${latestReview ? html`
+                                    <div class="review-snippet">
+                                        <strong>"${latestReview.comments.substring(0, 60)}..."</strong>
+                                        <br><small>- ${latestReview.reviewer_name}</small>
+                                    </div>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+                `;
+                })}
+            </div>
+            
+            <!-- Pagination -->
+            ${pagination && pagination.totalPages > 1 ? html`
+                <nav aria-label="Search results pages" class="mb-5">
+                    <p class="text-center text-muted small">
+                        Showing ${(pagination.page - 1) * pagination.pageSize + 1}–${(pagination.page - 1) * pagination.pageSize + listings.length} of ${pagination.total}
+                    </p>
+                    <ul class="pagination justify-content-center">
+                        <li class="page-item ${pagination.page <= 1 ? 'disabled' : ''}">
+                            <button type="submit" form="searchForm" name="page" value="${pagination.page - 1}" class="page-link">Previous</button>
+                        </li>
+                        ${pageNumbers(pagination.page, pagination.totalPages).map(number => number === null ? html`
+                            <li class="page-item disabled"><span class="page-link">…</span></li>
+                        ` : html`
+                            <li class="page-item ${number === pagination.page ? 'active' : ''}">
+                                <button type="submit" form="searchForm" name="page" value="${number}" class="page-link">${number}</button>
+                            </li>
+                        `)}
+                        <li class="page-item ${pagination.page >= pagination.totalPages ? 'disabled' : ''}">
+                            <button type="submit" form="searchForm" name="page" value="${pagination.page + 1}" class="page-link">Next</button>
+                        </li>
+                    </ul>
+                </nav>
+            ` : ''}
+            
+            ${listings.length === 0 ? html`
+                <div class="text-center py-5">
+                    <div class="mb-4">
+                        <i class="fas fa-search fa-4x text-muted"></i>
+                    </div>
+                    <h3 class="text-muted">No properties found</h3>
+                    <p class="text-muted">${invalid ? 'Correct the search above to see results.' : 'Try different keywords, fewer filters or another location.'}</p>
+                </div>
+            ` : ''}
+        </div>
+        
+        <script nonce="${cspNonce}">
+            // Set minimum dates to today
+            const today = new Date().toISOString().split('T')[0];
+            document.getElementById('check_in').setAttribute('min', today);
+            document.getElementById('check_out').setAttribute('min', today);
+            
+            // Update checkout min date when checkin changes
+            document.getElementById('check_in').addEventListener('change', function() {
+                const checkinDate = this.value;
+                document.getElementById('check_out').setAttribute('min', checkinDate);
+            });
+            
+            // Changing the sort order re-runs the search from the first page
+            const sortSelect = document.getElementById('sortSelect');
+            if (sortSelect) {
+                sortSelect.addEventListener('change', function() {
+                    document.getElementById('sort').value = this.value;
+                    document.getElementById('searchForm').requestSubmit();
+                });
+            }
+            
+            ${HEART_SCRIPT}
+            ${IMAGE_FALLBACK_SCRIPT}
+            
+            // Changing a filter in the "More filters" panel re-runs the search, which refreshes
+            // every option's count
+            document.querySelectorAll('.facet-input').forEach(input => {
+                input.addEventListener('change', () => document.getElementById('searchForm').requestSubmit());
+            });
+            
+            const clearFilters = document.getElementById('clearFilters');
+            if (clearFilters) {
+                clearFilters.addEventListener('click', function() {
+                    document.querySelectorAll('.facet-input').forEach(input => {
+                        if (input.type === 'checkbox') {
+                            input.checked = false;
+                        } else {
+                            input.value = '';
+                        }
+                    });
+                    document.getElementById('searchForm').requestSubmit();
+                });
+            }
+            
+            // Searching by distance or map area replaces the market filter and starts from page 1
+            function searchArea({ lat = '', lng = '', bbox = '' }) {
+                document.getElementById('lat').value = lat;
+                document.getElementById('lng').value = lng;
+                document.getElementById('bbox').value = bbox;
+                if (lat || bbox) {
+                    document.getElementById('location').value = '';
+                }
+                document.getElementById('searchForm').requestSubmit();
+            }
+            
+            document.getElementById('useLocation').addEventListener('click', function() {
+                const status = document.getElementById('geoStatus');
+                if (!navigator.geolocation) {
+                    status.textContent = 'Your browser cannot share your location';
+                    return;
+                }
+                status.textContent = 'Finding your location...';
+                navigator.geolocation.getCurrentPosition(
+                    position => searchArea({ lat: position.coords.latitude.toFixed(5), lng: position.coords.longitude.toFixed(5) }),
+                    () => { status.textContent = 'Could not get your location'; }
+                );
+            });
+            
+            const clearArea = document.getElementById('clearArea');
+            if (clearArea) {
+                clearArea.addEventListener('click', () => searchArea({}));
+            }
+            
+            // A new distance only needs a new search when searching around a point
+            document.getElementById('radius_km').addEventListener('change', function() {
+                if (document.getElementById('lat').value) {
+                    document.getElementById('searchForm').requestSubmit();
+                }
+            });
+            
+            // Results map: the listings plotted on a plain longitude/latitude grid (no map tiles).
+            // Dragging or zooming searches the area in view; clicking an empty spot searches around it.
+            const mapSvg = document.getElementById('resultsMap');
+            if (mapSvg) {
+                const mapData = ${{ listings: mapListings, point: geo.point || null, radiusKm: geo.radius_km || null, bbox: geo.bbox || null, stayQuery }};
+                const SVG_NS = 'http://www.w3.org/2000/svg';
+                const KM_PER_DEGREE = 111.32;
+                const GRID_STEPS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 30];
+                const radians = degrees => degrees * Math.PI / 180;
+                const size = () => ({ width: mapSvg.clientWidth || 1, height: mapSvg.clientHeight || 1 });
+                
+                // The area to show first: the searched area, else every plotted listing
+                function initialBox() {
+                    if (mapData.bbox) {
+                        return mapData.bbox;
+                    }
+                    if (mapData.point) {
+                        const dLat = mapData.radiusKm / KM_PER_DEGREE * 1.2;
+                        const dLng = dLat / Math.max(Math.cos(radians(mapData.point.lat)), 0.01);
+                        return { west: mapData.point.lng - dLng, south: mapData.point.lat - dLat, east: mapData.point.lng + dLng, north: mapData.point.lat + dLat };
+                    }
+                    if (mapData.listings.length > 0) {
+                        const lngs = mapData.listings.map(listing => listing.lng);
+                        const lats = mapData.listings.map(listing => listing.lat);
+                        const padLng = Math.max((Math.max(...lngs) - Math.min(...lngs)) * 0.1, 0.01);
+                        const padLat = Math.max((Math.max(...lats) - Math.min(...lats)) * 0.1, 0.01);
+                        return { west: Math.min(...lngs) - padLng, south: Math.min(...lats) - padLat, east: Math.max(...lngs) + padLng, north: Math.max(...lats) + padLat };
+                    }
+                    return { west: -180, south: -60, east: 180, north: 75 };
+                }
+                
+                // Keep the view inside the world (a search box can't cross the antimeridian)
+                function clampView(view) {
+                    const spanLat = Math.min(view.spanLat, 170);
+                    const spanLng = Math.min(view.spanLng, 360);
+                    return {
+                        spanLat,
+                        spanLng,
+                        lat: Math.min(Math.max(view.lat, -90 + spanLat / 2), 90 - spanLat / 2),
+                        lng: Math.min(Math.max(view.lng, -180 + spanLng / 2), 180 - spanLng / 2)
+                    };
+                }
+                
+                // Widen the box to the panel's shape so places aren't stretched; a degree of
+                // longitude shrinks with cos(latitude)
+                function fitView(box) {
+                    const { width, height } = size();
+                    const lat = (box.south + box.north) / 2;
+                    const scaleX = Math.max(Math.cos(radians(lat)), 0.01);
+                    let spanLat = box.north - box.south;
+                    let spanLng = box.east - box.west;
+                    if (spanLng * scaleX / spanLat > width / height) {
+                        spanLat = spanLng * scaleX * height / width;
+                    } else {
+                        spanLng = spanLat * width / height / scaleX;
+                    }
+                    return clampView({ lat, lng: (box.west + box.east) / 2, spanLat, spanLng });
+                }
+                
+                let view = fitView(initialBox());
+                
+                function bounds() {
+                    return {
+                        west: view.lng - view.spanLng / 2,
+                        south: view.lat - view.spanLat / 2,
+                        east: view.lng + view.spanLng / 2,
+                        north: view.lat + view.spanLat / 2
+                    };
+                }
+                
+                function project(lng, lat) {
+                    const { width, height } = size();
+                    const box = bounds();
+                    return [(lng - box.west) / view.spanLng * width, (box.north - lat) / view.spanLat * height];
+                }
+                
+                function unproject(x, y) {
+                    const { width, height } = size();
+                    const box = bounds();
+                    return { lng: box.west + x / width * view.spanLng, lat: box.north - y / height * view.spanLat };
+                }
+                
+                function svgElement(name, attributes) {
+                    const element = document.createElementNS(SVG_NS, name);
+                    for (const [key, value] of Object.entries(attributes)) {
+                        element.setAttribute(key, value);
+                    }
+                    return element;
+                }
+                
+                function drawMap() {
+                    const { width, height } = size();
+                    const box = bounds();
+                    mapSvg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+                    mapSvg.replaceChildren();
+                    
+                    // Graticule, roughly four lines across the shorter side
+                    const step = GRID_STEPS.find(candidate => candidate >= view.spanLat / 4) || 30;
+                    for (let lng = Math.ceil(box.west / step) * step; lng <= box.east; lng += step) {
+                        const [x] = project(lng, 0);
+                        mapSvg.appendChild(svgElement('line', { x1: x, y1: 0, x2: x, y2: height, class: 'grid-line' }));
+                    }
+                    for (let lat = Math.ceil(box.south / step) * step; lat <= box.north; lat += step) {
+                        const [, y] = project(0, lat);
+                        mapSvg.appendChild(svgElement('line', { x1: 0, y1: y, x2: width, y2: y, class: 'grid-line' }));
+                    }
+                    
+                    if (mapData.point) {
+                        const [cx, cy] = project(mapData.point.lng, mapData.point.lat);
+                        const ry = mapData.radiusKm / KM_PER_DEGREE / view.spanLat * height;
+                        const rx = mapData.radiusKm / (KM_PER_DEGREE * Math.cos(radians(mapData.point.lat))) / view.spanLng * width;
+                        mapSvg.appendChild(svgElement('ellipse', { cx, cy, rx, ry, class: 'search-radius' }));
+                    }
+                    
+                    for (const listing of mapData.listings) {
+                        const [cx, cy] = project(listing.lng, listing.lat);
+                        const marker = svgElement('circle', { cx, cy, r: 7, class: 'map-marker' });
+                        const title = svgElement('title', {});
+                        title.textContent = listing.name + (listing.price ? ' - $' + listing.price.toFixed(2) + '/night' : '');
+                        marker.appendChild(title);
+                        marker.addEventListener('pointerdown', event => event.stopPropagation());
+                        marker.addEventListener('click', () => {
+                            window.location.href = '/bookings?listing_id=' + encodeURIComponent(listing.id) + mapData.stayQuery;
+                        });
+                        mapSvg.appendChild(marker);
+                    }
+                }
+                
+                // Search the area in view once the map has stopped moving
+                let searchTimer = null;
+                function searchView() {
+                    clearTimeout(searchTimer);
+                    searchTimer = setTimeout(() => {
+                        const box = bounds();
+                        searchArea({ bbox: [box.west, box.south, box.east, box.north].map(value => value.toFixed(5)).join(',') });
+                    }, 600);
+                }
+                
+                function zoom(factor) {
+                    view = clampView({ ...view, spanLat: view.spanLat * factor, spanLng: view.spanLng * factor });
+                    drawMap();
+                    searchView();
+                }
+                document.getElementById('mapZoomIn').addEventListener('click', () => zoom(0.5));
+                document.getElementById('mapZoomOut').addEventListener('click', () => zoom(2));
+                
+                // Drag to pan; a press that doesn't move is a click on the map
+                let drag = null;
+                mapSvg.addEventListener('pointerdown', event => {
+                    drag = { x: event.clientX, y: event.clientY, view, moved: false };
+                    mapSvg.setPointerCapture(event.pointerId);
+                    mapSvg.classList.add('dragging');
+                });
+                mapSvg.addEventListener('pointermove', event => {
+                    if (!drag) {
+                        return;
+                    }
+                    const { width, height } = size();
+                    const dx = event.clientX - drag.x;
+                    const dy = event.clientY - drag.y;
+                    drag.moved = drag.moved || Math.abs(dx) + Math.abs(dy) > 4;
+                    if (drag.moved) {
+                        view = clampView({
+                            ...drag.view,
+                            lng: drag.view.lng - dx / width * drag.view.spanLng,
+                            lat: drag.view.lat + dy / height * drag.view.spanLat
+                        });
+                        drawMap();
+                    }
+                });
+                mapSvg.addEventListener('pointerup', event => {
+                    if (!drag) {
+                        return;
+                    }
+                    mapSvg.classList.remove('dragging');
+                    if (drag.moved) {
+                        searchView();
+                    } else {
+                        const rect = mapSvg.getBoundingClientRect();
+                        const point = unproject(event.clientX - rect.left, event.clientY - rect.top);
+                        searchArea({ lat: point.lat.toFixed(5), lng: point.lng.toFixed(5) });
+                    }
+                    drag = null;
+                });
+                
+                window.addEventListener('resize', () => {
+                    view = fitView(bounds());
+                    drawMap();
+                });
+                drawMap();
+            }
+            
+            // Keep search URLs short: leave out empty fields and defaults
+            document.getElementById('searchForm').addEventListener('formdata', function(event) {
+                const data = event.formData;
+                for (const [name, value] of [...data.entries()]) {
+                    if (value === '') {
+                        data.delete(name);
+                    }
+                }
+                if (!data.has('lat')) {
+                    data.delete('radius_km');
+                }
+                if (data.get('sort') === 'relevance') {
+                    data.delete('sort');
+                }
+                if (data.get('page') === '1') {
+                    data.delete('page');
+                }
+            });
+            
+            // Form submission with loading
+            document.getElementById('searchForm').addEventListener('submit', function() {
+                document.getElementById('listings').style.display = 'none';
+                document.getElementById('loading').style.display = 'block';
+            });
+            
+            // Smooth scroll to results after search
+            if (${listings.length > 0 && Boolean(pagination)}) {
+                document.addEventListener('DOMContentLoaded', function() {
+                    document.querySelector('#listings').scrollIntoView({ 
+                        behavior: 'smooth',
+                        block: 'start'
+                    });
+                });
+            }
+        </script>
+        
+        <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    </body>
+    </html>
+    `.toString();
+}
+
+// One control in the "More filters" panel (see services/facets.js): a switch for a flag,
+// checkboxes for amenities and a dropdown otherwise. Options that would leave no results
+// are disabled unless already selected.
+function renderFacet(facet) {
+    const optionLabel = option => `${option.label} (${option.count})`;
+    const unavailable = option => option.count === 0 && !option.selected ? 'disabled' : '';
+
+    if (facet.kind === 'flag') {
+        const [option] = facet.options;
+        return html`
+            <div class="col-md-3">
+                <div class="form-check form-switch">
+                    <input class="form-check-input facet-input" type="checkbox" name="${facet.key}" id="facet_${facet.key}" value="true" ${option.selected ? 'checked' : ''} ${unavailable(option)}>
+                    <label class="form-check-label" for="facet_${facet.key}">${optionLabel(option)}</label>
+                </div>
+            </div>
+        `;
+    }
+
+    if (facet.kind === 'all') {
+        return html`
+            <div class="col-12">
+                <label class="form-label"><i class="fas fa-check-square"></i> ${facet.label}</label>
+                <div class="row row-cols-2 row-cols-md-4 g-1">
+                    ${facet.options.map((option, index) => html`
+                        <div class="col">
+                            <div class="form-check">
+                                <input class="form-check-input facet-input" type="checkbox" name="${facet.key}" id="facet_${facet.key}_${index}" value="${option.value}" ${option.selected ? 'checked' : ''} ${unavailable(option)}>
+                                <label class="form-check-label small" for="facet_${facet.key}_${index}">${optionLabel(option)}</label>
+                            </div>
+                        </div>
+                    `)}
+                </div>
+            </div>
+        `;
+    }
+
+    return html`
+        <div class="col-md-3">
+            <label for="facet_${facet.key}" class="form-label">${facet.label}</label>
+            <select name="${facet.key}" id="facet_${facet.key}" class="form-select facet-input">
+                <option value="">Any</option>
+                ${facet.options.map(option => 
+                    html`<option value="${option.value}" ${option.selected ? 'selected' : ''} ${unavailable(option)}>${optionLabel(option)}</option>`
+                )}
+            </select>
+        </div>
+    `;
+}
+
+// Search form fields that show their own validation message
+const SEARCH_FORM_FIELDS = ['bedrooms', 'min_price', 'max_price', 'guests', 'check_in', 'check_out', 'radius_km'];
+
+// Distances offered for searching around a point, in km
+const RADIUS_OPTIONS = [1, 2, 5, 10, 25, 50];
+
+// Page links to show: first, last and a window around the current page (null = gap)
+function pageNumbers(current, totalPages) {
+    const numbers = [];
+    for (let number = 1; number <= totalPages; number++) {
+        if (number === 1 || number === totalPages || Math.abs(number - current) <= 2) {
+            numbers.push(number);
+        } else if (numbers[numbers.length - 1] !== null) {
+            numbers.push(null);
+        }
+    }
+    return numbers;
+}
+
+module.exports = {
+    generateHomepage
+};
@@ -0,0 +1,89 @@
+const { html } = require('../lib/html');
+const { TRIP_GROUPS } = require('../services/trips');
+const { renderPage } = require('./layout');
+
+// My trips: a guest's bookings grouped by where they stand.
+
+// Trips dashboard grouped into current, upcoming, past and cancelled stays
+function generateTripsPage(trips, email, user) {
+    const sections = {
+        current: { title: 'Current Stay', icon: 'fa-door-open text-success' },
+        upcoming: { title: 'Upcoming Trips', icon: 'fa-plane-departure text-primary' },
+        past: { title: 'Past Trips', icon: 'fa-history text-muted' },
+        cancelled: { title: 'Cancelled', icon: 'fa-ban text-danger' }
+    };
+    const shortDate = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    const total = TRIP_GROUPS.reduce((count, group) => count + trips[group].length, 0);
+    
+    return renderPage('My Trips', html`
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2 class="mb-0"><i class="fas fa-suitcase-rolling text-danger"></i> My Trips</h2>
+            <small class="text-muted">${user ? `Logged in as ${user.name}` : `Bookings for ${email}`}</small>
+        </div>
+        
+        ${total === 0 ? html`
+            <div class="panel text-center">
+                <p class="text-muted mb-3">You haven't booked any trips yet.</p>
+                <a href="/" class="btn btn-primary">Find a Place to Stay</a>
+            </div>
+        ` : ''}
+        
+        ${TRIP_GROUPS.filter(group => trips[group].length > 0).map(group => html`
+            <h4 class="mb-3"><i class="fas ${sections[group].icon}"></i> ${sections[group].title}</h4>
+            <div class="row mb-4">
+                ${trips[group].map(trip => html`
+                    <div class="col-lg-6 mb-3">
+                        <div class="trip-card d-flex">
+                            ${trip.listing.image ? 
+                                html`<img src="${trip.listing.image}" alt="${trip.listing.name}" class="trip-image">` :
+                                html`<div class="trip-image d-flex align-items-center justify-content-center text-muted"><i class="fas fa-image fa-2x"></i></div>`
+                            }
+                            <div class="p-3 flex-grow-1">
+                                <div class="d-flex justify-content-between align-items-start">
+                                    <a href="/bookings?listing_id=${trip.listing.id}" class="fw-bold text-decoration-none text-dark">${trip.listing.name}</a>
+                                    <span class="badge ${group === 'cancelled' ? 'bg-secondary' : trip.status === 'pending_payment' ? 'bg-warning text-dark' : 'bg-success'} text-capitalize ms-2">${trip.status.replace('_', ' ')}</span>
+                                </div>
+                                <small class="text-muted d-block mb-2"><i class="fas fa-map-marker-alt"></i> ${trip.listing.market}</small>
+                                <div class="small">
+                                    <i class="fas fa-calendar"></i> ${shortDate(trip.arrival_date)} – ${shortDate(trip.departure_date)}
+                                    · ${trip.nights} night${trip.nights === 1 ? '' : 's'} · ${trip.guests} guest${trip.guests === 1 ? '' : 's'}
+                                </div>
+                                <div class="small mt-1">
+                                    Total <strong>$${trip.total.toFixed(2)}</strong> · Paid $${trip.paid.toFixed(2)}
+                                    ${group === 'cancelled' ? 
+                                        (trip.refund !== null ? ` · Refund $${trip.refund.toFixed(2)}` : '') :
+                                        trip.balance_due > 0 ? html` · <span class="text-danger">Balance $${trip.balance_due.toFixed(2)} due ${shortDate(trip.balance_due_date)}</span>` : ''
+                                    }
+                                </div>
+                                ${trip.can_review ? 
+                                    html`<a href="/trips/${trip.reference}#review" class="btn btn-sm btn-primary mt-2"><i class="fas fa-star"></i> Leave a Review</a>` :
+                                    html`<a href="/trips/${trip.reference}" class="btn btn-sm btn-outline-secondary mt-2">View Booking</a>`
+                                }
+                            </div>
+                        </div>
+                    </div>
+                `)}
+            </div>
+        `)}
+    `, `
+            .trip-card {
+                background: white;
+                border-radius: 15px;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+                overflow: hidden;
+                height: 100%;
+            }
+            
+            .trip-image {
+                width: 140px;
+                min-height: 140px;
+                object-fit: cover;
+                background: #e9ecef;
+                flex-shrink: 0;
+            }
+    `);
+}
+
+module.exports = {
+    generateTripsPage
+};
@@ -0,0 +1,138 @@
+const { html } = require('../lib/html');
+const { renderPage } = require('./layout');
+const { csrfField } = require('./components');
+
+// Wishlist pages: the guest's own lists, and a list opened from its share link.
+
+// One listing on the wishlist pages, with its current price and rating
+function wishlistListingCard(listing, actions = '') {
+    const rating = listing.review_scores?.review_scores_rating;
+    return html`
+        <div class="col-md-6 col-lg-4 mb-3">
+            <div class="wishlist-card h-100">
+                <a href="/bookings?listing_id=${encodeURIComponent(listing._id)}">
+                    ${listing.images?.picture_url ? 
+                        html`<img src="${listing.images.picture_url}" alt="${listing.name}" class="wishlist-image">` :
+                        html`<div class="wishlist-image d-flex align-items-center justify-content-center text-muted"><i class="fas fa-image fa-2x"></i></div>`
+                    }
+                </a>
+                <div class="p-3">
+                    <a href="/bookings?listing_id=${encodeURIComponent(listing._id)}" class="fw-bold text-decoration-none text-dark">${listing.name}</a>
+                    <small class="text-muted d-block"><i class="fas fa-map-marker-alt"></i> ${listing.address?.market || 'Unknown location'}</small>
+                    <div class="d-flex justify-content-between align-items-center mt-2">
+                        <strong>$${listing.price ? Number(listing.price).toFixed(2) : 'N/A'}<small class="text-muted fw-normal">/night</small></strong>
+                        ${rating ? html`<span class="text-warning"><i class="fas fa-star"></i> ${Math.round(rating)}/100</span>` : html`<small class="text-muted">No rating</small>`}
+                    </div>
+                    ${actions}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+const WISHLIST_STYLES = `
+            .wishlist-card {
+                background: white;
+                border-radius: 15px;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
+                overflow: hidden;
+            }
+            
+            .wishlist-image {
+                width: 100%;
+                height: 160px;
+                object-fit: cover;
+                background: #e9ecef;
+            }
+`;
+
+// The guest's wishlists (or this browser's, before logging in)
+function generateWishlistsPage(wishlists, user, { message = '', error = '' } = {}, { csrfToken, appUrl } = {}) {
+    return renderPage('Wishlists', html`
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2 class="mb-0"><i class="fas fa-heart text-danger"></i> Wishlists</h2>
+            ${user ? html`<small class="text-muted">Logged in as ${user.name}</small>` : ''}
+        </div>
+        
+        ${message ? html`<div class="alert alert-success">${message}</div>` : ''}
+        ${error ? html`<div class="alert alert-danger">${error}</div>` : ''}
+        ${user ? '' : html`
+            <div class="alert alert-info">
+                These wishlists are saved in this browser only.
+                <a href="/login?next=%2Fwishlists">Log in</a> or <a href="/register?next=%2Fwishlists">sign up</a> to keep them in your account.
+            </div>
+        `}
+        
+        <form method="POST" action="/wishlists" class="d-flex gap-2 mb-4">
+            ${csrfField(csrfToken)}
+            <input type="text" name="name" class="form-control" style="max-width: 300px;" maxlength="50" placeholder="New wishlist, e.g. Lisbon in spring" required>
+            <button type="submit" class="btn btn-outline-secondary"><i class="fas fa-plus"></i> Create</button>
+        </form>
+        
+        ${wishlists.length === 0 ? html`
+            <div class="panel text-center">
+                <p class="text-muted mb-3">Tap the <i class="far fa-heart"></i> on any place to save it here.</p>
+                <a href="/" class="btn btn-primary">Find a Place to Stay</a>
+            </div>
+        ` : wishlists.map(wishlist => html`
+            <div class="panel" id="wishlist-${wishlist._id}">
+                <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+                    <h4 class="mb-0">${wishlist.name} <small class="text-muted">(${wishlist.listings.length})</small></h4>
+                    <div class="d-flex gap-2">
+                        <form method="POST" action="/wishlists/${wishlist._id}/share">
+                            ${csrfField(csrfToken)}
+                            ${wishlist.share_token ? '' : html`<input type="hidden" name="shared" value="1">`}
+                            <button type="submit" class="btn btn-outline-secondary btn-sm">
+                                <i class="fas ${wishlist.share_token ? 'fa-lock' : 'fa-share-alt'}"></i> ${wishlist.share_token ? 'Stop sharing' : 'Share'}
+                            </button>
+                        </form>
+                        <form method="POST" action="/wishlists/${wishlist._id}/delete">
+                            ${csrfField(csrfToken)}
+                            <button type="submit" class="btn btn-outline-danger btn-sm">Delete list</button>
+                        </form>
+                    </div>
+                </div>
+                ${wishlist.share_token ? html`
+                    <div class="input-group input-group-sm mb-3">
+                        <span class="input-group-text"><i class="fas fa-link"></i></span>
+                        <input type="text" class="form-control" readonly value="${appUrl}/wishlists/shared/${wishlist.share_token}" aria-label="Share link">
+                    </div>
+                ` : ''}
+                ${wishlist.listings.length === 0 ? html`
+                    <p class="text-muted mb-0">Nothing saved in this list yet.</p>
+                ` : html`
+                    <div class="row">
+                        ${wishlist.listings.map(listing => wishlistListingCard(listing, html`
+                            <form method="POST" action="/wishlists/${wishlist._id}/remove" class="mt-2">
+                                ${csrfField(csrfToken)}
+                                <input type="hidden" name="listing_id" value="${listing._id}">
+                                <button type="submit" class="btn btn-link btn-sm text-danger p-0">Remove</button>
+                            </form>
+                        `))}
+                    </div>
+                `}
+            </div>
+        `)}
+    `, WISHLIST_STYLES);
+}
+
+// A wishlist opened from its share link: read only
+function generateSharedWishlistPage(wishlist) {
+    return renderPage(wishlist.name, html`
+        <h2 class="mb-1"><i class="fas fa-heart text-danger"></i> ${wishlist.name}</h2>
+        <p class="text-muted mb-4">${wishlist.owner_name ? `Shared by ${wishlist.owner_name}` : 'A shared wishlist'} · ${wishlist.listings.length} place${wishlist.listings.length === 1 ? '' : 's'}</p>
+        
+        ${wishlist.listings.length === 0 ? html`
+            <div class="panel text-center text-muted">There's nothing in this wishlist yet.</div>
+        ` : html`
+            <div class="row">
+                ${wishlist.listings.map(listing => wishlistListingCard(listing))}
+            </div>
+        `}
+    `, WISHLIST_STYLES);
+}
+
+module.exports = {
+    generateWishlistsPage,
+    generateSharedWishlistPage
+};